@@ -0,0 +1,17 @@
+// Vercel function for the sync API (see server/sync.js). Set KV_REST_API_URL and
+// KV_REST_API_TOKEN (Vercel KV / Upstash) to keep ledgers; without them they only live in /tmp.
+import { handleSync, CORS_HEADERS } from "../../server/sync.js";
+import { storeFromEnv } from "../../server/stores.js";
+
+const store = storeFromEnv();
+
+export default async function handler(req, res) {
+  for (const [k, v] of Object.entries(CORS_HEADERS)) res.setHeader(k, v);
+  try {
+    const out = await handleSync(store, { method: req.method, id: req.query.id, rev: req.query.rev, body: req.body, authorization: req.headers.authorization });
+    if (out.body === undefined) res.status(out.status).end();
+    else res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
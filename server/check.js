@@ -0,0 +1,139 @@
+// End-to-end check of sync: `npm run sync-check` starts server/index.js on a free port with a
+// temporary SYNC_DIR and runs the client's syncOnce (src/lib/sync.js) against it as two devices:
+// push, pull, a push that meets a 409 and retries, a per-field conflict resolved and pushed,
+// and an earlier revision restored.
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import assert from "node:assert/strict";
+import { syncOnce, syncDoc, resolveConflicts } from "../src/lib/sync.js";
+import { seedTemplates } from "../src/lib/categories.js";
+
+const START_TIMEOUT_MS = 10000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+function startServer(port, dir) {
+  const child = spawn(process.execPath, [new URL("./index.js", import.meta.url).pathname], {
+    env: { ...process.env, PORT: String(port), SYNC_DIR: dir, SYNC_TOKEN: "" },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill(); reject(new Error("The sync server did not start")); }, START_TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Sync server on")) { clearTimeout(timer); resolve(child); }
+    });
+    child.on("exit", (code) => { clearTimeout(timer); reject(new Error(`The sync server exited (${code})`)); });
+  });
+}
+
+const entry = (id, amount, note = "") => ({ id, date: "2026-09-05", bucket: "expense", category: "Food Shop", amount, note, source: "manual" });
+const ledger = (entries) => syncDoc({
+  data: { months: { "2026-09": { entries } } },
+  templates: seedTemplates(),
+  settings: { currency: "EUR", homeCurrency: "EUR", fyStartMonth: 1, liabilityLinks: {} },
+  rules: []
+});
+const amounts = (doc) => Object.fromEntries(doc.data.months["2026-09"].entries.map((e) => [e.id, e.amount]));
+
+// A device is its sync config plus its local document, updated the way App.jsx does after a sync
+function device(url, name, doc) {
+  return { config: { url, ledger: "check", device: name, rev: 0, base: null }, doc };
+}
+async function sync(d) {
+  const res = await syncOnce(d.config, d.doc);
+  if (res.conflicts) return res;
+  d.config = { ...d.config, rev: res.rev, base: res.doc };
+  d.doc = res.doc;
+  return res;
+}
+
+// Runs `before` once, just ahead of the next PUT, so another device can get in first
+const realFetch = globalThis.fetch;
+let beforePut = null;
+globalThis.fetch = async (url, options = {}) => {
+  if (options.method === "PUT" && beforePut) {
+    const run = beforePut;
+    beforePut = null;
+    await run();
+  }
+  return realFetch(url, options);
+};
+
+async function run(url) {
+  const a = device(url, "A", ledger([entry("a1", 40)]));
+  const b = device(url, "B", ledger([entry("b1", 15)]));
+
+  // push: the first device creates revision 1
+  assert.equal((await sync(a)).rev, 1);
+  // pull + merge: the second device keeps its own entry and gets the first one's
+  assert.equal((await sync(b)).rev, 2);
+  assert.deepEqual(amounts(b.doc), { b1: 15, a1: 40 });
+  assert.equal((await sync(a)).rev, 2);
+  assert.deepEqual(amounts(a.doc), { b1: 15, a1: 40 });
+  console.log("ok  push and pull");
+
+  // 409: B pushes revision 3 between A's pull and push; A pulls again, merges and retries
+  a.doc = ledger([entry("b1", 15), entry("a1", 40, "weekly shop")]);
+  b.doc = ledger([entry("b1", 15), entry("a1", 40), entry("b2", 7)]);
+  beforePut = () => sync(b);
+  const retried = await sync(a);
+  assert.equal(beforePut, null);
+  assert.equal(retried.rev, 4);
+  assert.deepEqual(amounts(a.doc), { b1: 15, a1: 40, b2: 7 });
+  assert.equal(a.doc.data.months["2026-09"].entries.find((e) => e.id === "a1").note, "weekly shop");
+  console.log("ok  409 retry");
+
+  // conflict: both change a1's amount from the same revision; B chooses its own value
+  await sync(b);
+  a.doc = ledger(a.doc.data.months["2026-09"].entries.map((e) => (e.id === "a1" ? { ...e, amount: 42 } : e)));
+  b.doc = ledger(b.doc.data.months["2026-09"].entries.map((e) => (e.id === "a1" ? { ...e, amount: 44 } : e)));
+  assert.equal((await sync(a)).rev, 5);
+  const pending = await sync(b);
+  assert.equal(pending.conflicts?.length, 1);
+  assert.deepEqual(pending.conflicts[0].path.slice(-1), ["amount"]);
+  assert.deepEqual([pending.conflicts[0].mine, pending.conflicts[0].theirs], [44, 42]);
+  b.config = { ...b.config, rev: pending.rev, base: pending.remote };
+  b.doc = resolveConflicts(pending.merged, pending.conflicts, ["mine"]);
+  assert.equal((await sync(b)).rev, 6);
+  await sync(a);
+  assert.equal(amounts(a.doc).a1, 44);
+  console.log("ok  per-field conflict");
+
+  // restore: revision 5 (A's 42) is still kept; putting it back makes revision 7
+  const kept = await (await fetch(`${url}/api/sync/check?rev=5`)).json();
+  assert.equal(kept.device, "A");
+  assert.equal(amounts(kept.doc).a1, 42);
+  const latest = await (await fetch(`${url}/api/sync/check`)).json();
+  assert.ok(latest.revisions.every((r) => !("doc" in r)));
+  const put = await fetch(`${url}/api/sync/check`, { method: "PUT", body: JSON.stringify({ baseRev: latest.rev, doc: kept.doc, device: "A" }) });
+  assert.equal((await put.json()).rev, 7);
+  await sync(b);
+  assert.equal(amounts(b.doc).a1, 42);
+  console.log("ok  restore a kept revision");
+}
+
+const dir = await mkdtemp(join(tmpdir(), "pl-sync-check-"));
+let server;
+try {
+  const port = await freePort();
+  server = await startServer(port, dir);
+  await run(`http://127.0.0.1:${port}`);
+  console.log("Sync check passed");
+} catch (e) {
+  console.error(e);
+  process.exitCode = 1;
+} finally {
+  server?.kill();
+  await rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,48 @@
+// Local sync server: `npm run sync-server` (PORT, default 8787; SYNC_DIR, default ./sync-data;
+// optional SYNC_TOKEN). Serves the same API as the Vercel function in api/sync/[id].js.
+import http from "node:http";
+import { handleSync, CORS_HEADERS } from "./sync.js";
+import { storeFromEnv } from "./stores.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BODY = 25 * 1024 * 1024;
+const store = storeFromEnv();
+
+// Past MAX_BODY the rest of the body is read and dropped, so the 413 reaches the client instead
+// of a reset connection; that response then closes the connection.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      if (size > MAX_BODY) return;
+      size += c.length;
+      if (size <= MAX_BODY) chunks.push(c);
+      else { chunks.length = 0; reject(Object.assign(new Error("Request too large"), { status: 413 })); }
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers, ...(body === undefined ? {} : { "Content-Type": "application/json" }) });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/api\/sync\/([^/]+)$/);
+  if (!match) return send(res, 404, { error: "Not found" });
+  try {
+    const text = req.method === "PUT" ? await readBody(req) : "";
+    let body;
+    try { body = text ? JSON.parse(text) : undefined; } catch { return send(res, 400, { error: "The body is not valid JSON" }); }
+    const out = await handleSync(store, { method: req.method, id: decodeURIComponent(match[1]), rev: url.searchParams.get("rev") ?? undefined, body, authorization: req.headers.authorization });
+    send(res, out.status, out.body);
+  } catch (e) {
+    send(res, e.status || 500, { error: e.message }, e.status === 413 ? { Connection: "close" } : {});
+  }
+});
+
+server.listen(PORT, () => console.log(`Sync server on http://localhost:${PORT}/api/sync/<ledger>`));
@@ -0,0 +1,66 @@
+// Storage for the sync API. fileStore keeps one JSON file per ledger (local server, or /tmp on
+// Vercel, which does not last); kvStore uses a Redis REST endpoint such as Vercel KV / Upstash
+// through plain fetch. Both only write when the stored revision is still the expected one.
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export function fileStore(dir) {
+  const queues = new Map(); // ledger id -> last pending write
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  async function get(id) {
+    try {
+      return JSON.parse(await readFile(file(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  // writes to one ledger run one after another, so the check and the write cannot interleave
+  function put(id, baseRev, record) {
+    const write = (queues.get(id) || Promise.resolve()).then(async () => {
+      if (((await get(id))?.rev || 0) !== baseRev) return false;
+      await mkdir(dir, { recursive: true });
+      await writeFile(`${file(id)}.tmp`, JSON.stringify(record));
+      await rename(`${file(id)}.tmp`, file(id));
+      return true;
+    });
+    queues.set(id, write.catch(() => {}));
+    return write;
+  }
+
+  return { get, put };
+}
+
+// Sets the record only while the revision key still holds the expected revision
+const CHECK_AND_SET = `
+if tonumber(redis.call('GET', KEYS[2]) or '0') ~= tonumber(ARGV[1]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('SET', KEYS[2], ARGV[3])
+return 1`;
+
+export function kvStore(url, token) {
+  async function command(...args) {
+    const res = await fetch(url, { method: "POST", headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify(args) });
+    const json = await res.json();
+    if (json.error) throw new Error(json.error);
+    return json.result;
+  }
+  const key = (id) => `pl-sync:${id}`;
+
+  return {
+    async get(id) {
+      const value = await command("GET", key(id));
+      return value ? JSON.parse(value) : null;
+    },
+    async put(id, baseRev, record) {
+      return (await command("EVAL", CHECK_AND_SET, "2", key(id), `${key(id)}:rev`, String(baseRev), JSON.stringify(record), String(record.rev))) === 1;
+    }
+  };
+}
+
+export function storeFromEnv(env = process.env) {
+  if (env.KV_REST_API_URL && env.KV_REST_API_TOKEN) return kvStore(env.KV_REST_API_URL, env.KV_REST_API_TOKEN);
+  return fileStore(env.SYNC_DIR || (env.VERCEL ? "/tmp/pl-sync" : "sync-data"));
+}
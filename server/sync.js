@@ -0,0 +1,75 @@
+// Sync API shared by the local server (server/index.js) and the Vercel function
+// (api/sync/[id].js). One document per ledger id, with a revision number:
+//   GET /api/sync/:id  -> { rev, doc, updatedAt, revisions } ({ rev: 0, doc: null } when new)
+//   GET /api/sync/:id?rev=N -> { rev, at, device, doc } for one of the last 10 revisions;
+//                       PUT that doc on top of the latest revision to restore it
+//   PUT /api/sync/:id  { baseRev, doc, device } -> { rev, updatedAt }, or 409 with the
+//                       current record when baseRev is not the latest revision
+// Documents are validated with the app's own schema checks before they are stored. When
+// SYNC_TOKEN is set every request needs "Authorization: Bearer <token>".
+import { migratePayload, validatePayload, formatError } from "../src/lib/schema.js";
+
+const REVISIONS_KEPT = 50;
+const DOCS_KEPT = 10; // revisions, counting the current one, whose document is kept
+
+export const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+// store: { get(id) -> record | null, put(id, baseRev, record) -> false when the stored
+// revision is no longer baseRev }. Resolves with { status, body }.
+export async function handleSync(store, { method, id, rev: wanted, body, authorization }, token = process.env.SYNC_TOKEN) {
+  if (method === "OPTIONS") return { status: 204 };
+  if (token && authorization !== `Bearer ${token}`) return { status: 401, body: { error: "Missing or wrong sync token" } };
+  if (!/^[\w-]{1,64}$/.test(id || "")) return { status: 400, body: { error: "A ledger id is 1–64 letters, digits, - or _" } };
+
+  if (method === "GET" && wanted != null) return revisionAt(await store.get(id), wanted);
+  if (method === "GET") return { status: 200, body: withoutOldDocs(await store.get(id)) || { rev: 0, doc: null, revisions: [] } };
+  if (method !== "PUT") return { status: 405, body: { error: "Use GET or PUT" } };
+
+  const { baseRev, doc, device } = body || {};
+  if (!Number.isInteger(baseRev) || baseRev < 0 || !doc || typeof doc !== "object") {
+    return { status: 400, body: { error: "Send { baseRev, doc }" } };
+  }
+  let problems;
+  try {
+    problems = validatePayload(migratePayload(doc).payload);
+  } catch (e) {
+    problems = [{ path: "doc", message: e.message }];
+  }
+  if (problems.length) return { status: 422, body: { error: "The ledger is not valid", problems: problems.slice(0, 20).map(formatError) } };
+
+  const current = await store.get(id);
+  if ((current?.rev || 0) !== baseRev) return { status: 409, body: withoutOldDocs(current) };
+  const rev = baseRev + 1;
+  const updatedAt = new Date().toISOString();
+  // the current document lives in record.doc; it moves onto its revision entry once replaced
+  const previous = (current?.revisions || []).map((r, i) => {
+    if (i === 0 && r.rev === current.rev) return { ...r, doc: current.doc };
+    if (i + 1 >= DOCS_KEPT) return { rev: r.rev, at: r.at, device: r.device };
+    return r;
+  });
+  const record = {
+    rev,
+    doc,
+    updatedAt,
+    revisions: [{ rev, at: updatedAt, device: String(device || "").slice(0, 60) }, ...previous].slice(0, REVISIONS_KEPT)
+  };
+  if (!(await store.put(id, baseRev, record))) return { status: 409, body: withoutOldDocs(await store.get(id)) };
+  return { status: 200, body: { rev, updatedAt } };
+}
+
+// The revision log without the kept documents, so a plain GET stays the size of one ledger
+function withoutOldDocs(record) {
+  return record && { ...record, revisions: (record.revisions || []).map(({ rev, at, device }) => ({ rev, at, device })) };
+}
+
+function revisionAt(record, wanted) {
+  const rev = Number(wanted);
+  const entry = record?.revisions?.find((r) => r.rev === rev);
+  const doc = record && rev === record.rev ? record.doc : entry?.doc;
+  if (!entry || !doc) return { status: 404, body: { error: `Revision ${wanted} is not kept` } };
+  return { status: 200, body: { rev, at: entry.at, device: entry.device, doc } };
+}
@@ -1,143 +1,180 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useCallback, useRef } from "react";
 import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend } from "recharts";
+import {
+  BUCKETS, emptyMonth, emptyTotals, monthTotals, entriesFor, makeEntry, withEntries, withoutEntries,
+  withEntryUpdated, withLiabilityPayments, monthKeyFromDate, monthKeyOf, defaultDateFor, lastDayOfMonth
+} from "./lib/ledger.js";
+import {
+  aggregatePeriod, balancesBefore, isBalanceBucket, PERIOD_KINDS, COMPARISONS, periodRange, comparisonRange, totalsAtEnd
+} from "./lib/period.js";
+import ComparePanel from "./components/ComparePanel.jsx";
+import { BUDGET_BUCKETS, budgetFor, budgetTotals, withBudget, budgetRemaining } from "./lib/budget.js";
+import BankImport from "./components/BankImport.jsx";
+import SpreadsheetImport from "./components/SpreadsheetImport.jsx";
+import TrendsView from "./components/TrendsView.jsx";
+import ForecastView from "./components/ForecastView.jsx";
+import ReportView from "./components/ReportView.jsx";
+import { buildReport } from "./lib/report.js";
+import GoalsPanel from "./components/GoalsPanel.jsx";
+import GoalsEditor from "./components/GoalsEditor.jsx";
+import { goalProgress } from "./lib/goals.js";
+import HoldingsManager from "./components/HoldingsManager.jsx";
+import KpiPanel from "./components/KpiPanel.jsx";
+import CashFlowSankey from "./components/CashFlowSankey.jsx";
+import { cashFlowGraph } from "./lib/sankey.js";
+import { KPI_THRESHOLDS, fixedSet, kpisFor, kpiSeries, averageMonthlyExpense } from "./lib/kpi.js";
+import { holdingFor, holdingFigures, withHoldingValues } from "./lib/holdings.js";
+import RecurringRules from "./components/RecurringRules.jsx";
+import { occurrenceEntry, openMonthWithRecurring, monthOpener } from "./lib/recurring.js";
+import ExchangeRates from "./components/ExchangeRates.jsx";
+import { formatMoney, converterFor, knownCurrencies } from "./lib/currency.js";
+import { LOCALES, parseLocaleAmount, formatAmount, formatMonth, formatDate, monthNames } from "./lib/locale.js";
+import { translator } from "./lib/i18n.js";
+import BackupImport from "./components/BackupImport.jsx";
+import { SCHEMA_VERSION, readBackup, mergePayloads, importSummary, formatError } from "./lib/schema.js";
+import ChangeLog from "./components/ChangeLog.jsx";
+import ProfileManager from "./components/ProfileManager.jsx";
+import SyncPanel from "./components/SyncPanel.jsx";
+import CommandBar from "./components/CommandBar.jsx";
+import ReviewPanel from "./components/ReviewPanel.jsx";
+import { monthFindings, openFindings, withAcknowledged, withMuted } from "./lib/review.js";
+import { same, syncDoc, mergeDocs, resolveConflicts, syncOnce } from "./lib/sync.js";
+import { registerServiceWorker, applyUpdate, takeQuickAdd } from "./lib/pwa.js";
+import { loadProfiles, readProfile, readAllProfiles, saveProfile, createProfile, deleteProfile, setActiveProfile } from "./lib/storage.js";
+import { combineProfiles, profilesBackup, isProfilesBackup, readProfilesBackup } from "./lib/profiles.js";
+import CategoryManager from "./components/CategoryManager.jsx";
+import {
+  seedTemplates, activeTemplates, withCategoryAdded, withCategoryPatch, withCategoryMoved, rewriteCategory, categoryUsage, orderedChartData
+} from "./lib/categories.js";
+import { LOG_LIMIT, emptyHistory, diffState, applyDiff, describeDiff, pushStep, undoStep, redoStep } from "./lib/history.js";
 
 // Colors
 const COLORS_INCOME = ["#22c55e", "#16a34a", "#4ade80", "#15803d", "#86efac"]; // greens
 const COLORS_EXPENSES = ["#fb923c", "#f97316", "#fdba74", "#ea580c", "#fed7aa"]; // oranges
 const COLORS_ASSETS = ["#14b8a6", "#0ea5e9", "#06b6d4", "#38bdf8", "#2dd4bf"]; // teal/cyan
-const COLORS_NET = ["#0891b2"]; // single-slice for Net Worth (no liabilities for now)
-
-// Fixed base headings (from your spreadsheet labels)
-const BASE_TEMPLATES = {
-  income: ["Salary", "Cash", "Music", "Fitness", "Carry Over"],
-  saving: ["Saving Blanket", "Cash", "Current"],
-  investment: ["Apt Valuation", "Bitcoin", "Stocks", "Pension Valuation"],
-  expense: [
-    "Mortgage", "Jiujitsu", "CrossFit", "Food Shop", "Leisure/Concert",
-    "Company car (N/A)", "TV/Mobile/Apps", "Supplements", "BONGO Dog",
-    "Electricity", "Other", "Takeaway"
-  ]
-};
-
-function emptyMonth(templates) {
-  return {
-    income: Object.fromEntries(templates.income.map((c) => [c, 0])),
-    saving: Object.fromEntries(templates.saving.map((c) => [c, 0])),
-    investment: Object.fromEntries(templates.investment.map((c) => [c, 0])),
-    expense: Object.fromEntries(templates.expense.map((c) => [c, 0]))
-  };
-}
+const COLORS_NET = ["#0891b2", "#e11d48"]; // Net Worth: assets vs liabilities
 
-function createInitialData(templates) {
-  const now = new Date();
-  const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-  return { months: { [monthKey]: emptyMonth(templates) } };
-}
+const SYNC_DELAY_MS = 3000; // after the last local change
+const SYNC_INTERVAL_MS = 2 * 60 * 1000;
+
+const DEFAULT_SETTINGS = { userName: "", currency: "EUR", homeCurrency: "EUR", fyStartMonth: 1, showMoMColors: true, compactMode: false, liabilityLinks: {}, locale: "" };
 
-function entriesToChartData(obj) {
-  return Object.entries(obj || {})
-    .filter(([, v]) => Number(v) !== 0)
-    .map(([name, value]) => ({ name, value: Number(value) }));
+function createInitialData() {
+  return { months: { [monthKeyFromDate(new Date())]: emptyMonth() } };
 }
 
 function sum(obj) {
   return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
 }
 
-export default function BudgetDashboard() {
-  // Load/persist templates so custom subheadings can be remembered
-  const [userTemplates, setUserTemplates] = useState(() => {
-    try { const raw = localStorage.getItem("pl-templates"); if (raw) return JSON.parse(raw); } catch {}
-    return { income: [], saving: [], investment: [], expense: [] };
-  });
-  useEffect(() => { try { localStorage.setItem("pl-templates", JSON.stringify(userTemplates)); } catch {} }, [userTemplates]);
-
-  const TEMPLATES = useMemo(() => ({
-    income: [...BASE_TEMPLATES.income, ...userTemplates.income],
-    saving: [...BASE_TEMPLATES.saving, ...userTemplates.saving],
-    investment: [...BASE_TEMPLATES.investment, ...userTemplates.investment],
-    expense: [...BASE_TEMPLATES.expense, ...userTemplates.expense]
-  }), [userTemplates]);
-
-  // Settings (currency, fiscal start month, MoM coloring, compact mode)
-  const [settings, setSettings] = useState(() => {
-    try { return JSON.parse(localStorage.getItem("pl-settings")) || { currency: "EUR", fyStartMonth: 1, showMoMColors: true, compactMode: false }; } catch {}
-    return { currency: "EUR", fyStartMonth: 1, showMoMColors: true, compactMode: false };
-  });
-  useEffect(() => { try { localStorage.setItem("pl-settings", JSON.stringify(settings)); } catch {} }, [settings]);
+// One profile's dashboard. `stored` is its payload, upgraded and validated (invalid parts come
+// back undefined) plus the problems found; every part is handed to onSave(patch) as it changes.
+// The combined view of all profiles is readOnly: nothing is recorded or saved. profileBar(t)
+// renders the profile switcher in the dashboard's language.
+function Dashboard({ name, stored, readOnly, onSave, profileBar }) {
+  const [storageErrors, setStorageErrors] = useState(stored.errors);
+
+  // Categories per bucket ({ name, archived, color } in display order); TEMPLATES lists the
+  // names offered when adding entries
+  const [categories, setCategories] = useState(() => stored.payload.templates || seedTemplates());
+  useEffect(() => { onSave({ templates: categories }); }, [categories]);
+
+  const TEMPLATES = useMemo(() => activeTemplates(categories), [categories]);
+
+  // Settings (reporting/home currency, locale, fiscal start month, MoM coloring, compact mode, expense -> liability links)
+  const [settings, setSettings] = useState(() => stored.payload.settings || DEFAULT_SETTINGS);
+  useEffect(() => { onSave({ settings }); }, [settings]);
 
-  const fmtCurrency = (n) => new Intl.NumberFormat(undefined, { style: "currency", currency: settings.currency || "EUR" }).format(Number(n));
+  // settings.currency is the reporting currency; exchange rates are quoted in the home currency
+  const homeCurrency = settings.homeCurrency;
+  // settings.locale ("" follows the browser) formats numbers, months and dates and picks the
+  // UI language; t(key, vars) translates a UI string, t.category(name) a category's label
+  const locale = settings.locale || "";
+  const t = useMemo(() => translator(locale), [locale]);
+  const fmtCurrency = (n, currency = settings.currency) => formatMoney(n, currency, locale);
 
   // App state (data)
-  const [data, setData] = useState(() => {
-    try { const raw = localStorage.getItem("pl-dashboard"); if (raw) return JSON.parse(raw); } catch {}
-    return createInitialData(TEMPLATES);
-  });
-  useEffect(() => { try { localStorage.setItem("pl-dashboard", JSON.stringify(data)); } catch {} }, [data]);
+  const [data, setData] = useState(() => stored.payload.data || createInitialData());
+  useEffect(() => { onSave({ data }); }, [data]);
+
+  // Payee -> category rules used by the bank statement import, e.g. "TESCO*" -> Food Shop
+  const [rules, setRules] = useState(() => stored.payload.rules || []);
+  useEffect(() => { onSave({ rules }); }, [rules]);
+
+  // Undo/redo stacks and the change log (see lib/history.js), kept across sessions
+  const [history, setHistory] = useState(() => stored.payload.history || emptyHistory());
+  useEffect(() => { onSave({ history }); }, [history]);
 
   const monthsOrder = Object.keys(data.months).sort();
   const [selectedMonth, setSelectedMonth] = useState(monthsOrder[monthsOrder.length - 1]);
-  const [view, setView] = useState("Monthly"); // Monthly | Annual
+  const [view, setView] = useState("Dashboard"); // Dashboard | Trends | Forecast
+  // Period shown on the dashboard (anchored on selectedMonth) and what it is compared with
+  const [periodKind, setPeriodKind] = useState("month");
+  const [customRange, setCustomRange] = useState({ from: "", to: "" });
+  const [compareMode, setCompareMode] = useState("previous");
+  const [sideBySide, setSideBySide] = useState(false);
 
-  // Ensure selected month exists; carry forward saving/investment balances from previous month; leave income/expense at 0
+  // Ensure selected month exists; carry forward saving/investment/liability balances from previous month,
+  // then auto-post the recurring entries due that month
   useEffect(() => {
     if (data.months[selectedMonth]) return;
-    setData((prev) => {
-      const keys = Object.keys(prev.months).sort();
-      const prevKey = keys.filter((k) => k < selectedMonth).pop();
-      const carry = prevKey ? prev.months[prevKey] : emptyMonth(TEMPLATES);
-      const nextMonth = emptyMonth(TEMPLATES);
-      // carry forward balances for saving/investment
-      nextMonth.saving = { ...nextMonth.saving, ...(carry.saving || {}) };
-      nextMonth.investment = { ...nextMonth.investment, ...(carry.investment || {}) };
-      return { months: { ...prev.months, [selectedMonth]: nextMonth } };
-    });
-  }, [selectedMonth, TEMPLATES]);
+    const { month, posted } = openMonthWithRecurring(data.months, selectedMonth, data.recurring, settings.liabilityLinks);
+    // opening the month itself is not a history step (undoing it would just reopen it)
+    const opened = { ...data, months: { ...data.months, [selectedMonth]: month } };
+    if (!posted.length || readOnly) setData(opened);
+    else change(`Auto-posted ${posted.length} recurring entr${posted.length === 1 ? "y" : "ies"}`, { data: withEntries(opened, posted) }, { base: { data: opened } });
+  }, [selectedMonth]);
 
   function shiftMonth(delta) {
     const [y, m] = selectedMonth.split('-').map(Number);
     const d = new Date(y, (m - 1) + delta, 1);
     const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    // moving on from a month offers its review when something in it looks unusual
+    if (delta > 0 && !readOnly && findingsFor(selectedMonth).length) setReview(selectedMonth);
     setSelectedMonth(key);
   }
 
-  function fiscalYearKeysFor(monthKey) {
-    const [y, m] = monthKey.split('-').map(Number);
-    const startMonth = Number(settings.fyStartMonth || 1); // 1-12
-    const startYear = m >= startMonth ? y : y - 1;
-    const keys = [];
-    for (let i = 0; i < 12; i++) {
-      const d = new Date(startYear, (startMonth - 1) + i, 1);
-      keys.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
-    }
-    return keys;
-  }
+  // range labels are shown in the UI language with the locale's short month names
+  const rangeMonth = useCallback((k) => formatMonth(k, locale, "short"), [locale]);
+  const currentRange = useMemo(() => (
+    periodRange(periodKind, selectedMonth, settings.fyStartMonth, customRange, t, rangeMonth)
+  ), [periodKind, selectedMonth, settings.fyStartMonth, customRange, t, rangeMonth]);
+  const compareRange = useMemo(() => (
+    comparisonRange(currentRange, compareMode, periodKind, selectedMonth, settings.fyStartMonth, t, rangeMonth)
+  ), [currentRange, compareMode, periodKind, selectedMonth, settings.fyStartMonth, t, rangeMonth]);
 
-  const monthKeysForView = useMemo(() => {
-    if (view === "Monthly") return [selectedMonth];
-    const fyKeys = fiscalYearKeysFor(selectedMonth);
-    return monthsOrder.filter((k) => fyKeys.includes(k));
-  }, [view, selectedMonth, monthsOrder, settings.fyStartMonth]);
-
-  // Aggregate for view
-  const aggregated = useMemo(() => {
-    const acc = { income: {}, saving: {}, investment: {}, expense: {} };
-    for (const m of monthKeysForView) {
-      const month = data.months[m];
-      if (!month) continue;
-      for (const k of Object.keys(acc)) {
-        for (const [cat, val] of Object.entries(month[k] || {})) {
-          acc[k][cat] = (acc[k][cat] || 0) + Number(val);
-        }
-      }
-    }
-    return acc;
-  }, [monthKeysForView, data]);
+  // months of the period that have data (a single month is always shown)
+  const monthKeysForView = useMemo(() => (
+    periodKind === "month" ? [selectedMonth] : currentRange.keys.filter((k) => monthsOrder.includes(k))
+  ), [periodKind, selectedMonth, currentRange, monthsOrder]);
+
+  // Per-category totals for every month, derived from the ledger entries and converted
+  // into the reporting currency (holdings value their category at units × price);
+  // currencies without a usable rate are collected
+  const converters = useMemo(() => (
+    Object.fromEntries(Object.keys(data.months).map((k) => [k, converterFor(data.rates, homeCurrency, settings.currency, k)]))
+  ), [data.months, data.rates, homeCurrency, settings.currency]);
+  const totalsByMonth = useMemo(() => (
+    Object.fromEntries(Object.entries(data.months).map(([k, m]) => [k, withHoldingValues(
+      monthTotals(m, (e) => converters[k].convert(e.amount, e.currency)), data.holdings, k, (key, amount, currency) => converters[key].convert(amount, currency)
+    )]))
+  ), [data.months, data.holdings, converters]);
+  const missingRates = useMemo(() => {
+    const out = new Set();
+    for (const k of Object.keys(totalsByMonth)) converters[k].missing.forEach((c) => out.add(`${c} (${k})`));
+    return Array.from(out);
+  }, [totalsByMonth, converters]);
+
+  // Aggregate for view: flows summed, balances at the period's closing month (+ change since opening)
+  const period = useMemo(() => aggregatePeriod(totalsByMonth, monthKeysForView), [monthKeysForView, totalsByMonth]);
+  const aggregated = period.totals;
+  // the comparison period: flows summed, balances as they closed at its end
+  const compared = useMemo(() => totalsAtEnd(totalsByMonth, compareRange.keys), [totalsByMonth, compareRange]);
 
-  const incomeData = entriesToChartData(aggregated.income);
-  const expenseData = entriesToChartData(aggregated.expense);
-  const savingData = entriesToChartData(aggregated.saving);
-  const investmentData = entriesToChartData(aggregated.investment);
+  const incomeData = orderedChartData(aggregated.income, categories.income);
+  const expenseData = orderedChartData(aggregated.expense, categories.expense);
+  const savingData = orderedChartData(aggregated.saving, categories.saving);
+  const investmentData = orderedChartData(aggregated.investment, categories.investment);
   // Saving + Investments combined pie
   const savingInvestData = useMemo(() => {
     const map = new Map();
@@ -147,171 +184,535 @@ export default function BudgetDashboard() {
     return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
   }, [savingData, investmentData]);
 
-  const netWorthValue = sum(aggregated.saving) + sum(aggregated.investment);
-  const netWorthData = [{ name: "Net Worth", value: netWorthValue }];
+  const liabilityData = orderedChartData(aggregated.liability, categories.liability);
+  const assetsValue = sum(aggregated.saving) + sum(aggregated.investment);
+  const liabilitiesValue = sum(aggregated.liability);
+  const netWorthValue = assetsValue - liabilitiesValue;
+  // change in balances against the comparison period (for "previous" that is the opening balance)
+  const assetsChange = assetsValue - (sum(compared.saving) + sum(compared.investment));
+  const netWorthChange = netWorthValue - (sum(compared.saving) + sum(compared.investment) - sum(compared.liability));
+  const changeLabel = t("vs {period}", { period: compareRange.label });
+  const netWorthData = [{ name: "Assets", value: assetsValue }, { name: "Liabilities", value: liabilitiesValue }].filter((d) => d.value !== 0);
   const cashFlow = sum(aggregated.income) - sum(aggregated.expense);
 
-  // Undo/snackbar state
-  const [snackbar, setSnackbar] = useState(null); // {label, undo}
-  function showUndo(label, undo) {
-    setSnackbar({ label, undo });
+  // KPI panel: the view's figures plus a 12-month series ending at its closing month
+  const fixedCategories = useMemo(() => fixedSet(categories), [categories]);
+  const kpiEnd = period.closingKey || selectedMonth;
+  const kpis = kpisFor(aggregated, netWorthValue - netWorthChange, fixedCategories, averageMonthlyExpense(totalsByMonth, kpiEnd));
+  const kpiTrend = useMemo(() => kpiSeries(totalsByMonth, kpiEnd, fixedCategories), [totalsByMonth, kpiEnd, fixedCategories]);
+  const kpiThresholds = { ...KPI_THRESHOLDS, ...(settings.kpiThresholds || {}) };
+
+  // Budget targets summed over the months in view
+  const viewBudgets = useMemo(() => (
+    Object.fromEntries(BUDGET_BUCKETS.map((b) => [b, budgetTotals(data.budgets, b, monthKeysForView)]))
+  ), [data.budgets, monthKeysForView]);
+  const overBudget = Object.entries(viewBudgets.expense)
+    .filter(([cat, budget]) => Number(aggregated.expense[cat] || 0) > budget)
+    .map(([cat, budget]) => ({ name: cat, over: Number(aggregated.expense[cat]) - budget }));
+
+  // Every undoable change goes through change(): it sets the changed parts, records the diff as
+  // a history step and logs it. `base` overrides the starting state (e.g. a month opened just
+  // before), `mergeKey` folds rapid edits into one step, `quiet` skips the snackbar.
+  const [snackbar, setSnackbar] = useState(null); // {label, undoable}
+  const who = settings.userName || "You";
+  const describe = (diff) => describeDiff(diff, fmtCurrency);
+
+  function showSnackbar(label, undoable = true) {
+    setSnackbar({ label, undoable });
     setTimeout(() => setSnackbar((s) => (s && s.label === label ? null : s)), 5000);
   }
 
+  function setState(next) {
+    if (next.data !== data) setData(next.data);
+    if (next.templates !== categories) setCategories(next.templates);
+    if (next.settings !== settings) setSettings(next.settings);
+    if (next.rules !== rules) setRules(next.rules);
+    if (!next.data.months[selectedMonth]) setSelectedMonth(Object.keys(next.data.months).sort().pop() || monthKeyFromDate(new Date()));
+  }
+
+  function change(label, next, { base, mergeKey, quiet } = {}) {
+    if (readOnly) { showSnackbar(t("The combined view is read-only; switch to a profile to change it"), false); return; }
+    const before = { data, templates: categories, settings, rules, ...base };
+    const after = { ...before, ...next };
+    const diff = diffState(before, after);
+    if (!diff) return;
+    setState(after);
+    setHistory((h) => pushStep(h, { label, diff, who, describe, mergeKey }));
+    if (!quiet) showSnackbar(label);
+  }
+
+  function undo() {
+    const res = undoStep(history, who, describe);
+    if (!res) return;
+    setState(applyDiff({ data, templates: categories, settings, rules }, res.step.diff, 0));
+    setHistory(res.history);
+    showSnackbar(t("Undid: {label}", { label: res.step.label }), false);
+  }
+
+  function redo() {
+    const res = redoStep(history, who, describe);
+    if (!res) return;
+    setState(applyDiff({ data, templates: categories, settings, rules }, res.step.diff, 1));
+    setHistory(res.history);
+    showSnackbar(t("Redid: {label}", { label: res.step.label }), false);
+  }
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (text fields keep their own undo); Ctrl/Cmd+K command bar
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const k = e.key.toLowerCase();
+      if (k === "k") { e.preventDefault(); setShowCommand((v) => !v); return; }
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redo(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+  const [showLog, setShowLog] = useState(false);
+
+  // Sync with a server (see lib/sync.js and server/): pulls, merges and pushes after local
+  // changes, every few minutes and when the browser comes back online. Merged changes from
+  // other devices become one undoable step; conflicting fields wait in the Sync dialog.
+  const [sync, setSync] = useState(stored.payload.sync || null); // { url, ledger, token, device, rev, base, lastSync }
+  useEffect(() => { onSave({ sync }); }, [sync]);
+  const [syncStatus, setSyncStatus] = useState(null); // { state: syncing|synced|offline|error, message }
+  const [syncConflicts, setSyncConflicts] = useState(null); // { rev, remote, merged, conflicts }
+  const [showSync, setShowSync] = useState(false);
+  const latest = useRef(null);
+  latest.current = { data, templates: categories, settings, rules };
+  const syncing = useRef(false);
+  const syncPending = useMemo(() => !!sync?.ledger && !(sync.base && same(syncDoc({ data, templates: categories, settings, rules }), sync.base)), [sync, data, categories, settings, rules]);
+
+  async function runSync(config = sync, local) {
+    if (!config?.ledger || syncing.current || readOnly) return;
+    syncing.current = true;
+    const snapshot = local || syncDoc(latest.current);
+    setSyncStatus({ state: "syncing" });
+    try {
+      const res = await syncOnce(config, snapshot);
+      if (res.conflicts) {
+        setSyncConflicts(res);
+        setSyncStatus(null);
+        return;
+      }
+      // edits made while the request was out are merged on top of the synced document
+      const now = syncDoc(latest.current);
+      const doc = same(now, snapshot) ? res.doc : mergeDocs(snapshot, now, res.doc).merged;
+      if (!same(doc, now)) {
+        change(`Synced changes from ${config.ledger}`, { data: doc.data, templates: doc.templates, settings: doc.settings, rules: doc.rules }, { base: latest.current, quiet: true });
+      }
+      setSync({ ...config, rev: res.rev, base: res.doc, lastSync: new Date().toISOString() });
+      setSyncConflicts(null);
+      setSyncStatus({ state: "synced" });
+    } catch (e) {
+      setSyncStatus({ state: e.offline ? "offline" : "error", message: e.message });
+    } finally {
+      syncing.current = false;
+    }
+  }
+
+  // choices[i]: "mine" or "theirs" for each conflict; the result is pushed on top of the server's revision
+  function resolveSync(choices) {
+    const { rev, remote, merged, conflicts } = syncConflicts;
+    setSyncConflicts(null);
+    runSync({ ...sync, rev, base: remote }, resolveConflicts(merged, conflicts, choices));
+  }
+
+  useEffect(() => {
+    if (!sync?.ledger || syncConflicts) return;
+    const t = setTimeout(() => runSync(), SYNC_DELAY_MS);
+    return () => clearTimeout(t);
+  }, [data, categories, settings, rules, sync?.ledger, sync?.url, sync?.token]);
+  const runSyncNow = useRef(runSync);
+  runSyncNow.current = runSync;
+  useEffect(() => {
+    if (!sync?.ledger) return;
+    const onOnline = () => runSyncNow.current();
+    const t = setInterval(onOnline, SYNC_INTERVAL_MS);
+    window.addEventListener("online", onOnline);
+    return () => { clearInterval(t); window.removeEventListener("online", onOnline); };
+  }, [sync?.ledger]);
+
   // Center add menu + add dialog
   const [showMenu, setShowMenu] = useState(false);
-  const [showAdder, setShowAdder] = useState(null); // 'income'|'saving'|'investment'|'expense'
+  const [showAdder, setShowAdder] = useState(null); // 'income'|'saving'|'investment'|'expense'|'liability'
   const [newCat, setNewCat] = useState("");
   const [newOther, setNewOther] = useState("");
   const [newAmt, setNewAmt] = useState("");
+  const [newDate, setNewDate] = useState("");
+  const [newNote, setNewNote] = useState("");
+  const [newCurrency, setNewCurrency] = useState("");
   const [rememberSubheading, setRememberSubheading] = useState(true);
+  const adderRef = useRef(null);
+
+  // Home-screen shortcuts and shared text open the add dialog for this month
+  useEffect(() => {
+    const quick = takeQuickAdd(BUCKETS);
+    if (!quick) return;
+    setSelectedMonth(monthKeyFromDate(new Date()));
+    setNewNote(quick.note);
+    setNewAmt(quick.amount);
+    setShowMenu(true);
+    setShowAdder(quick.bucket);
+  }, []);
+  useEffect(() => {
+    if (showAdder) adderRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [showAdder]);
+
+  // Ledger mutations; `extra` carries other parts changed in the same step (templates, rules)
+  function addEntries(entries, label, extra) {
+    change(label, { data: withEntries(data, withLiabilityPayments(entries, settings.liabilityLinks), monthOpener(data.recurring, settings.liabilityLinks)), ...extra });
+  }
+
+  function findEntry(id) {
+    for (const m of Object.values(data.months)) {
+      const e = m.entries.find((x) => x.id === id);
+      if (e) return e;
+    }
+    return null;
+  }
+
+  function updateEntry(id, patch) {
+    const before = findEntry(id);
+    if (!before) return;
+    change(`Changed ${before.category} entry`, { data: withEntryUpdated(data, id, patch, monthOpener(data.recurring, settings.liabilityLinks)) });
+  }
+
+  function deleteEntries(entries, label) {
+    if (!entries.length) return;
+    // linked liability payments go (and come back) with their expense
+    change(label, { data: withoutEntries(data, entries.map((e) => e.id)) });
+  }
 
   function addItem(kind) {
-    const amt = Number(newAmt);
+    const amt = parseLocaleAmount(newAmt, locale);
     const catToUse = (newOther && newOther.trim()) ? newOther.trim() : newCat;
     if (!kind || !catToUse || !Number.isFinite(amt)) return;
-    // capture prev for undo
-    const prevMonth = data.months[selectedMonth] || emptyMonth(TEMPLATES);
-    const prevVal = Number(prevMonth[kind]?.[catToUse] || 0);
-    setData((prev) => {
-      const next = { ...prev, months: { ...prev.months } };
-      const base = next.months[selectedMonth] || emptyMonth(TEMPLATES);
-      const m = { ...base, [kind]: { ...base[kind] } };
-      m[kind][catToUse] = (m[kind][catToUse] || 0) + amt;
-      next.months[selectedMonth] = m;
-      return next;
-    });
-    showUndo(`Added ${fmtCurrency(amt)} to ${catToUse}`, () => updateAmount(catToUse, prevVal));
-
-    if (newOther && rememberSubheading) {
-      setUserTemplates((prev) => ({
-        ...prev,
-        [kind]: Array.from(new Set([...(prev[kind] || []), newOther.trim()]))
-      }));
-    }
+    // keep the entry inside the selected month
+    const date = newDate && monthKeyOf(newDate) === selectedMonth ? newDate : defaultDateFor(selectedMonth);
+    const entry = makeEntry({ date, bucket: kind, category: catToUse, amount: amt, note: newNote.trim(), currency: newCurrency || settings.currency });
+    const remember = newOther && rememberSubheading && !TEMPLATES[kind].includes(newOther.trim());
+    addEntries([entry], `Added ${fmtCurrency(amt)} to ${catToUse}`, remember ? { templates: withCategoryAdded(categories, kind, newOther.trim()) } : undefined);
     setNewCat("");
     setNewOther("");
     setNewAmt("");
+    setNewDate("");
+    setNewNote("");
+    setNewCurrency("");
     setShowAdder(null);
     setShowMenu(false);
   }
 
-  // Drilldown modal (editable + tags + totals + confirm delete)
-  const [breakdown, setBreakdown] = useState({ open: false, title: "", items: [], total: 0, bucket: null });
-  const [editIndex, setEditIndex] = useState(null);
-  const [editValue, setEditValue] = useState("");
-  const [confirmDel, setConfirmDel] = useState(null); // cat name
+  // Drilldown modal (category totals + the entries behind each one + tags + confirm delete)
+  const [breakdown, setBreakdown] = useState({ open: false, title: "", bucket: null });
+  const [openCat, setOpenCat] = useState(null); // category whose entries are listed
+  const [editId, setEditId] = useState(null); // entry id being edited
+  const [editDraft, setEditDraft] = useState({ date: "", amount: "", note: "" });
+  const [confirmDel, setConfirmDel] = useState(null); // cat name or entry id
 
   function mapTitleToBucket(title) {
     if (/Expense/i.test(title)) return 'expense';
     if (/Income/i.test(title)) return 'income';
     if (/Saving|Investment/i.test(title)) return 'saving-invest'; // combined view
-    return null; // Net Worth not directly editable
+    if (/Net Worth|Liabilit/i.test(title)) return 'liability'; // Net Worth edits its liabilities
+    return null;
   }
 
-  function openBreakdown(title, data) {
-    const items = [...data].sort((a, b) => b.value - a.value);
-    const total = items.reduce((a, d) => a + (d.value || 0), 0);
-    setBreakdown({ open: true, title, items, total, bucket: mapTitleToBucket(title) });
-    setEditIndex(null);
-    setEditValue("");
+  function openBreakdown(title) {
+    setBreakdown({ open: true, title, bucket: mapTitleToBucket(title) });
+    setOpenCat(null);
+    setBudgetEdit(null);
+    setEditId(null);
     setConfirmDel(null);
   }
 
-  function currentMonthBucket() {
-    return data.months[selectedMonth] || emptyMonth(TEMPLATES);
+  function closeBreakdown() {
+    setBreakdown({ open: false, title: "", bucket: null });
   }
 
-  function prevMonthKey(key) {
-    const [y, m] = key.split('-').map(Number);
-    const d = new Date(y, m - 2, 1);
-    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  function chartDataForBucket(bucket) {
+    if (bucket === 'expense') return expenseData;
+    if (bucket === 'income') return incomeData;
+    if (bucket === 'saving-invest') return savingInvestData;
+    if (bucket === 'liability') return liabilityData;
+    return [];
   }
 
+  // Derived on every render so edits show up while the modal is open
+  // Budgeted categories without any actuals are listed too
+  const breakdownItems = breakdown.open ? [
+    ...chartDataForBucket(breakdown.bucket),
+    ...Object.keys(viewBudgets[breakdown.bucket] || {})
+      .filter((cat) => !aggregated[breakdown.bucket][cat])
+      .map((name) => ({ name, value: 0 }))
+  ].sort((a, b) => b.value - a.value) : [];
+  const breakdownTotal = breakdownItems.reduce((a, d) => a + (d.value || 0), 0);
+
+  function bucketsFor(bucketName) {
+    return bucketName === 'saving-invest' ? ['saving', 'investment'] : [bucketName];
+  }
+
+  // Entries behind a category across the months in view; balances list the closing month's entries
+  function categoryEntries(cat, bucketName) {
+    if (!bucketName) return [];
+    const buckets = bucketsFor(bucketName);
+    const keys = buckets.every(isBalanceBucket) ? [period.closingKey].filter(Boolean) : monthKeysForView;
+    return keys
+      .flatMap((k) => entriesFor(data.months[k], buckets, cat))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Value of a category in the comparison period
   function getPrevValueFor(cat, bucketName) {
-    const prevKey = prevMonthKey(selectedMonth);
-    const prevMonth = data.months[prevKey];
-    if (!prevMonth) return 0;
-    if (bucketName === 'saving-invest') {
-      return Number(prevMonth.saving?.[cat] || 0) + Number(prevMonth.investment?.[cat] || 0);
-    }
-    return Number(prevMonth[bucketName]?.[cat] || 0);
-  }
-
-  function updateAmount(cat, newAmtNum) {
-    const bucket = breakdown.bucket;
-    if (!bucket) return; // Net Worth
-    // snapshot for undo
-    const before = currentMonthBucket();
-    const oldVal = bucket === 'saving-invest'
-      ? Number(before.saving?.[cat] || 0) + Number(before.investment?.[cat] || 0)
-      : Number(before[bucket]?.[cat] || 0);
-
-    setData((prev) => {
-      const next = { ...prev, months: { ...prev.months } };
-      const base = next.months[selectedMonth] || emptyMonth(TEMPLATES);
-      const applyTo = (k) => {
-        const m = { ...base, [k]: { ...base[k] } };
-        m[k][cat] = Number(newAmtNum) || 0;
-        next.months[selectedMonth] = m;
-      };
-      if (bucket === 'saving-invest') {
-        if (base.saving && Object.prototype.hasOwnProperty.call(base.saving, cat)) applyTo('saving');
-        else if (base.investment && Object.prototype.hasOwnProperty.call(base.investment, cat)) applyTo('investment');
-        else if (TEMPLATES.saving.includes(cat)) applyTo('saving');
-        else applyTo('investment');
-      } else {
-        applyTo(bucket);
-      }
-      return next;
-    });
+    return bucketsFor(bucketName).reduce((a, b) => a + Number(compared[b][cat] || 0), 0);
+  }
+
+  const currencyOptions = knownCurrencies(data, [settings.currency, homeCurrency, "EUR", "GBP", "USD"]);
+
+  function startEditEntry(entry) {
+    setEditId(entry.id);
+    setEditDraft({ date: entry.date, amount: formatAmount(entry.amount, locale), note: entry.note || "", currency: entry.currency || homeCurrency });
+  }
 
-    showUndo(`Changed ${cat} to ${fmtCurrency(newAmtNum)}`, () => updateAmount(cat, oldVal));
+  function saveEditEntry() {
+    const amount = parseLocaleAmount(editDraft.amount, locale);
+    if (!Number.isFinite(amount) || !/^\d{4}-\d{2}-\d{2}$/.test(editDraft.date)) return;
+    updateEntry(editId, { date: editDraft.date, amount, note: editDraft.note.trim(), currency: editDraft.currency });
+    setEditId(null);
   }
 
-  function deleteAmount(cat) {
-    const before = currentMonthBucket();
-    const bucket = breakdown.bucket;
-    const oldVal = bucket === 'saving-invest'
-      ? Number(before.saving?.[cat] || 0) + Number(before.investment?.[cat] || 0)
-      : Number(before[bucket]?.[cat] || 0);
-    updateAmount(cat, 0);
-    showUndo(`Deleted ${cat}`, () => updateAmount(cat, oldVal));
+  // Budget editor (targets are set for the selected month and roll forward unless "this month only")
+  const [budgetEdit, setBudgetEdit] = useState(null); // { cat, value, only }
+
+  function saveBudget(bucket, cat, amount, only) {
+    change(amount == null ? `Cleared ${cat} budget` : `Set ${cat} budget to ${fmtCurrency(amount)}`, {
+      data: { ...data, budgets: withBudget(data.budgets, bucket, cat, selectedMonth, amount, only) }
+    });
+    setBudgetEdit(null);
+  }
+
+  function deleteCategory(cat) {
+    deleteEntries(categoryEntries(cat, breakdown.bucket), `Deleted ${cat}`);
   }
 
   function tagFor(cat) {
-    const base = currentMonthBucket();
-    if (Object.prototype.hasOwnProperty.call(base.expense, cat)) return { label: 'Expense', cls: 'bg-orange-100 text-orange-700' };
-    if (Object.prototype.hasOwnProperty.call(base.income, cat)) return { label: 'Income', cls: 'bg-emerald-100 text-emerald-700' };
-    if (Object.prototype.hasOwnProperty.call(base.saving, cat)) return { label: 'Saving', cls: 'bg-emerald-50 text-emerald-700' };
-    if (Object.prototype.hasOwnProperty.call(base.investment, cat)) return { label: 'Investment', cls: 'bg-teal-50 text-teal-700' };
+    if (Object.prototype.hasOwnProperty.call(aggregated.expense, cat)) return { label: t('Expense'), cls: 'bg-orange-100 text-orange-700' };
+    if (Object.prototype.hasOwnProperty.call(aggregated.income, cat)) return { label: t('Income'), cls: 'bg-emerald-100 text-emerald-700' };
+    if (Object.prototype.hasOwnProperty.call(aggregated.saving, cat)) return { label: t('Saving'), cls: 'bg-emerald-50 text-emerald-700' };
+    if (Object.prototype.hasOwnProperty.call(aggregated.investment, cat)) return { label: t('Investment'), cls: 'bg-teal-50 text-teal-700' };
+    if (Object.prototype.hasOwnProperty.call(aggregated.liability, cat)) return { label: t('Liability'), cls: 'bg-rose-50 text-rose-700' };
     return null;
   }
 
-  // Export (CSV / Excel) for month or annual (fiscal year aware)
-  async function exportData(scope, format) {
-    const keys = scope === 'month' ? [selectedMonth] : fiscalYearKeysFor(selectedMonth);
+  // Bank statement import
+  const [showBankImport, setShowBankImport] = useState(false);
+  const importedKeys = useMemo(() => {
+    const keys = new Set();
+    for (const m of Object.values(data.months)) {
+      for (const e of m.entries) if (e.importKey) keys.add(e.importKey);
+    }
+    return keys;
+  }, [data]);
+
+  // One undo removes every entry of the import and the rules it saved
+  function importTransactions(entries, newRules) {
+    addEntries(entries, `Imported ${entries.length} transaction(s)`, newRules.length ? {
+      rules: [...newRules, ...rules.filter((r) => !newRules.some((n) => n.pattern.toUpperCase() === r.pattern.toUpperCase()))]
+    } : undefined);
+    setShowBankImport(false);
+  }
+
+  // Spreadsheet import (round-trips exportData's rows, or a wide months-as-columns sheet)
+  const [showSheetImport, setShowSheetImport] = useState(false);
+
+  function importSpreadsheet(touched, newTemplates) {
+    let templates = categories;
+    for (const [k, cats] of Object.entries(newTemplates)) for (const c of cats) templates = withCategoryAdded(templates, k, c);
+    change(`Imported ${Object.keys(touched).length} month(s)`, {
+      data: { ...data, months: { ...data.months, ...touched } },
+      ...(Object.keys(newTemplates).length ? { templates } : {})
+    });
+    setShowSheetImport(false);
+  }
+
+  // Recurring entries (rules live in data.recurring so they travel with backups)
+  const [showRecurring, setShowRecurring] = useState(false);
+  const postedRuleIds = useMemo(() => (
+    new Set((data.months[selectedMonth]?.entries || []).filter((e) => e.ruleId).map((e) => e.ruleId))
+  ), [data, selectedMonth]);
+
+  function updateRecurring(next, label) {
+    change(label, { data: { ...data, recurring: next } });
+  }
+
+  // One-off future items for the forecast (data.oneOffs); they never become entries
+  function addOneOff(item) {
+    change(`Planned ${item.category} for ${item.month}`, { data: { ...data, oneOffs: [...(data.oneOffs || []), item] } });
+  }
+
+  function removeOneOff(item) {
+    change(`Removed planned ${item.category} for ${item.month}`, { data: { ...data, oneOffs: (data.oneOffs || []).filter((i) => i.id !== item.id) } });
+  }
+
+  // forecast months have no converter of their own; rates fall back to the latest earlier month
+  const convertAt = useCallback((key, amount, currency) => (
+    (converters[key] || converterFor(data.rates, homeCurrency, settings.currency, key)).convert(amount, currency)
+  ), [converters, data.rates, homeCurrency, settings.currency]);
+
+  // Savings goals (data.goals), measured at the closing month of the period in view
+  const [showGoals, setShowGoals] = useState(false);
+  const goalsAsOf = period.closingKey || selectedMonth;
+  const goalItems = useMemo(() => (data.goals || []).map((goal) => ({
+    goal, progress: goalProgress(goal, totalsByMonth, goalsAsOf, convertAt(goalsAsOf, goal.target, goal.currency))
+  })), [data.goals, totalsByMonth, goalsAsOf, convertAt]);
+
+  function updateGoals(next, label) {
+    change(label, { data: { ...data, goals: next } });
+  }
+
+  // Investment holdings (data.holdings); a new holding's category joins the investment list
+  const [showHoldings, setShowHoldings] = useState(false);
+  function updateHoldings(next, label, opts = {}) {
+    const added = next.find((h) => !(data.holdings || []).some((x) => x.id === h.id));
+    const templates = added ? withCategoryAdded(categories, "investment", added.category) : categories;
+    change(label || "Edited holding prices", {
+      data: { ...data, holdings: next },
+      ...(templates !== categories ? { templates } : {})
+    }, label ? {} : { ...opts, quiet: true });
+  }
+
+  // Holding figures for the period in view and its fiscal year to date
+  function holdingPanel(cat) {
+    const h = holdingFor(data.holdings, cat);
+    if (!h || !period.closingKey) return null;
+    const fyKeys = periodRange("fy", period.closingKey, settings.fyStartMonth).keys.filter((k) => k <= period.closingKey);
+    return { holding: h, period: holdingFigures(h, monthKeysForView, convertAt), fy: holdingFigures(h, fyKeys, convertAt) };
+  }
+
+  // Sankey of the period; a balance's contribution is its change, or for a holding the money put in.
+  // The first month on record has no opening balances, so it shows no contributions.
+  const flowGraph = useMemo(() => {
+    if (!monthsOrder.some((k) => k < monthKeysForView[0])) return cashFlowGraph(aggregated, {});
+    const investment = Object.fromEntries(Object.entries(period.change.investment).map(([cat, v]) => {
+      const h = holdingFor(data.holdings, cat);
+      return [cat, h && period.closingKey ? holdingFigures(h, monthKeysForView, convertAt).contributions : v];
+    }));
+    return cashFlowGraph(aggregated, { saving: period.change.saving, investment });
+  }, [period, aggregated, data.holdings, monthKeysForView, monthsOrder, convertAt]);
+
+  // Exchange-rate table (data.rates)
+  const [showRates, setShowRates] = useState(false);
+
+  // typing into the table arrives without a label and is folded into one quiet step
+  function updateRates(next, label) {
+    change(label || "Edited exchange rates", { data: { ...data, rates: next } }, label ? {} : { mergeKey: "rates", quiet: true });
+  }
+
+  // Export (CSV / Excel) of the selected period, one block per month
+  // Balance buckets carry Opening/Closing/Change columns; a multi-month export ends with period summary
+  // rows, and the summary (or the single month) carries the comparison period's value and the delta
+  async function exportData(format) {
+    const keys = periodKind === 'month' ? [selectedMonth] : currentRange.keys;
+    const summaryLabel = keys.length > 1 ? currentRange.label : selectedMonth;
     const rows = [];
+    // Amount is in the reporting currency; Original lists the entries' own currencies when they differ.
+    // Month stays YYYY-MM so the file imports again; Month Name spells it out in the locale
+    const monthName = (label) => (/^\d{4}-\d{2}$/.test(label) ? formatMonth(label, locale) : label);
+    const pushRow = (r) => rows.push({
+      Month: "", "Month Name": monthName(r.Month || ""), Bucket: "", Category: "", Amount: 0, Currency: settings.currency, Original: "",
+      Opening: "", Closing: "", Change: "", Budget: "", Variance: "", "Compared With": "", Compare: "", Delta: "",
+      Units: "", Price: "", "Cost Basis": "", Contributions: "", Unrealised: "", Realised: "", "Market Move": "", ...r
+    });
+    // investment holdings add their units, price and gains for the month or period
+    const holdingCols = (bucket, cat, ks) => {
+      const h = bucket === "investment" && holdingFor(data.holdings, cat);
+      if (!h) return {};
+      const f = holdingFigures(h, ks, convertAt);
+      return {
+        Original: "", Units: f.units, Price: f.price ?? "", "Cost Basis": f.cost, Contributions: f.contributions,
+        Unrealised: f.unrealised, Realised: f.realised, "Market Move": f.marketMove
+      };
+    };
+    const originalFor = (k, bucket, cat) => {
+      if (!data.months[k]) return "";
+      const byCur = {};
+      for (const e of entriesFor(data.months[k], [bucket], cat)) {
+        const cur = e.currency || homeCurrency;
+        byCur[cur] = (byCur[cur] || 0) + Number(e.amount);
+      }
+      const curs = Object.keys(byCur);
+      if (curs.every((c) => c === settings.currency)) return "";
+      return curs.map((c) => `${byCur[c].toFixed(2)} ${c}`).join("; ");
+    };
+    const balanceRows = (label, bucket, opening, closing, cats, ks) => {
+      for (const cat of cats) {
+        const open = Number(opening[cat] || 0);
+        const close = Number(closing[cat] || 0);
+        pushRow({ Month: label, Bucket: bucket, Category: cat, Amount: close, Original: originalFor(label, bucket, cat), Opening: open, Closing: close, Change: close - open, ...holdingCols(bucket, cat, ks) });
+      }
+    };
+    // Variance = actual - budget
+    const flowRows = (label, bucket, totals, budgets) => {
+      for (const cat of new Set([...Object.keys(totals), ...Object.keys(budgets)])) {
+        const amount = Number(totals[cat] || 0);
+        const budget = budgets[cat];
+        pushRow({ Month: label, Bucket: bucket, Category: cat, Amount: amount, Original: originalFor(label, bucket, cat), Budget: budget ?? "", Variance: budget != null ? amount - budget : "" });
+      }
+    };
     for (const k of keys) {
-      const m = data.months[k];
-      if (!m) continue;
-      for (const bucket of ['income','expense','saving','investment']) {
-        for (const [cat, val] of Object.entries(m[bucket] || {})) {
-          rows.push({ Month: k, Bucket: bucket, Category: cat, Amount: Number(val) });
+      const totals = totalsByMonth[k];
+      if (!totals) continue;
+      const opening = balancesBefore(totalsByMonth, k);
+      for (const bucket of BUCKETS) {
+        if (isBalanceBucket(bucket)) {
+          const cats = new Set([...Object.keys(totals[bucket]), ...Object.keys(opening[bucket]).filter((c) => opening[bucket][c])]);
+          balanceRows(k, bucket, opening[bucket], totals[bucket], cats, [k]);
+          continue;
+        }
+        flowRows(k, bucket, totals[bucket], Object.fromEntries(
+          Object.keys(data.budgets?.[bucket] || {}).map((cat) => [cat, budgetFor(data.budgets, bucket, cat, k)]).filter(([, v]) => v != null)
+        ));
+      }
+    }
+    if (keys.length > 1 && rows.length) {
+      const label = summaryLabel;
+      const fy = aggregatePeriod(totalsByMonth, keys);
+      for (const bucket of BUCKETS) {
+        if (isBalanceBucket(bucket)) {
+          balanceRows(label, bucket, fy.opening[bucket], fy.totals[bucket], Object.keys(fy.change[bucket]), keys);
+          continue;
         }
+        flowRows(label, bucket, fy.totals[bucket], budgetTotals(data.budgets, bucket, keys.filter((k) => totalsByMonth[k])));
       }
     }
 
     if (!rows.length) return;
+    for (const r of rows) {
+      if (r.Month !== summaryLabel) continue;
+      const before = Number(compared[r.Bucket]?.[r.Category] || 0);
+      Object.assign(r, { "Compared With": compareRange.label, Compare: before, Delta: r.Amount - before });
+    }
+    // goals as of the period's closing month: Amount is saved so far, Budget the target
+    const goalSheet = goalItems.map(({ goal, progress: p }) => ({
+      Goal: goal.name, "As Of": goalsAsOf, "As Of Name": formatMonth(goalsAsOf, locale), Saved: p.saved, Target: p.target, Currency: settings.currency, Percent: Number(p.pct.toFixed(1)),
+      "Target Date": goal.targetDate, "Required / Month": p.required, "Average / Month": p.average,
+      Projected: p.projected || "", "Funded By": goal.funding.map((f) => f.category).join("; ")
+    }));
+    const name = `budget_${summaryLabel.replace(/[^\w-]+/g, '_')}`;
 
     if (format === 'csv') {
+      for (const { goal, progress: p } of goalItems) {
+        pushRow({ Month: goalsAsOf, Bucket: "goal", Category: goal.name, Amount: p.saved, Budget: p.target, Variance: p.saved - p.target });
+      }
+      const cell = (v) => (typeof v === 'number' || v === '' ? v : `"${String(v).replace(/"/g,'""')}"`);
       const header = Object.keys(rows[0]).join(',');
-      const csv = [header, ...rows.map(r => `${r.Month},${r.Bucket},"${String(r.Category).replace(/\"/g,'\"\"')}",${r.Amount}`)].join('\n');
+      const csv = [header, ...rows.map(r => Object.values(r).map(cell).join(','))].join('\n');
       const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      const name = scope === 'month' ? `budget_${selectedMonth}` : `budget_FY-${selectedMonth.slice(0,4)}`;
       a.download = `${name}.csv`;
       a.click();
       URL.revokeObjectURL(url);
@@ -319,59 +720,166 @@ export default function BudgetDashboard() {
       const XLSX = (await import('xlsx')).default;
       const ws = XLSX.utils.json_to_sheet(rows);
       const wb = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(wb, ws, scope === 'month' ? selectedMonth : `FY-${selectedMonth.slice(0,4)}`);
-      const name = scope === 'month' ? `budget_${selectedMonth}` : `budget_FY-${selectedMonth.slice(0,4)}`;
+      XLSX.utils.book_append_sheet(wb, ws, summaryLabel.replace(/[\\/?*[\]:]/g, '-').slice(0, 31));
+      // every entry with its original amount/currency next to the converted amount
+      const entryRows = keys.filter((k) => data.months[k]).flatMap((k) => data.months[k].entries.map((e) => ({
+        Date: e.date, Bucket: e.bucket, Category: e.category, Note: e.note || "",
+        "Original Amount": Number(e.amount), "Original Currency": e.currency || homeCurrency,
+        Amount: converters[k].convert(e.amount, e.currency), Currency: settings.currency
+      })));
+      if (entryRows.length) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(entryRows), "Entries");
+      if (goalSheet.length) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(goalSheet), "Goals");
       XLSX.writeFile(wb, `${name}.xlsx`);
     }
   }
 
+  // Printable / PDF report of the selected period against its comparison
+  const [showReport, setShowReport] = useState(false);
+  const report = useMemo(() => (showReport ? buildReport(aggregated, compared) : null), [showReport, aggregated, compared]);
+  // the report's pies label their slices in the UI language, as ChartCard does
+  const shownNames = (rows, label = t.category) => rows.map((d) => ({ ...d, name: label(d.name) }));
+
   // Backup (full JSON) and import
   function downloadBackup() {
-    const payload = { data, templates: userTemplates, settings };
+    const payload = { version: SCHEMA_VERSION, profile: name, data, templates: categories, settings, rules, history };
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'pl_backup.json';
+    a.download = `pl_backup_${name.replace(/[^\w-]+/g, '_')}.json`;
     a.click();
     URL.revokeObjectURL(url);
   }
 
+  // Backups are upgraded and validated first, then previewed before they replace or merge
+  const [backupImport, setBackupImport] = useState(null); // { fileName, preview }
+
   async function importBackup(file) {
-    try {
-      const text = await file.text();
-      const json = JSON.parse(text);
-      if (json.data) setData(json.data);
-      if (json.templates) setUserTemplates(json.templates);
-      if (json.settings) setSettings(json.settings);
-    } catch (e) {
-      alert('Import failed. Please select a valid backup JSON.');
+    setBackupImport({ fileName: file.name, preview: readBackup(await file.text()) });
+    setShowSettings(false);
+  }
+
+  function applyBackup(mode) {
+    const incoming = backupImport.preview.payload;
+    const current = { data, templates: categories, settings, rules };
+    const next = mode === "merge" ? mergePayloads(current, incoming) : { ...current, ...Object.fromEntries(Object.entries(incoming).filter(([k, v]) => k in current && v !== undefined)) };
+    change(mode === "merge" ? `Merged ${backupImport.fileName}` : `Replaced data with ${backupImport.fileName}`, {
+      data: next.data, templates: next.templates, settings: next.settings, rules: next.rules
+    });
+    // the backup's change log joins ours; its undo stack belongs to its own data and is dropped
+    if (incoming.history?.log?.length) {
+      setHistory((h) => {
+        const ids = new Set(h.log.map((l) => l.id));
+        const log = [...h.log, ...incoming.history.log.filter((l) => !ids.has(l.id))].sort((a, b) => b.at.localeCompare(a.at));
+        return { ...h, log: log.slice(0, LOG_LIMIT) };
+      });
     }
+    setBackupImport(null);
   }
 
   // Resets
   function resetData() {
-    if (!confirm('Reset all month data? This cannot be undone.')) return;
-    setData(createInitialData(TEMPLATES));
+    if (!confirm(t('Reset all month data? You can still undo it from History.'))) return;
+    change("Reset all month data", { data: createInitialData() });
   }
   function resetTemplates() {
-    if (!confirm('Reset custom subheadings? This cannot be undone.')) return;
-    setUserTemplates({ income: [], saving: [], investment: [], expense: [] });
+    if (!confirm(t('Reset categories to the built-in lists? You can still undo it from History.'))) return;
+    change("Reset categories", { templates: seedTemplates() });
+  }
+
+  // Category management; renames, merges and moves rewrite every reference in one step
+  const [showCategories, setShowCategories] = useState(false);
+  const usage = useMemo(() => categoryUsage(data), [data]);
+
+  function renameCategory(bucket, from, to) {
+    const merge = (categories[bucket] || []).some((c) => c.name === to);
+    change(merge ? `Merged ${from} into ${to}` : `Renamed ${from} to ${to}`, rewriteCategory({ data, templates: categories, settings, rules }, { bucket, name: from }, { bucket, name: to }));
+  }
+
+  function moveCategory(bucket, name, toBucket) {
+    change(`Moved ${name} from ${bucket} to ${toBucket}`, rewriteCategory({ data, templates: categories, settings, rules }, { bucket, name }, { bucket: toBucket, name }));
   }
 
   // Settings modal
   const [showSettings, setShowSettings] = useState(false);
 
-  function ChartCard({ title, data, colors, onClick }) {
+  // Month-close review (lib/review.js): unusual and missing categories of a month, offered by
+  // shiftMonth when moving on and from the command bar; acknowledgements live in data.reviews
+  const [review, setReview] = useState(null); // month key under review
+  const reviewMuted = settings.reviewMuted || {};
+
+  function findingsFor(key) {
+    return openFindings(monthFindings(totalsByMonth, key, reviewMuted), data.reviews, key);
+  }
+
+  function acknowledgeFinding(f) {
+    change(`Reviewed ${f.category} in ${review}`, { data: { ...data, reviews: withAcknowledged(data.reviews, review, f) } });
+  }
+
+  function muteFinding(bucket, category, on) {
+    change(`${on ? "Muted" : "Unmuted"} ${category} in month reviews`, { settings: { ...settings, reviewMuted: withMuted(reviewMuted, bucket, category, on) } });
+  }
+
+  // back to the reviewed month: a missing item opens the add dialog with its usual amount,
+  // anything else the bucket's breakdown at the category
+  function editFinding(f) {
+    setReview(null);
+    setPeriodKind("month");
+    setSelectedMonth(review);
+    if (f.kind === "missing") {
+      setNewCat(f.category);
+      setNewAmt(formatAmount(Math.round(f.mean * 100) / 100, locale));
+      setShowMenu(true);
+      setShowAdder(f.bucket);
+    } else {
+      openBreakdown(f.bucket === "income" ? "Income" : "Expenses / Costs");
+      setOpenCat(f.category);
+    }
+  }
+
+  // Ctrl/Cmd+K command bar: quick entries typed as text, plus the header's actions
+  const [showCommand, setShowCommand] = useState(false);
+  const commands = [
+    { label: t("Previous month"), run: () => shiftMonth(-1) },
+    { label: t("Next month"), run: () => shiftMonth(1) },
+    { label: t("Review month"), run: () => setReview(selectedMonth) },
+    ...["Dashboard", "Trends", "Forecast"].map((v) => ({ label: t("Show {view}", { view: t(v) }), run: () => setView(v) })),
+    { label: t("Export CSV"), run: () => exportData('csv') },
+    { label: t("Export XLSX"), run: () => exportData('xlsx') },
+    { label: t("Open report"), run: () => setShowReport(true) },
+    { label: t("Open settings"), run: () => setShowSettings(true) },
+    { label: t("Manage categories"), run: () => setShowCategories(true) },
+    { label: t("Recurring entries"), run: () => setShowRecurring(true) },
+    { label: t("Investment holdings"), run: () => setShowHoldings(true) },
+    { label: t("Savings goals"), run: () => setShowGoals(true) },
+    { label: t("Exchange rates"), run: () => setShowRates(true) },
+    { label: t("Import bank statement"), run: () => setShowBankImport(true) },
+    { label: t("Import spreadsheet"), run: () => setShowSheetImport(true) },
+    { label: t("Change history"), run: () => setShowLog(true) },
+    { label: t("Sync"), run: () => setShowSync(true) },
+    { label: t("Undo"), run: undo },
+    { label: t("Redo"), run: redo }
+  ];
+
+  function addQuickEntry({ bucket, category, amount, date, note, currency }) {
+    addEntries([makeEntry({ date, bucket, category, amount, note, currency })], `Added ${fmtCurrency(amount, currency)} to ${category}`);
+    setSelectedMonth(monthKeyOf(date));
+  }
+
+  // title and slice names are translated here (slices are categories unless `label` says
+  // otherwise); the data keeps the stored names
+  function ChartCard({ title, subtitle, data, colors, onClick, label = t.category }) {
     const pieClass = settings.compactMode ? "h-48 md:h-44" : "h-64 md:h-56";
+    const slices = data.map((d) => ({ ...d, name: label(d.name) }));
     return (
       <div className={"bg-white rounded-2xl shadow p-4 flex flex-col cursor-pointer " + (settings.compactMode ? "text-sm" : "")} onClick={onClick}>
-        <div className={"text-center font-semibold mb-2 " + (settings.compactMode ? "text-base" : "text-base md:text-xl")}>{title}</div>
+        <div className={"text-center font-semibold mb-2 " + (settings.compactMode ? "text-base" : "text-base md:text-xl")}>{t(title)}</div>
+        {subtitle}
         <div className={pieClass}>
           <ResponsiveContainer width="100%" height="100%">
             <PieChart>
-              <Pie data={data} dataKey="value" nameKey="name" cx="50%" cy="50%" innerRadius={60} outerRadius={settings.compactMode ? 80 : 90} paddingAngle={2} label>
-                {data.map((entry, index) => (<Cell key={`cell-${index}`} fill={colors[index % colors.length]} />))}
+              <Pie data={slices} dataKey="value" nameKey="name" cx="50%" cy="50%" innerRadius={60} outerRadius={settings.compactMode ? 80 : 90} paddingAngle={2} label>
+                {slices.map((entry, index) => (<Cell key={`cell-${index}`} fill={entry.color || colors[index % colors.length]} />))}
               </Pie>
               <Tooltip formatter={(v) => fmtCurrency(v)} />
               <Legend wrapperStyle={{ fontSize: settings.compactMode ? 10 : 12 }} />
@@ -383,160 +891,636 @@ export default function BudgetDashboard() {
   }
 
   return (
-    <div className="min-h-screen w-full bg-slate-50 p-3 md:p-4">
+    <div className={"min-h-screen w-full bg-slate-50 p-3 md:p-4 " + (showReport ? "has-report" : "")}>
       {/* Header with quick date switcher, export, and settings */}
       <div className={"flex flex-col md:flex-row gap-3 md:gap-4 items-stretch md:items-center justify-between mb-4 " + (settings.compactMode ? "text-sm" : "")}>
-        <div className={"font-bold " + (settings.compactMode ? "text-lg" : "text-xl md:text-2xl")}>Budget Overview</div>
+        <div className="flex items-center gap-3 flex-wrap">
+          <div className={"font-bold " + (settings.compactMode ? "text-lg" : "text-xl md:text-2xl")}>{t("Budget Overview")}</div>
+          {profileBar(t)}
+        </div>
         <div className="flex gap-2 items-center flex-wrap">
-          <button aria-label="Previous month" className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => shiftMonth(-1)}>◀</button>
-          <select className="border rounded-xl px-3 py-2 bg-white text-sm md:text-base" value={selectedMonth} onChange={(e) => setSelectedMonth(e.target.value)}>
-            {monthsOrder.map((m) => (<option key={m} value={m}>{m}</option>))}
+          <button aria-label={t("Previous month")} className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => shiftMonth(-1)}>◀</button>
+          <select aria-label={t("Month")} className="border rounded-xl px-3 py-2 bg-white text-sm md:text-base" value={selectedMonth} onChange={(e) => setSelectedMonth(e.target.value)}>
+            {monthsOrder.map((m) => (<option key={m} value={m}>{formatMonth(m, locale)}</option>))}
           </select>
-          <button aria-label="Next month" className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => shiftMonth(1)}>▶</button>
+          <button aria-label={t("Next month")} className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => shiftMonth(1)}>▶</button>
           <div className="flex bg-white rounded-xl shadow overflow-hidden">
-            {["Monthly", "Annual"].map((m) => (
-              <button key={m} onClick={() => setView(m)} className={`px-3 py-2 text-sm ${view === m ? "bg-emerald-500 text-white" : "hover:bg-slate-100"}`}>{m}</button>
+            {["Dashboard", "Trends", "Forecast"].map((m) => (
+              <button key={m} onClick={() => setView(m)} className={`px-3 py-2 text-sm ${view === m ? "bg-emerald-500 text-white" : "hover:bg-slate-100"}`}>{t(m)}</button>
             ))}
           </div>
+          {view === "Dashboard" && (
+            <>
+              <select aria-label={t("Period")} className="border rounded-xl px-3 py-2 bg-white text-sm" value={periodKind} onChange={(e) => setPeriodKind(e.target.value)}>
+                {PERIOD_KINDS.map(({ k, label }) => (<option key={k} value={k}>{t(label)}</option>))}
+              </select>
+              {periodKind === "custom" && (
+                <>
+                  <input type="month" aria-label={t("From")} className="border rounded-xl px-3 py-2 bg-white text-sm" value={customRange.from || selectedMonth} onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })} />
+                  <span>{t("to")}</span>
+                  <input type="month" aria-label={t("To")} className="border rounded-xl px-3 py-2 bg-white text-sm" value={customRange.to || customRange.from || selectedMonth} onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })} />
+                </>
+              )}
+              <select aria-label={t("Compare with")} className="border rounded-xl px-3 py-2 bg-white text-sm" value={compareMode} onChange={(e) => setCompareMode(e.target.value)}>
+                {COMPARISONS.map(({ k, label }) => (<option key={k} value={k}>{t("vs {period}", { period: t(label) })}</option>))}
+              </select>
+              <button className={`px-3 py-2 rounded-xl shadow text-sm ${sideBySide ? "bg-emerald-500 text-white" : "bg-white hover:bg-slate-100"}`} onClick={() => setSideBySide(!sideBySide)}>{t("Side by side")}</button>
+            </>
+          )}
           <div className="flex gap-2">
-            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('month','csv')}>Export Month CSV</button>
-            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('month','xlsx')}>Export Month XLSX</button>
-            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('year','csv')}>Export Year CSV</button>
-            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('year','xlsx')}>Export Year XLSX</button>
+            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('csv')}>{t("Export CSV")}</button>
+            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => exportData('xlsx')}>{t("Export XLSX")}</button>
+            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowReport(true)}>{t("Report")}</button>
           </div>
-          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowSettings(true)}>Settings</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowBankImport(true)}>{t("Import Statement")}</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowSheetImport(true)}>{t("Import Spreadsheet")}</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowRecurring(true)}>{t("Recurring")}</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowHoldings(true)}>{t("Holdings")}</button>
+          <div className="flex bg-white rounded-xl shadow overflow-hidden">
+            <button aria-label={t("Undo")} title={history.undo.length ? t("Undo {label} (Ctrl+Z)", { label: history.undo[history.undo.length - 1].label }) : t("Nothing to undo")} disabled={!history.undo.length} className="px-3 py-2 hover:bg-slate-100 disabled:opacity-40" onClick={undo}>↶</button>
+            <button aria-label={t("Redo")} title={history.redo.length ? t("Redo {label} (Ctrl+Shift+Z)", { label: history.redo[history.redo.length - 1].label }) : t("Nothing to redo")} disabled={!history.redo.length} className="px-3 py-2 hover:bg-slate-100 disabled:opacity-40" onClick={redo}>↷</button>
+            <button className="px-3 py-2 hover:bg-slate-100" onClick={() => setShowLog(true)}>{t("History")}</button>
+          </div>
+          {!readOnly && (
+            <button className={`px-3 py-2 rounded-xl shadow ${syncConflicts ? "bg-amber-500 text-white" : "bg-white hover:bg-slate-100"}`} onClick={() => setShowSync(true)}>
+              {!sync?.ledger ? t("Sync")
+                : syncConflicts ? t("Sync: {count} conflict(s)", { count: syncConflicts.conflicts.length })
+                : syncStatus?.state === "syncing" ? t("Syncing…")
+                : syncStatus?.state === "offline" ? (syncPending ? t("Offline · not synced") : t("Offline"))
+                : syncStatus?.state === "error" ? t("Sync failed")
+                : syncPending ? t("Sync · pending") : t("Synced")}
+            </button>
+          )}
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setShowSettings(true)}>{t("Settings")}</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" title={t("Quick entry and commands (Ctrl+K)")} onClick={() => setShowCommand(true)}>⌘K</button>
         </div>
       </div>
 
-      {/* Four charts: Expenses/Costs, Saving/Investments, Income, Net Worth */}
-      <div className={"grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4 " + (settings.compactMode ? "max-w-4xl mx-auto" : "")}>
-        <ChartCard title="Expenses / Costs" data={expenseData} colors={COLORS_EXPENSES} onClick={() => openBreakdown('Expenses / Costs', expenseData)} />
-        <ChartCard title="Saving / Investments" data={savingInvestData} colors={COLORS_ASSETS} onClick={() => openBreakdown('Saving / Investments', savingInvestData)} />
-        <ChartCard title="Income" data={incomeData} colors={COLORS_INCOME} onClick={() => openBreakdown('Income', incomeData)} />
-        <ChartCard title="Net Worth" data={netWorthData} colors={COLORS_NET} onClick={() => openBreakdown('Net Worth', netWorthData)} />
-      </div>
+      {readOnly && (
+        <div className="mb-4 rounded-2xl border border-sky-300 bg-sky-50 p-3 text-sm text-sky-800">
+          {t("Combined view of {name}: every profile's entries, balances, goals and holdings added together, shown with the first profile's settings. It is read-only; budgets stay per profile.", { name })}
+        </div>
+      )}
 
-      {/* Cashflow strip */}
-      <div className={"mt-6 text-center " + (settings.compactMode ? "text-base" : "text-base md:text-lg")}>
-        <span className="font-semibold">Current CashFlow = </span>
-        <span className={`${cashFlow >= 0 ? "text-emerald-600" : "text-rose-600"} font-bold`}>{fmtCurrency(cashFlow)}</span>
-      </div>
+      {/* Stored data that failed validation was set aside (kept as "<part>-invalid" on the profile, or "<key>-invalid" in localStorage when it was moved over) */}
+      {storageErrors.length > 0 && (
+        <div className="mb-4 rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-semibold">{t('Some saved data could not be loaded and was replaced with defaults ({parts}). The original is kept with an "-invalid" suffix.', { parts: Array.from(new Set(storageErrors.map((e) => e.part))).join(", ") })}</span>
+            <button className="text-amber-700" onClick={() => setStorageErrors([])}>✕</button>
+          </div>
+          <ul className="mt-1 list-disc pl-5">
+            {storageErrors.slice(0, 5).map((e, i) => (<li key={i}>{formatError(e)}</li>))}
+          </ul>
+          {storageErrors.length > 5 && <div>{t("…and {count} more.", { count: storageErrors.length - 5 })}</div>}
+        </div>
+      )}
+
+      {view === "Forecast" ? (
+        <div className={settings.compactMode ? "max-w-4xl mx-auto" : ""}>
+          <ForecastView
+            totalsByMonth={totalsByMonth}
+            months={data.months}
+            recurring={data.recurring}
+            oneOffs={data.oneOffs}
+            links={settings.liabilityLinks}
+            convert={convertAt}
+            fyStartMonth={settings.fyStartMonth}
+            templates={TEMPLATES}
+            currencies={currencyOptions}
+            defaultCurrency={homeCurrency}
+            fmtCurrency={fmtCurrency}
+            locale={locale}
+            t={t}
+            compact={settings.compactMode}
+            onAddOneOff={addOneOff}
+            onRemoveOneOff={removeOneOff}
+          />
+        </div>
+      ) : view === "Trends" ? (
+        <div className={settings.compactMode ? "max-w-4xl mx-auto" : ""}>
+          <TrendsView
+            totalsByMonth={totalsByMonth}
+            monthsOrder={monthsOrder}
+            selectedMonth={selectedMonth}
+            categories={categories}
+            fmtCurrency={fmtCurrency}
+            locale={locale}
+            t={t}
+            compact={settings.compactMode}
+            onSelectMonth={(m) => { setSelectedMonth(m); setPeriodKind("month"); setView("Dashboard"); }}
+          />
+        </div>
+      ) : (
+        <>
+          <div className="text-center text-sm text-slate-600 mb-2">{t("{period} · compared with {compare}", { period: currentRange.label, compare: compareRange.label })}</div>
+          {sideBySide && (
+            <ComparePanel
+              labelA={currentRange.label}
+              labelB={compareRange.label}
+              totalsA={aggregated}
+              totalsB={compared}
+              categories={categories}
+              fmtCurrency={fmtCurrency}
+              t={t}
+              showColors={settings.showMoMColors}
+              compact={settings.compactMode}
+            />
+          )}
+          {/* Four charts: Expenses/Costs, Saving/Investments, Income, Net Worth */}
+          <div className={"grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4 " + (settings.compactMode ? "max-w-4xl mx-auto" : "")}>
+            <ChartCard
+            title="Expenses / Costs"
+            subtitle={overBudget.length > 0 && (
+              <div className="text-center text-xs text-rose-600">
+                {t("Over budget: {list}", { list: overBudget.map((o) => `${t.category(o.name)} (+${fmtCurrency(o.over)})`).join(", ") })}
+              </div>
+            )}
+            data={expenseData}
+            colors={COLORS_EXPENSES}
+            onClick={() => openBreakdown('Expenses / Costs')}
+          />
+            <ChartCard
+              title="Saving / Investments"
+              subtitle={<div className="text-center text-sm text-slate-600">{t("Closing {amount}", { amount: fmtCurrency(assetsValue) })} <span className={assetsChange >= 0 ? "text-emerald-600" : "text-rose-600"}>({assetsChange >= 0 ? "▲" : "▼"} {fmtCurrency(Math.abs(assetsChange))} {changeLabel})</span></div>}
+              data={savingInvestData}
+              colors={COLORS_ASSETS}
+              onClick={() => openBreakdown('Saving / Investments')}
+            />
+            <ChartCard title="Income" data={incomeData} colors={COLORS_INCOME} onClick={() => openBreakdown('Income')} />
+            <ChartCard
+              title="Net Worth"
+              subtitle={<div className={`text-center text-sm font-semibold ${netWorthValue >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{t("Net {amount}", { amount: fmtCurrency(netWorthValue) })} <span className="font-normal">({netWorthChange >= 0 ? "▲" : "▼"} {fmtCurrency(Math.abs(netWorthChange))} {changeLabel})</span></div>}
+              data={netWorthData}
+              label={t}
+              colors={netWorthData.map((d) => (d.name === "Assets" ? COLORS_NET[0] : COLORS_NET[1]))}
+              onClick={() => openBreakdown('Net Worth')}
+            />
+          </div>
+
+          {/* Cashflow strip */}
+          <div className={"mt-6 text-center " + (settings.compactMode ? "text-base" : "text-base md:text-lg")}>
+            <span className="font-semibold">{t("Current CashFlow = ")}</span>
+            <span className={`${cashFlow >= 0 ? "text-emerald-600" : "text-rose-600"} font-bold`}>{fmtCurrency(cashFlow)}</span>
+          </div>
+          {missingRates.length > 0 && (
+            <div className="mt-2 text-center text-xs text-amber-700">
+              {t("No exchange rate for {list}; those amounts are shown unconverted.", { list: `${missingRates.slice(0, 4).join(", ")}${missingRates.length > 4 ? "…" : ""}` })}{" "}
+              <button className="underline" onClick={() => setShowRates(true)}>{t("Enter rates")}</button>
+            </div>
+          )}
+          <CashFlowSankey
+            graph={flowGraph}
+            title={currentRange.label}
+            fmtCurrency={fmtCurrency}
+            t={t}
+            compact={settings.compactMode}
+            onNode={(n) => {
+              openBreakdown(n.bucket === "income" ? "Income" : n.bucket === "expense" ? "Expenses / Costs" : "Saving / Investments");
+              if (n.category) setOpenCat(n.category);
+            }}
+          />
+          <KpiPanel
+            kpis={kpis}
+            series={kpiTrend}
+            thresholds={kpiThresholds}
+            showColors={settings.showMoMColors}
+            fmtCurrency={fmtCurrency}
+            locale={locale}
+            t={t}
+            compact={settings.compactMode}
+            onThreshold={(k, v) => setSettings({ ...settings, kpiThresholds: { ...kpiThresholds, [k]: v } })}
+          />
+          <GoalsPanel items={goalItems} asOf={formatMonth(goalsAsOf, locale)} fmtCurrency={fmtCurrency} t={t} compact={settings.compactMode} onManage={() => setShowGoals(true)} />
+        </>
+      )}
 
       {/* Center Add button */}
       <div className="mt-8 flex justify-center">
-        <button className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-6 py-3 rounded-full shadow-lg" onClick={() => setShowMenu(!showMenu)}>+ Add Entry</button>
+        <button className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-6 py-3 rounded-full shadow-lg" onClick={() => setShowMenu(!showMenu)}>{t("+ Add Entry")}</button>
       </div>
 
       {showMenu && (
         <div className="mt-4 flex flex-wrap justify-center gap-3">
-          {[{k:'income',label:'Income',cls:'bg-emerald-500'},{k:'saving',label:'Saving/Cash',cls:'bg-emerald-600'},{k:'investment',label:'Investment/Asset',cls:'bg-teal-500'},{k:'expense',label:'Expense/Cost',cls:'bg-orange-500'}].map(({k,label,cls}) => (
-            <button key={k} className={`px-4 py-2 rounded-xl text-white font-semibold ${cls}`} onClick={() => setShowAdder(k)}>{label}</button>
+          {[{k:'income',label:'Income',cls:'bg-emerald-500'},{k:'saving',label:'Saving/Cash',cls:'bg-emerald-600'},{k:'investment',label:'Investment/Asset',cls:'bg-teal-500'},{k:'expense',label:'Expense/Cost',cls:'bg-orange-500'},{k:'liability',label:'Liability/Debt',cls:'bg-rose-500'}].map(({k,label,cls}) => (
+            <button key={k} className={`px-4 py-2 rounded-xl text-white font-semibold ${cls}`} onClick={() => setShowAdder(k)}>{t(label)}</button>
           ))}
         </div>
       )}
 
       {showAdder && (
-        <div className="mt-6 bg-white p-4 rounded-2xl shadow max-w-md mx-auto">
-          <h3 className="text-lg font-semibold mb-3">Add to {showAdder}</h3>
+        <div ref={adderRef} className="mt-6 bg-white p-4 rounded-2xl shadow max-w-md mx-auto">
+          <h3 className="text-lg font-semibold mb-3">{t("Add to {bucket}", { bucket: t(showAdder) })}</h3>
           <select className="border rounded-xl px-3 py-2 bg-white w-full mb-2" value={newCat} onChange={(e) => setNewCat(e.target.value)}>
-            <option value="">Select category…</option>
-            {TEMPLATES[showAdder].map((c) => (<option key={c} value={c}>{c}</option>))}
+            <option value="">{t("Select category…")}</option>
+            {TEMPLATES[showAdder].map((c) => (<option key={c} value={c}>{t.category(c)}</option>))}
           </select>
-          <input type="text" placeholder="Other (custom name)" className="border rounded-xl px-3 py-2 w-full mb-2" value={newOther} onChange={(e) => setNewOther(e.target.value)} />
+          <input type="text" placeholder={t("Other (custom name)")} className="border rounded-xl px-3 py-2 w-full mb-2" value={newOther} onChange={(e) => setNewOther(e.target.value)} />
           <label className="flex items-center gap-2 text-sm text-slate-600 mb-2">
             <input type="checkbox" checked={rememberSubheading} onChange={(e) => setRememberSubheading(e.target.checked)} />
-            Remember custom name as a subheading for future months
+            {t("Remember custom name as a subheading for future months")}
           </label>
-          <input inputMode="decimal" type="number" step="0.01" placeholder="Amount" className="border rounded-xl px-3 py-2 w-full mb-3" value={newAmt} onChange={(e) => setNewAmt(e.target.value)} />
-          <button className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 py-2 rounded-xl w-full" onClick={() => addItem(showAdder)}>Save</button>
+          <input inputMode="decimal" type="text" placeholder={t("Amount")} className="border rounded-xl px-3 py-2 w-full mb-2" value={newAmt} onChange={(e) => setNewAmt(e.target.value)} />
+          <div className="flex gap-2 mb-3">
+            <input type="date" className="border rounded-xl px-3 py-2" min={`${selectedMonth}-01`} max={lastDayOfMonth(selectedMonth)} value={newDate || defaultDateFor(selectedMonth)} onChange={(e) => setNewDate(e.target.value)} />
+            <input type="text" placeholder={t("Note (optional)")} className="border rounded-xl px-3 py-2 flex-1 min-w-0" value={newNote} onChange={(e) => setNewNote(e.target.value)} />
+            <select aria-label={t("Currency")} className="border rounded-xl px-2 py-2 bg-white" value={newCurrency || settings.currency} onChange={(e) => setNewCurrency(e.target.value)}>
+              {currencyOptions.map((c) => (<option key={c} value={c}>{c}</option>))}
+            </select>
+          </div>
+          <button className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 py-2 rounded-xl w-full" onClick={() => addItem(showAdder)}>{t("Save")}</button>
         </div>
       )}
 
-      {/* Breakdown modal (with percentages + edit/delete + tags + totals + MoM deltas) */}
+      {/* Breakdown modal (with percentages + per-entry edit/delete + tags + totals + MoM deltas) */}
       {breakdown.open && (
-        <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={() => setBreakdown({ open:false, title:"", items:[], total: 0, bucket: null })}>
+        <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={closeBreakdown}>
           <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-4" onClick={(e) => e.stopPropagation()}>
             <div className="flex items-center justify-between mb-3">
-              <h3 className="text-lg font-semibold">{breakdown.title}</h3>
-              <button className="text-slate-600" onClick={() => setBreakdown({ open:false, title:"", items:[], total: 0, bucket: null })}>✕</button>
+              <h3 className="text-lg font-semibold">{t(breakdown.title)}</h3>
+              <button className="text-slate-600" onClick={closeBreakdown}>✕</button>
             </div>
             <div className="space-y-2 max-h-80 overflow-auto">
-              {breakdown.items.map((row, i) => {
-                const pct = breakdown.total ? (row.value / breakdown.total) * 100 : 0;
+              {breakdownItems.map((row) => {
+                const pct = breakdownTotal ? (row.value / breakdownTotal) * 100 : 0;
                 const prevVal = getPrevValueFor(row.name, breakdown.bucket);
                 const delta = Number(row.value) - Number(prevVal);
-                const isEditing = editIndex === i;
                 const tag = tagFor(row.name);
                 const deltaCls = settings.showMoMColors ? (delta >= 0 ? 'text-emerald-600' : 'text-rose-600') : 'text-slate-500';
                 const deltaArrow = delta >= 0 ? '▲' : '▼';
+                const isOpen = openCat === row.name;
+                const entries = isOpen ? categoryEntries(row.name, breakdown.bucket) : [];
+                const budget = viewBudgets[breakdown.bucket]?.[row.name];
+                const remaining = budget != null ? budgetRemaining(breakdown.bucket, row.value, budget) : 0;
+                const canBudget = BUDGET_BUCKETS.includes(breakdown.bucket) && periodKind === "month";
+                const editingBudget = budgetEdit && budgetEdit.cat === row.name;
                 return (
-                  <div key={i} className="flex items-center justify-between gap-2 text-sm">
-                    <div className="flex items-center gap-2 min-w-0">
-                      <span className="truncate">{row.name}</span>
-                      {tag && <span className={`px-2 py-0.5 rounded-full text-xs ${tag.cls}`}>{tag.label}</span>}
+                  <div key={row.name} className="text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2 min-w-0">
+                        <span className="truncate">{t.category(row.name)}</span>
+                        {tag && <span className={`px-2 py-0.5 rounded-full text-xs ${tag.cls}`}>{tag.label}</span>}
+                      </div>
+                      <div className="text-right">
+                        <div>{fmtCurrency(row.value)} ({pct.toFixed(1)}%)</div>
+                        <div className={`${deltaCls} text-xs`}>{deltaArrow} {fmtCurrency(Math.abs(delta))} {changeLabel} ({fmtCurrency(prevVal)})</div>
+                        {budget != null && (
+                          <div className={`text-xs ${remaining >= 0 ? 'text-slate-500' : 'text-rose-600 font-semibold'}`}>
+                            {t("Budget {amount}", { amount: fmtCurrency(budget) })} · {fmtCurrency(Math.abs(remaining))} {t(remaining >= 0 ? (breakdown.bucket === 'income' ? 'above' : 'left') : (breakdown.bucket === 'income' ? 'short' : 'over'))}
+                          </div>
+                        )}
+                      </div>
+                      {breakdown.bucket && (
+                        <div className="flex items-center gap-2">
+                          {confirmDel === row.name ? (
+                            <>
+                              <button className="px-2 py-1 rounded-md bg-rose-600 text-white" onClick={() => { deleteCategory(row.name); setConfirmDel(null); }}>
+                                {t("Confirm")}
+                              </button>
+                              <button className="px-2 py-1 text-slate-600" onClick={() => setConfirmDel(null)}>{t("Cancel")}</button>
+                            </>
+                          ) : (
+                            <>
+                              <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => { setOpenCat(isOpen ? null : row.name); setEditId(null); }}>
+                                {isOpen ? t('Hide') : t('Entries')}
+                              </button>
+                              {canBudget && (
+                                <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setBudgetEdit(editingBudget ? null : { cat: row.name, value: formatAmount(budgetFor(data.budgets, breakdown.bucket, row.name, selectedMonth), locale), only: false })}>
+                                  {t("Budget")}
+                                </button>
+                              )}
+                              <button className="px-2 py-1 rounded-md bg-rose-500 text-white" onClick={() => setConfirmDel(row.name)}>
+                                {t("Delete")}
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
                     </div>
-                    {isEditing ? (
-                      <>
+                    {breakdown.bucket === 'saving-invest' && (() => {
+                      const hp = holdingPanel(row.name);
+                      if (!hp) return null;
+                      const lines = [["Contributions", "contributions"], ["Market value", "value"], ["Unrealised gain", "unrealised"], ["Realised gain", "realised"], ["Market movement", "marketMove"]];
+                      const units = formatAmount(hp.period.units, locale);
+                      return (
+                        <table className="mt-1 ml-3 w-[calc(100%-0.75rem)] text-xs text-slate-600">
+                          <thead>
+                            <tr className="text-slate-500"><th className="text-left font-normal">{hp.period.price != null ? t("{units} units × {price}", { units, price: fmtCurrency(hp.period.price, hp.holding.currency) }) : t("{units} units (no price yet)", { units })}</th><th className="text-right font-normal">{currentRange.label}</th><th className="text-right font-normal">{t("Fiscal YTD")}</th></tr>
+                          </thead>
+                          <tbody>
+                            {lines.map(([label, k]) => (
+                              <tr key={k}><td>{t(label)}</td><td className="text-right">{fmtCurrency(hp.period[k])}</td><td className="text-right">{fmtCurrency(hp.fy[k])}</td></tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      );
+                    })()}
+                    {editingBudget && (
+                      <div className="mt-2 ml-3 pl-3 border-l flex flex-wrap items-center gap-2 text-xs">
                         <input
                           autoFocus
                           inputMode="decimal"
-                          type="number"
-                          step="0.01"
-                          className="border rounded-md px-2 py-1 w-28"
-                          value={editValue}
-                          onChange={(e) => setEditValue(e.target.value)}
+                          type="text"
+                          placeholder={t("Monthly target")}
+                          className="border rounded-md px-1 py-1 w-24"
+                          value={budgetEdit.value}
+                          onChange={(e) => setBudgetEdit({ ...budgetEdit, value: e.target.value })}
                         />
-                        <button className="px-2 py-1 rounded-md bg-emerald-500 text-white" onClick={() => { updateAmount(row.name, Number(editValue)); setEditIndex(null); }}>
-                          Save
-                        </button>
-                        <button className="px-2 py-1 text-slate-600" onClick={() => setEditIndex(null)}>Cancel</button>
-                      </>
-                    ) : (
-                      <>
-                        <div className="text-right">
-                          <div>{fmtCurrency(row.value)} ({pct.toFixed(1)}%)</div>
-                          <div className={`${deltaCls} text-xs`}>{deltaArrow} {fmtCurrency(Math.abs(delta))} vs prev</div>
-                        </div>
-                        {breakdown.bucket && (
-                          <div className="flex items-center gap-2">
-                            {confirmDel === row.name ? (
+                        <label className="inline-flex items-center gap-1 text-slate-600">
+                          <input type="checkbox" checked={budgetEdit.only} onChange={(e) => setBudgetEdit({ ...budgetEdit, only: e.target.checked })} />
+                          {t("{month} only", { month: formatMonth(selectedMonth, locale) })}
+                        </label>
+                        <button className="px-2 py-1 rounded-md bg-emerald-500 text-white" onClick={() => Number.isFinite(parseLocaleAmount(budgetEdit.value, locale)) && saveBudget(breakdown.bucket, row.name, parseLocaleAmount(budgetEdit.value, locale), budgetEdit.only)}>{t("Save")}</button>
+                        <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => saveBudget(breakdown.bucket, row.name, null, budgetEdit.only)}>{t("Clear")}</button>
+                        <button className="px-1 py-1 text-slate-600" onClick={() => setBudgetEdit(null)}>{t("Cancel")}</button>
+                      </div>
+                    )}
+                    {isOpen && (
+                      <div className="mt-2 ml-3 pl-3 border-l space-y-1">
+                        {entries.map((entry) => (
+                          <div key={entry.id} className="flex items-center justify-between gap-2 text-xs">
+                            {editId === entry.id ? (
                               <>
-                                <button className="px-2 py-1 rounded-md bg-rose-600 text-white" onClick={() => { deleteAmount(row.name); setConfirmDel(null); }}>
-                                  Confirm
-                                </button>
-                                <button className="px-2 py-1 text-slate-600" onClick={() => setConfirmDel(null)}>Cancel</button>
+                                <input type="date" className="border rounded-md px-1 py-1" value={editDraft.date} onChange={(e) => setEditDraft({ ...editDraft, date: e.target.value })} />
+                                <input
+                                  autoFocus
+                                  inputMode="decimal"
+                                  type="text"
+                                  className="border rounded-md px-1 py-1 w-20"
+                                  value={editDraft.amount}
+                                  onChange={(e) => setEditDraft({ ...editDraft, amount: e.target.value })}
+                                />
+                                <input type="text" placeholder={t("Note")} className="border rounded-md px-1 py-1 w-20" value={editDraft.note} onChange={(e) => setEditDraft({ ...editDraft, note: e.target.value })} />
+                                <select aria-label={t("Currency")} className="border rounded-md px-1 py-1 bg-white" value={editDraft.currency} onChange={(e) => setEditDraft({ ...editDraft, currency: e.target.value })}>
+                                  {currencyOptions.map((c) => (<option key={c} value={c}>{c}</option>))}
+                                </select>
+                                <button className="px-2 py-1 rounded-md bg-emerald-500 text-white" onClick={saveEditEntry}>{t("Save")}</button>
+                                <button className="px-1 py-1 text-slate-600" onClick={() => setEditId(null)}>{t("Cancel")}</button>
                               </>
                             ) : (
                               <>
-                                <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => { setEditIndex(i); setEditValue(String(row.value)); }}>
-                                  Edit
-                                </button>
-                                <button className="px-2 py-1 rounded-md bg-rose-500 text-white" onClick={() => setConfirmDel(row.name)}>
-                                  Delete
-                                </button>
+                                <div className="min-w-0">
+                                  <span className="text-slate-500">{formatDate(entry.date, locale)}</span>
+                                  {entry.source === 'recurring' && <span className="ml-2 px-1.5 rounded-full bg-blue-50 text-blue-700">{t("auto")}</span>}
+                                  {entry.note && <span className="ml-2 truncate">{entry.note}</span>}
+                                </div>
+                                <div className="flex items-center gap-2">
+                                  {(entry.currency || homeCurrency) === settings.currency ? (
+                                    <span>{fmtCurrency(entry.amount)}</span>
+                                  ) : (
+                                    <span>
+                                      {formatMoney(entry.amount, entry.currency || homeCurrency, locale)}
+                                      <span className="text-slate-500"> ≈ {fmtCurrency(converters[monthKeyOf(entry.date)]?.convert(entry.amount, entry.currency) ?? entry.amount)}</span>
+                                    </span>
+                                  )}
+                                  {confirmDel === entry.id ? (
+                                    <>
+                                      <button className="px-2 py-0.5 rounded-md bg-rose-600 text-white" onClick={() => { deleteEntries([entry], `Deleted ${entry.category} entry`); setConfirmDel(null); }}>
+                                        {t("Confirm")}
+                                      </button>
+                                      <button className="px-1 py-0.5 text-slate-600" onClick={() => setConfirmDel(null)}>{t("Cancel")}</button>
+                                    </>
+                                  ) : (
+                                    <>
+                                      <button className="px-2 py-0.5 rounded-md bg-slate-200" onClick={() => startEditEntry(entry)}>{t("Edit")}</button>
+                                      <button className="px-2 py-0.5 rounded-md bg-rose-500 text-white" onClick={() => setConfirmDel(entry.id)}>{t("Delete")}</button>
+                                    </>
+                                  )}
+                                </div>
                               </>
                             )}
                           </div>
-                        )}
-                      </>
+                        ))}
+                        {!entries.length && <div className="text-xs text-slate-500">{t("No entries")}</div>}
+                      </div>
                     )}
                   </div>
                 );
               })}
             </div>
+            {!breakdownItems.length && breakdown.bucket === 'liability' && <div className="text-sm text-slate-500">{t('No liabilities recorded. Add one via "+ Add Entry" → Liability/Debt.')}</div>}
             <div className="mt-4 border-t pt-3 text-sm flex items-center justify-between">
-              <span className="text-slate-600">Total</span>
-              <span className="font-semibold">{fmtCurrency(breakdown.total)}</span>
+              <span className="text-slate-600">{t("Total")}</span>
+              <span className="font-semibold">{fmtCurrency(breakdownTotal)}</span>
             </div>
+            {breakdown.bucket === 'liability' && (
+              <div className="mt-1 text-sm space-y-1">
+                <div className="flex items-center justify-between"><span className="text-slate-600">{t("Assets (saving + investments)")}</span><span>{fmtCurrency(assetsValue)}</span></div>
+                <div className="flex items-center justify-between"><span className="text-slate-600">{t("Net worth")}</span><span className={`font-semibold ${netWorthValue >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{fmtCurrency(netWorthValue)}</span></div>
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* Bank statement import (CSV/OFX -> preview -> entries) */}
+      {showBankImport && (
+        <BankImport
+          templates={TEMPLATES}
+          rules={rules}
+          existingKeys={importedKeys}
+          currencies={currencyOptions}
+          defaultCurrency={settings.currency}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          onImport={importTransactions}
+          onDeleteRule={(id) => change(`Deleted rule ${rules.find((r) => r.id === id)?.pattern}`, { rules: rules.filter((r) => r.id !== id) })}
+          onClose={() => setShowBankImport(false)}
+        />
+      )}
+
+      {/* Spreadsheet import (long or wide layout -> diff -> months) */}
+      {showSheetImport && (
+        <SpreadsheetImport
+          templates={TEMPLATES}
+          data={data}
+          links={settings.liabilityLinks}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          onImport={importSpreadsheet}
+          onClose={() => setShowSheetImport(false)}
+        />
+      )}
+
+      {/* Recurring rules */}
+      {showRecurring && (
+        <RecurringRules
+          rules={data.recurring || []}
+          templates={TEMPLATES}
+          currencies={currencyOptions}
+          selectedMonth={selectedMonth}
+          postedRuleIds={postedRuleIds}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          onChange={updateRecurring}
+          onPostNow={(rule) => addEntries([occurrenceEntry(rule, selectedMonth)], `Posted ${rule.category} to ${selectedMonth}`)}
+          onClose={() => setShowRecurring(false)}
+        />
+      )}
+
+      {/* Investment holdings */}
+      {showHoldings && (
+        <HoldingsManager
+          holdings={data.holdings || []}
+          categories={TEMPLATES.investment}
+          currencies={currencyOptions}
+          defaultCurrency={settings.currency}
+          months={monthsOrder}
+          selectedMonth={selectedMonth}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          onChange={updateHoldings}
+          onClose={() => setShowHoldings(false)}
+        />
+      )}
+
+      {showGoals && (
+        <GoalsEditor
+          goals={data.goals || []}
+          templates={TEMPLATES}
+          currencies={currencyOptions}
+          defaultCurrency={settings.currency}
+          selectedMonth={selectedMonth}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          onChange={updateGoals}
+          onClose={() => setShowGoals(false)}
+        />
+      )}
+
+      {showReport && (
+        <ReportView
+          title={t("Budget report — {period}", { period: currentRange.label })}
+          subtitle={t("Compared with {period} · amounts in {currency}", { period: compareRange.label, currency: settings.currency })}
+          report={report}
+          pies={[
+            { title: t("Expenses / Costs"), data: shownNames(expenseData), colors: COLORS_EXPENSES },
+            { title: t("Saving / Investments"), data: shownNames(savingInvestData), colors: COLORS_ASSETS },
+            { title: t("Income"), data: shownNames(incomeData), colors: COLORS_INCOME },
+            { title: t("Net Worth"), data: shownNames(netWorthData, t), colors: netWorthData.map((d) => (d.name === "Assets" ? COLORS_NET[0] : COLORS_NET[1])) }
+          ]}
+          fmtCurrency={fmtCurrency}
+          fileName={`report_${currentRange.keys[0]}${currentRange.keys.length > 1 ? `_${currentRange.keys[currentRange.keys.length - 1]}` : ""}`}
+          t={t}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      {/* Exchange rates */}
+      {showRates && (
+        <ExchangeRates
+          rates={data.rates || {}}
+          home={homeCurrency}
+          currencies={knownCurrencies(data, [settings.currency])}
+          selectedMonth={selectedMonth}
+          locale={locale}
+          t={t}
+          onChange={updateRates}
+          onClose={() => setShowRates(false)}
+        />
+      )}
+
+      {/* Backup import preview */}
+      {backupImport && (
+        <BackupImport
+          fileName={backupImport.fileName}
+          preview={backupImport.preview}
+          summary={backupImport.preview.payload && importSummary({ data, templates: categories, settings, rules }, backupImport.preview.payload)}
+          t={t}
+          onApply={applyBackup}
+          onClose={() => setBackupImport(null)}
+        />
+      )}
+
+      {/* Category management */}
+      {showCategories && (
+        <CategoryManager
+          templates={categories}
+          usage={usage}
+          onRename={renameCategory}
+          onMove={moveCategory}
+          onPatch={(bucket, name, patch, label) => change(label, { templates: withCategoryPatch(categories, bucket, name, patch) }, patch.color ? { mergeKey: `color:${bucket}:${name}`, quiet: true } : {})}
+          onReorder={(bucket, name, delta) => change(`Reordered ${bucket} categories`, { templates: withCategoryMoved(categories, bucket, name, delta) }, { mergeKey: `order:${bucket}`, quiet: true })}
+          onAdd={(bucket, name) => change(`Added ${name} to ${bucket}`, { templates: withCategoryAdded(categories, bucket, name) })}
+          t={t}
+          onClose={() => setShowCategories(false)}
+        />
+      )}
+
+      {/* Month-close review */}
+      {review && (
+        <ReviewPanel
+          month={review}
+          locale={locale}
+          findings={findingsFor(review)}
+          muted={reviewMuted}
+          fmtCurrency={fmtCurrency}
+          t={t}
+          onAcknowledge={acknowledgeFinding}
+          onEdit={editFinding}
+          onMute={(f) => muteFinding(f.bucket, f.category, true)}
+          onUnmute={(bucket, category) => muteFinding(bucket, category, false)}
+          onClose={() => setReview(null)}
+        />
+      )}
+
+      {showCommand && (
+        <CommandBar
+          templates={TEMPLATES}
+          selectedMonth={selectedMonth}
+          currencies={currencyOptions}
+          defaultCurrency={settings.currency}
+          fmtCurrency={fmtCurrency}
+          locale={locale}
+          t={t}
+          commands={commands}
+          onAdd={addQuickEntry}
+          onMonth={setSelectedMonth}
+          onClose={() => setShowCommand(false)}
+        />
+      )}
+
+      {showSync && (
+        <SyncPanel
+          sync={sync}
+          status={syncStatus}
+          conflicts={syncConflicts}
+          pending={syncPending}
+          defaultLedger={name.toLowerCase().replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "") || "ledger"}
+          locale={locale}
+          t={t}
+          onConnect={(config) => { setSync(config); setSyncConflicts(null); runSync(config); }}
+          onSyncNow={() => runSync()}
+          onDisconnect={() => { setSync(null); setSyncConflicts(null); setSyncStatus(null); }}
+          onResolve={resolveSync}
+          onClose={() => setShowSync(false)}
+        />
+      )}
+
+      {/* Change log */}
+      {showLog && (
+        <ChangeLog
+          log={history.log}
+          undoLabel={history.undo[history.undo.length - 1]?.label}
+          redoLabel={history.redo[history.redo.length - 1]?.label}
+          locale={locale}
+          t={t}
+          onUndo={undo}
+          onRedo={redo}
+          onClose={() => setShowLog(false)}
+        />
+      )}
+
       {/* Snackbar for undo */}
       {snackbar && (
         <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-slate-900 text-white px-4 py-2 rounded-full shadow-lg flex items-center gap-3">
           <span>{snackbar.label}</span>
-          <button className="underline" onClick={() => { snackbar.undo?.(); setSnackbar(null); }}>Undo</button>
+          {snackbar.undoable && <button className="underline" onClick={() => { undo(); }}>{t("Undo")}</button>}
           <button className="ml-2" onClick={() => setSnackbar(null)}>✕</button>
         </div>
       )}
@@ -546,12 +1530,16 @@ export default function BudgetDashboard() {
         <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={() => setShowSettings(false)}>
           <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg p-4" onClick={(e) => e.stopPropagation()}>
             <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold">Settings</h3>
+              <h3 className="text-lg font-semibold">{t("Settings")}</h3>
               <button className="text-slate-600" onClick={() => setShowSettings(false)}>✕</button>
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div className="md:col-span-2">
+                <label className="block text-sm text-slate-600 mb-1">{t("Your name (shown in the change log)")}</label>
+                <input className="border rounded-xl px-3 py-2 w-full" value={settings.userName || ""} onChange={(e) => setSettings({ ...settings, userName: e.target.value })} placeholder={t("You")} />
+              </div>
               <div>
-                <label className="block text-sm text-slate-600 mb-1">Currency code</label>
+                <label className="block text-sm text-slate-600 mb-1">{t("Reporting currency")}</label>
                 <input className="border rounded-xl px-3 py-2 w-full" value={settings.currency} onChange={(e) => setSettings({ ...settings, currency: e.target.value.toUpperCase() })} placeholder="EUR" />
                 <div className="flex gap-2 mt-2">
                   {["EUR","GBP","USD"].map((c) => (
@@ -560,38 +1548,71 @@ export default function BudgetDashboard() {
                 </div>
               </div>
               <div>
-                <label className="block text-sm text-slate-600 mb-1">Fiscal year starts in</label>
+                <label className="block text-sm text-slate-600 mb-1">{t("Home currency (rates are quoted in it)")}</label>
+                <input className="border rounded-xl px-3 py-2 w-full" value={settings.homeCurrency} onChange={(e) => setSettings({ ...settings, homeCurrency: e.target.value.toUpperCase() })} placeholder="EUR" />
+                <button className="mt-2 px-3 py-1 rounded-md border bg-white" onClick={() => { setShowRates(true); setShowSettings(false); }}>{t("Exchange rates…")}</button>
+              </div>
+              <div>
+                <label className="block text-sm text-slate-600 mb-1">{t("Language and number format")}</label>
+                <select className="border rounded-xl px-3 py-2 w-full bg-white" value={locale} onChange={(e) => setSettings({ ...settings, locale: e.target.value })}>
+                  {LOCALES.map(({ k, label }) => (<option key={k} value={k}>{k ? label : t(label)}</option>))}
+                </select>
+                <div className="mt-1 text-xs text-slate-500">{t("Amounts are typed and shown as {example}", { example: formatMoney(1234.56, settings.currency, locale) })}</div>
+              </div>
+              <div>
+                <label className="block text-sm text-slate-600 mb-1">{t("Fiscal year starts in")}</label>
                 <select className="border rounded-xl px-3 py-2 w-full" value={settings.fyStartMonth} onChange={(e) => setSettings({ ...settings, fyStartMonth: Number(e.target.value) })}>
-                  {[
-                    '01 Jan','02 Feb','03 Mar','04 Apr','05 May','06 Jun','07 Jul','08 Aug','09 Sep','10 Oct','11 Nov','12 Dec'
-                  ].map((label, idx) => (
-                    <option key={label} value={idx+1}>{label}</option>
+                  {monthNames(locale).map((label, idx) => (
+                    <option key={idx} value={idx+1}>{String(idx + 1).padStart(2, '0')} {label}</option>
                   ))}
                 </select>
               </div>
               <div className="md:col-span-2">
                 <label className="inline-flex items-center gap-2">
                   <input type="checkbox" checked={settings.showMoMColors} onChange={(e) => setSettings({ ...settings, showMoMColors: e.target.checked })} />
-                  Show coloured month-over-month deltas
+                  {t("Show coloured month-over-month deltas")}
                 </label>
               </div>
               <div className="md:col-span-2">
                 <label className="inline-flex items-center gap-2">
                   <input type="checkbox" checked={settings.compactMode} onChange={(e) => setSettings({ ...settings, compactMode: e.target.checked })} />
-                  Compact mode
+                  {t("Compact mode")}
                 </label>
               </div>
               <div className="md:col-span-2 border-t pt-3">
+                <div className="text-sm text-slate-600 mb-2">{t("Liability payments: expenses in a linked category also reduce the outstanding balance")}</div>
+                <div className="space-y-2">
+                  {TEMPLATES.liability.map((liab) => {
+                    const linked = Object.keys(settings.liabilityLinks || {}).find((exp) => settings.liabilityLinks[exp] === liab) || "";
+                    return (
+                      <div key={liab} className="flex items-center justify-between gap-2 text-sm">
+                        <span className="truncate">{t.category(liab)}</span>
+                        <select className="border rounded-xl px-2 py-1 bg-white" value={linked} onChange={(e) => {
+                          const links = Object.fromEntries(Object.entries(settings.liabilityLinks || {}).filter(([, l]) => l !== liab));
+                          if (e.target.value) links[e.target.value] = liab;
+                          setSettings({ ...settings, liabilityLinks: links });
+                        }}>
+                          <option value="">{t("Not linked")}</option>
+                          {TEMPLATES.expense.map((c) => (<option key={c} value={c}>{t("Paid by {category}", { category: t.category(c) })}</option>))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+              {!readOnly && <div className="md:col-span-2 border-t pt-3">
                 <div className="flex flex-wrap gap-2">
-                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={downloadBackup}>Download Backup (JSON)</button>
+                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={downloadBackup}>{t("Download Backup (JSON)")}</button>
                   <label className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 cursor-pointer">
-                    Import Backup JSON
+                    {t("Import Backup JSON")}
                     <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && importBackup(e.target.files[0])} />
                   </label>
-                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={resetData}>Reset Data</button>
-                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={resetTemplates}>Reset Templates</button>
+                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={resetData}>{t("Reset Data")}</button>
+                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => { setShowCategories(true); setShowSettings(false); }}>{t("Manage Categories")}</button>
+                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={resetTemplates}>{t("Reset Categories")}</button>
                 </div>
-              </div>
+                <div className="mt-2 text-xs text-slate-500">{t('Backup and import cover this profile ({name}); "Profiles" backs up or restores all of them.', { name })}</div>
+              </div>}
             </div>
           </div>
         </div>
@@ -599,3 +1620,172 @@ export default function BudgetDashboard() {
     </div>
   );
 }
+
+// Loads the profiles from IndexedDB (moving the old localStorage data over the first time) and
+// shows the open one, or all of them combined. Switching reads the profile back from the
+// database, so the dashboard starts from what was last saved.
+export default function BudgetDashboard() {
+  const [profiles, setProfiles] = useState(null); // [{ id, name }]
+  const [active, setActive] = useState(null); // { id, name, stored, seq }; id "all" is the combined view
+  const opens = useRef(0); // remounts the dashboard on every open, even of the same profile
+  const [failure, setFailure] = useState("");
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [profileMessage, setProfileMessage] = useState("");
+  const [update, setUpdate] = useState(null); // a new version's waiting service worker
+  // the open profile's locale, reported through its settings saves; "" follows the browser
+  const [locale, setLocale] = useState("");
+  const t = useMemo(() => translator(locale), [locale]);
+
+  useEffect(() => { registerServiceWorker(setUpdate); }, []);
+
+  async function open(id, moveErrors = []) {
+    try {
+      if (id === "all") {
+        const all = await readAllProfiles();
+        const payload = combineProfiles(all, { settings: DEFAULT_SETTINGS, templates: seedTemplates() });
+        const errors = all.flatMap((p) => p.errors.map((e) => ({ ...e, path: `${p.name} › ${e.path}` })));
+        setActive({ id, name: all.map((p) => p.name).join(" + "), stored: { payload, errors }, seq: ++opens.current });
+      } else {
+        const p = await readProfile(id);
+        setActive({ id, name: p.name, stored: { payload: p.payload, errors: [...moveErrors, ...p.errors] }, seq: ++opens.current });
+      }
+      await setActiveProfile(id);
+    } catch (e) {
+      setFailure(e.message);
+    }
+  }
+
+  useEffect(() => {
+    loadProfiles()
+      .then((res) => { setProfiles(res.profiles); return open(res.activeId, res.errors); })
+      .catch((e) => setFailure(e.message));
+  }, []);
+
+  function save(patch) {
+    if (patch.settings) setLocale(patch.settings.locale || "");
+    if (active.id === "all") return;
+    saveProfile(active.id, patch).catch((e) => setFailure(t("Changes could not be saved: {error}", { error: e.message })));
+  }
+
+  async function addProfile(name) {
+    const p = await createProfile(name);
+    setProfiles([...profiles, p]);
+    setShowProfiles(false);
+    open(p.id);
+  }
+
+  async function renameProfile(id, name) {
+    await saveProfile(id, { name });
+    setProfiles(profiles.map((p) => (p.id === id ? { ...p, name } : p)));
+    if (active.id === id) setActive({ ...active, name });
+  }
+
+  async function removeProfile(id) {
+    const p = profiles.find((x) => x.id === id);
+    if (!confirm(t("Delete the profile \"{name}\" and everything in it? This cannot be undone, so download a backup first if in doubt.", { name: p.name }))) return;
+    await deleteProfile(id);
+    const rest = profiles.filter((x) => x.id !== id);
+    setProfiles(rest);
+    if (active.id === id || (active.id === "all" && rest.length < 2)) open(rest[0].id);
+    else if (active.id === "all") open("all");
+  }
+
+  async function backupAll() {
+    const blob = new Blob([JSON.stringify(profilesBackup(await readAllProfiles()), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'pl_backup_all_profiles.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // An all-profiles backup, or one profile's backup, restored next to the existing profiles
+  async function importProfiles(file) {
+    const text = await file.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    const read = isProfilesBackup(json)
+      ? readProfilesBackup(json)
+      : [{ name: (typeof json?.profile === "string" && json.profile) || file.name.replace(/\.json$/i, ""), ...readBackup(text) }];
+    const problems = read.flatMap((r) => (r.payload ? r.errors : r.errors.length ? r.errors : [{ path: r.name, message: t("could not be read") }]));
+    if (problems.length) {
+      const listed = problems.slice(0, 3).map(formatError).join("; ");
+      setProfileMessage(problems.length > 3
+        ? t("Nothing was restored: {problems} and {count} more", { problems: listed, count: problems.length - 3 })
+        : t("Nothing was restored: {problems}", { problems: listed }));
+      return;
+    }
+    const names = new Set(profiles.map((p) => p.name.toLowerCase()));
+    const added = [];
+    for (const r of read) {
+      let name = r.name;
+      for (let n = 2; names.has(name.toLowerCase()); n++) name = `${r.name} (${n})`;
+      names.add(name.toLowerCase());
+      added.push(await createProfile(name, r.payload));
+    }
+    setProfiles([...profiles, ...added]);
+    setProfileMessage(t("Restored {names}.", { names: added.map((p) => p.name).join(", ") }));
+  }
+
+  if (!active) {
+    return (
+      <div className="min-h-screen w-full bg-slate-50 p-6 text-center text-slate-600">
+        {failure ? t("Could not open the browser database: {error}", { error: failure }) : t("Loading…")}
+      </div>
+    );
+  }
+
+  // rendered by the dashboard with its own translator, which follows a locale change at once
+  const profileBar = (t) => (
+    <div className="flex items-center gap-2">
+      <select aria-label={t("Profile")} className="border rounded-xl px-3 py-2 bg-white text-sm" value={active.id} onChange={(e) => open(e.target.value)}>
+        {profiles.map((p) => (<option key={p.id} value={p.id}>{p.name}</option>))}
+        {profiles.length > 1 && <option value="all">{t("All profiles (combined)")}</option>}
+      </select>
+      <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 text-sm" onClick={() => { setProfileMessage(""); setShowProfiles(true); }}>{t("Profiles")}</button>
+    </div>
+  );
+
+  return (
+    <>
+      {update && (
+        <div className="bg-emerald-50 border-b border-emerald-300 text-emerald-800 text-sm p-3 flex items-center justify-between gap-2">
+          <span>{t("A new version of the dashboard is available.")}</span>
+          <span className="flex gap-3">
+            <button className="font-semibold underline" onClick={() => applyUpdate(update)}>{t("Reload")}</button>
+            <button onClick={() => setUpdate(null)}>{t("Later")}</button>
+          </span>
+        </div>
+      )}
+      {failure && (
+        <div className="bg-rose-50 border-b border-rose-300 text-rose-800 text-sm p-3 flex items-center justify-between gap-2">
+          <span>{failure}</span>
+          <button onClick={() => setFailure("")}>✕</button>
+        </div>
+      )}
+      <Dashboard
+        key={active.seq}
+        name={active.name}
+        stored={active.stored}
+        readOnly={active.id === "all"}
+        onSave={save}
+        profileBar={profileBar}
+      />
+      {showProfiles && (
+        <ProfileManager
+          profiles={profiles}
+          activeId={active.id}
+          message={profileMessage}
+          onAdd={addProfile}
+          onRename={renameProfile}
+          onDelete={removeProfile}
+          onBackupAll={backupAll}
+          onImport={importProfiles}
+          t={t}
+          onClose={() => setShowProfiles(false)}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from "react";
+import { parseLocaleAmount, formatAmount } from "../lib/locale.js";
+
+// Text field bound to a stored number, typed with the locale's separators. onChange(number)
+// fires whenever the text reads as a number and onChange(null) when it is cleared; the typed
+// text is kept while editing so "12," does not snap back to "12".
+export default function AmountInput({ value, locale, onChange, ...props }) {
+  const [text, setText] = useState(() => formatAmount(value, locale));
+
+  // undo, another month or another locale replace the text unless it already says the same
+  useEffect(() => {
+    const typed = text.trim() === "" ? null : parseLocaleAmount(text, locale);
+    const stored = value == null || value === "" ? null : Number(value);
+    if (typed !== stored) setText(formatAmount(value, locale));
+  }, [value, locale]);
+
+  function edit(next) {
+    setText(next);
+    if (next.trim() === "") onChange(null);
+    else {
+      const n = parseLocaleAmount(next, locale);
+      if (Number.isFinite(n)) onChange(n);
+    }
+  }
+
+  return <input inputMode="decimal" type="text" {...props} value={text} onChange={(e) => edit(e.target.value)} />;
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { SCHEMA_VERSION, formatError } from "../lib/schema.js";
+
+const SHOWN_ERRORS = 50;
+
+// Preview of a backup file before it is applied: schema upgrade, validation problems, what is new,
+// and whether to replace everything or merge into the current data
+export default function BackupImport({ fileName, preview, summary, t, onApply, onClose }) {
+  const [mode, setMode] = useState("merge");
+  const { payload, from, errors } = preview;
+  const blocked = !payload || errors.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{t("Import backup — {file}", { file: fileName })}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        {from != null && from < SCHEMA_VERSION && (
+          <div className="mb-3 text-sm text-slate-600">{t("Written with schema version {from}; it has been upgraded to version {to}.", { from, to: SCHEMA_VERSION })}</div>
+        )}
+
+        {errors.length > 0 && (
+          <div className="mb-3 text-sm">
+            <div className="font-semibold text-rose-600 mb-1">{t("{count} problem(s) found — nothing will be imported", { count: errors.length })}</div>
+            <ul className="list-disc pl-5 space-y-0.5 max-h-60 overflow-auto text-rose-700">
+              {errors.slice(0, SHOWN_ERRORS).map((e, i) => (<li key={i}>{formatError(e)}</li>))}
+            </ul>
+            {errors.length > SHOWN_ERRORS && <div className="text-slate-500 mt-1">{t("…and {count} more.", { count: errors.length - SHOWN_ERRORS })}</div>}
+          </div>
+        )}
+
+        {!blocked && summary && (
+          <div className="space-y-3 text-sm">
+            <ul className="space-y-0.5">
+              <li>{t("{count} month(s), {new} not in the dashboard yet", { count: summary.months, new: summary.newMonths })}</li>
+              <li>{t("{count} entries, {new} new", { count: summary.entries, new: summary.newEntries })}</li>
+              <li>{t("{recurring} recurring rule(s), {rules} payee rule(s), {templates} new categories", { recurring: summary.recurring, rules: summary.rules, templates: summary.templates })}</li>
+              {summary.hasSettings && <li>{t("Settings included")}</li>}
+            </ul>
+            <div className="space-y-1">
+              <label className="flex items-start gap-2">
+                <input type="radio" name="backup-mode" checked={mode === "merge"} onChange={() => setMode("merge")} />
+                <span><span className="font-semibold">{t("Merge")}</span> — {t("add the new months, entries, rules and categories; keep your current values and settings where both have them")}</span>
+              </label>
+              <label className="flex items-start gap-2">
+                <input type="radio" name="backup-mode" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                <span><span className="font-semibold">{t("Replace")}</span> — {t("swap the current data for the backup (parts missing from the file are kept)")}</span>
+              </label>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end gap-2 text-sm">
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={onClose}>{t("Cancel")}</button>
+          <button disabled={blocked} className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" onClick={() => onApply(mode)}>
+            {mode === "merge" ? t("Merge") : t("Replace")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
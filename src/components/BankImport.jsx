@@ -0,0 +1,227 @@
+import React, { useState } from "react";
+import { makeEntry, newId } from "../lib/ledger.js";
+import {
+  parseCSV, parseOFX, ofxCurrency, isOFX, guessMapping, transactionsFromCSV, importKeysFor, ruleFor, suggestPattern
+} from "../lib/bankImport.js";
+import { formatDate } from "../lib/locale.js";
+
+const FIELDS = [
+  { k: "date", label: "Date" },
+  { k: "payee", label: "Payee / description" },
+  { k: "amount", label: "Amount (signed)" },
+  { k: "debit", label: "Debit / paid out" },
+  { k: "credit", label: "Credit / paid in" },
+  { k: "memo", label: "Memo / reference" }
+];
+
+// Bank export -> preview rows -> ledger entries. Steps: file, mapping (CSV only), preview
+export default function BankImport({ templates, rules, existingKeys, currencies, defaultCurrency, fmtCurrency, locale, t, onImport, onDeleteRule, onClose }) {
+  const [step, setStep] = useState("file");
+  const [fileName, setFileName] = useState("");
+  const [csvRows, setCsvRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [skipped, setSkipped] = useState(0);
+  const [error, setError] = useState("");
+  const [currency, setCurrency] = useState(defaultCurrency);
+
+  async function loadFile(file) {
+    setError("");
+    setFileName(file.name);
+    const text = await file.text();
+    if (isOFX(text)) {
+      setCsvRows([]);
+      if (ofxCurrency(text)) setCurrency(ofxCurrency(text));
+      buildPreview(parseOFX(text));
+      return;
+    }
+    const parsed = parseCSV(text);
+    if (!parsed.length) { setError(t("No rows found in this file.")); return; }
+    setCsvRows(parsed);
+    setMapping(guessMapping(parsed[0]));
+    setStep("mapping");
+  }
+
+  function buildPreview(transactions) {
+    if (!transactions.length) { setError(t("No transactions could be read. Check the column mapping.")); return; }
+    const seen = new Set(existingKeys);
+    const keys = importKeysFor(transactions);
+    const next = [];
+    let dupes = 0;
+    for (const [i, tx] of transactions.entries()) {
+      const key = keys[i];
+      if (seen.has(key)) { dupes++; continue; }
+      seen.add(key);
+      const rule = ruleFor(tx.payee, rules);
+      next.push({
+        ...tx,
+        key,
+        include: true,
+        bucket: rule ? rule.bucket : (tx.amount > 0 ? "income" : "expense"),
+        category: rule ? rule.category : "",
+        fromRule: !!rule,
+        saveRule: false,
+        pattern: suggestPattern(tx.payee)
+      });
+    }
+    setRows(next);
+    setSkipped(dupes);
+    setStep("preview");
+  }
+
+  function updateRow(i, patch) {
+    setRows((prev) => prev.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  }
+
+  const ready = rows.filter((r) => r.include && r.category);
+
+  function confirmImport() {
+    const batch = newId();
+    const entries = ready.map((r) => makeEntry({
+      date: r.date,
+      bucket: r.bucket,
+      category: r.category,
+      // bank sign is +in/-out; income and borrowing count money in, every other bucket counts money out
+      amount: r.bucket === "income" || r.bucket === "liability" ? r.amount : -r.amount,
+      note: [r.payee, r.memo].filter(Boolean).join(" — "),
+      currency,
+      source: "import",
+      importKey: r.key,
+      importBatch: batch
+    }));
+    const newRules = ready
+      .filter((r) => r.saveRule && r.pattern.trim())
+      .map((r) => ({ id: newId(), pattern: r.pattern.trim(), bucket: r.bucket, category: r.category }));
+    onImport(entries, newRules);
+  }
+
+  const colOptions = (csvRows[0] || []).map((h, i) => ({ i, label: mapping?.hasHeader ? h || t("Column {number}", { number: i + 1 }) : t("Column {number} ({value})", { number: i + 1, value: h }) }));
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{t("Import bank statement")}{fileName ? ` — ${fileName}` : ""}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        {error && <div className="mb-3 text-sm text-rose-600">{error}</div>}
+
+        {step === "file" && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2 text-sm">
+              <label className="text-slate-600">{t("Statement currency")}</label>
+              <select className="border rounded-xl px-2 py-1 bg-white" value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                {Array.from(new Set([...currencies, currency])).map((c) => (<option key={c} value={c}>{c}</option>))}
+              </select>
+              <span className="text-slate-500">{t("OFX files set this themselves")}</span>
+            </div>
+            <label className="block px-3 py-6 rounded-xl border-2 border-dashed text-center text-slate-600 cursor-pointer hover:bg-slate-50">
+              {t("Choose a CSV, OFX or QFX export from your bank")}
+              <input type="file" accept=".csv,.txt,.ofx,.qfx" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && loadFile(e.target.files[0])} />
+            </label>
+            <div>
+              <div className="text-sm font-semibold mb-2">{t("Payee rules")}</div>
+              {!rules.length && <div className="text-sm text-slate-500">{t("No rules yet. Tick \"Rule\" on a row in the preview to remember a payee.")}</div>}
+              <div className="space-y-1 max-h-48 overflow-auto">
+                {rules.map((r) => (
+                  <div key={r.id} className="flex items-center justify-between text-sm">
+                    <span><span className="font-mono">{r.pattern}</span> → {t.category(r.category)} <span className="text-slate-500">({t(r.bucket)})</span></span>
+                    <button className="px-2 py-0.5 rounded-md bg-rose-500 text-white text-xs" onClick={() => onDeleteRule(r.id)}>{t("Delete")}</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === "mapping" && mapping && (
+          <div className="space-y-3 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {FIELDS.map(({ k, label }) => (
+                <div key={k}>
+                  <label className="block text-slate-600 mb-1">{t(label)}</label>
+                  <select className="border rounded-xl px-3 py-2 w-full bg-white" value={mapping[k]} onChange={(e) => setMapping({ ...mapping, [k]: Number(e.target.value) })}>
+                    <option value={-1}>—</option>
+                    {colOptions.map(({ i, label: l }) => (<option key={i} value={i}>{l}</option>))}
+                  </select>
+                </div>
+              ))}
+              <div>
+                <label className="block text-slate-600 mb-1">{t("Date order")}</label>
+                <select className="border rounded-xl px-3 py-2 w-full bg-white" value={mapping.dateOrder} onChange={(e) => setMapping({ ...mapping, dateOrder: e.target.value })}>
+                  <option value="DMY">{t("Day / Month / Year")}</option>
+                  <option value="MDY">{t("Month / Day / Year")}</option>
+                </select>
+              </div>
+              <label className="inline-flex items-center gap-2 self-end">
+                <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => setMapping({ ...mapping, hasHeader: e.target.checked })} />
+                {t("First row is a header")}
+              </label>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setStep("file")}>{t("Back")}</button>
+              <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={() => buildPreview(transactionsFromCSV(csvRows, mapping))}>{t("Preview")}</button>
+            </div>
+          </div>
+        )}
+
+        {step === "preview" && (
+          <div className="space-y-3 text-sm">
+            <div className="text-slate-600">
+              {skipped
+                ? t("{count} new transaction(s), {skipped} already imported and skipped. {ready} ready to import.", { count: rows.length, skipped, ready: ready.length })
+                : t("{count} new transaction(s). {ready} ready to import.", { count: rows.length, ready: ready.length })}
+            </div>
+            <div className="max-h-96 overflow-auto">
+              <table className="w-full text-xs">
+                <thead className="text-left text-slate-500">
+                  <tr>
+                    <th className="p-1"></th>
+                    <th className="p-1">{t("Date")}</th>
+                    <th className="p-1">{t("Payee")}</th>
+                    <th className="p-1 text-right">{t("Amount")}</th>
+                    <th className="p-1">{t("Bucket")}</th>
+                    <th className="p-1">{t("Category")}</th>
+                    <th className="p-1">{t("Rule")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r, i) => (
+                    <tr key={r.key} className={"border-t " + (r.include ? "" : "opacity-50")}>
+                      <td className="p-1"><input type="checkbox" checked={r.include} onChange={(e) => updateRow(i, { include: e.target.checked })} /></td>
+                      <td className="p-1 whitespace-nowrap">{formatDate(r.date, locale)}</td>
+                      <td className="p-1">{r.payee}{r.fromRule && <span className="ml-1 px-1.5 rounded-full bg-blue-50 text-blue-700">{t("rule")}</span>}</td>
+                      <td className={"p-1 text-right whitespace-nowrap " + (r.amount >= 0 ? "text-emerald-600" : "text-rose-600")}>{fmtCurrency(r.amount, currency)}</td>
+                      <td className="p-1">
+                        <select className="border rounded-md px-1 py-0.5 bg-white" value={r.bucket} onChange={(e) => updateRow(i, { bucket: e.target.value, category: "", fromRule: false })}>
+                          {Object.keys(templates).map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+                        </select>
+                      </td>
+                      <td className="p-1">
+                        <select className={"border rounded-md px-1 py-0.5 bg-white " + (r.category ? "" : "border-rose-400")} value={r.category} onChange={(e) => updateRow(i, { category: e.target.value, fromRule: false })}>
+                          <option value="">{t("Select…")}</option>
+                          {templates[r.bucket].map((c) => (<option key={c} value={c}>{t.category(c)}</option>))}
+                        </select>
+                      </td>
+                      <td className="p-1 whitespace-nowrap">
+                        <input type="checkbox" checked={r.saveRule} onChange={(e) => updateRow(i, { saveRule: e.target.checked })} />
+                        {r.saveRule && <input className="ml-1 border rounded-md px-1 py-0.5 w-24 font-mono" value={r.pattern} onChange={(e) => updateRow(i, { pattern: e.target.value })} />}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setStep(csvRows.length ? "mapping" : "file")}>{t("Back")}</button>
+              <button disabled={!ready.length} className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-50" onClick={confirmImport}>
+                {t("Import {count} transaction(s)", { count: ready.length })}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
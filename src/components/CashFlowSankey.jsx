@@ -0,0 +1,46 @@
+import React from "react";
+import { ResponsiveContainer, Sankey, Tooltip } from "recharts";
+
+const NODE_COLORS = { income: "#22c55e", expense: "#fb923c", saving: "#14b8a6", investment: "#0ea5e9" };
+
+// node names are built in English from the stored category names
+function nodeLabel(n, t) {
+  if (!n.category) return t(n.name);
+  if (n.name === n.category) return t.category(n.category);
+  return t(n.name.startsWith("From ") ? "From {category}" : "To {category}", { category: t.category(n.category) });
+}
+
+// recharts clones this with the node's geometry and payload; the rest comes from the element
+function SankeyNode({ x, y, width, height, payload, containerWidth, t, fmtCurrency, compact, onNode }) {
+  // labels to the right of the left and middle columns, to the left of the last one
+  const left = x < containerWidth * 0.6;
+  const clickable = payload.bucket && onNode;
+  return (
+    <g className={clickable ? "cursor-pointer" : undefined} onClick={() => clickable && onNode(payload)}>
+      <rect x={x} y={y} width={width} height={Math.max(height, 1)} fill={NODE_COLORS[payload.bucket] || (payload.name === "Shortfall" ? "#e11d48" : "#64748b")} />
+      <text x={left ? x + width + 6 : x - 6} y={y + height / 2} textAnchor={left ? "start" : "end"} dominantBaseline="middle" fontSize={compact ? 10 : 12} fill="#334155">
+        {nodeLabel(payload, t)} · {fmtCurrency(payload.value)}
+      </text>
+    </g>
+  );
+}
+
+// Sankey of the period's cash flow (see lib/sankey.js). onNode(node) is called when a node with
+// a bucket is clicked.
+export default function CashFlowSankey({ graph, title, fmtCurrency, t, compact, onNode }) {
+  if (!graph.links.length) return null;
+  const height = Math.max(260, Math.min(640, graph.nodes.length * 28));
+
+  return (
+    <div className={"mt-6 bg-white rounded-2xl shadow p-4 " + (compact ? "text-sm max-w-4xl mx-auto" : "")}>
+      <div className="text-center font-semibold mb-2">{t("Where the money went · {period}", { period: title })}</div>
+      <div style={{ height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <Sankey data={graph} node={<SankeyNode t={t} fmtCurrency={fmtCurrency} compact={compact} onNode={onNode} />} nodePadding={compact ? 8 : 12} nodeWidth={10} margin={{ left: 8, right: 8, top: 8, bottom: 8 }} link={{ stroke: "#cbd5e1" }} iterations={32}>
+            <Tooltip formatter={(v) => fmtCurrency(v)} />
+          </Sankey>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
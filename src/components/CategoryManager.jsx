@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { BUCKETS } from "../lib/ledger.js";
+
+// Per-bucket category list: rename, merge, move to another bucket, archive, colour and reorder;
+// expense categories can also be flagged as fixed (vs discretionary) spend.
+// Every action is reported to the parent, which applies it as one undoable step.
+export default function CategoryManager({ templates, usage, onRename, onMove, onPatch, onReorder, onAdd, t, onClose }) {
+  const [bucket, setBucket] = useState("expense");
+  const [editing, setEditing] = useState(null); // { name, value }
+  const [action, setAction] = useState(null); // { name, kind: "merge"|"move", target }
+
+  const list = templates[bucket] || [];
+  const listed = new Set(list.map((c) => c.name));
+  const unlisted = Object.keys(usage[bucket] || {}).filter((n) => !listed.has(n)).sort();
+  const count = (name) => usage[bucket]?.[name] || 0;
+
+  function saveRename() {
+    const value = editing.value.trim();
+    if (value && value !== editing.name) {
+      if (listed.has(value) && !confirm(t("\"{name}\" already exists. Merge \"{from}\" into it?", { name: value, from: editing.name }))) return;
+      onRename(bucket, editing.name, value);
+    }
+    setEditing(null);
+  }
+
+  function applyAction() {
+    if (!action.target) return;
+    if (action.kind === "merge") onRename(bucket, action.name, action.target);
+    else onMove(bucket, action.name, action.target);
+    setAction(null);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">{t("Categories")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="flex bg-white rounded-xl shadow overflow-hidden mb-3 text-sm w-fit">
+          {BUCKETS.map((b) => (
+            <button key={b} onClick={() => { setBucket(b); setEditing(null); setAction(null); }} className={`px-3 py-2 capitalize ${bucket === b ? "bg-emerald-500 text-white" : "hover:bg-slate-100"}`}>{t(b)}</button>
+          ))}
+        </div>
+
+        <div className="text-xs text-slate-500 mb-2">{t("Renaming or merging updates every month, budget, recurring entry and payee rule that uses the category. Archived categories keep their history but are no longer offered when adding entries.")}</div>
+
+        <ul className="divide-y text-sm">
+          {list.map((c, i) => (
+            <li key={c.name} className={`py-2 ${c.archived ? "opacity-60" : ""}`}>
+              <div className="flex items-center gap-2">
+                <input type="color" aria-label={t("Colour for {category}", { category: t.category(c.name) })} className="w-7 h-7 rounded border" value={c.color || "#94a3b8"} onChange={(e) => onPatch(bucket, c.name, { color: e.target.value }, `Recoloured ${c.name}`)} />
+                <div className="flex-1 min-w-0">
+                  {editing && editing.name === c.name ? (
+                    <span className="flex gap-1">
+                      <input autoFocus className="border rounded-md px-2 py-1 flex-1" value={editing.value} onChange={(e) => setEditing({ ...editing, value: e.target.value })} onKeyDown={(e) => { if (e.key === "Enter") saveRename(); if (e.key === "Escape") setEditing(null); }} />
+                      <button className="px-2 py-1 rounded-md bg-emerald-500 text-white" onClick={saveRename}>{t("Save")}</button>
+                      <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setEditing(null)}>{t("Cancel")}</button>
+                    </span>
+                  ) : (
+                    <span className="truncate">
+                      {t.category(c.name)}
+                      {c.archived && <span className="ml-2 text-xs rounded-full px-2 py-0.5 bg-slate-100 text-slate-600">{t("archived")}</span>}
+                      <span className="ml-2 text-xs text-slate-500">{count(c.name) === 1 ? t("1 entry") : t("{count} entries", { count: count(c.name) })}</span>
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1 text-xs">
+                  <button aria-label={t("Move up")} disabled={i === 0} className="px-2 py-1 rounded-md bg-slate-100 disabled:opacity-40" onClick={() => onReorder(bucket, c.name, -1)}>↑</button>
+                  <button aria-label={t("Move down")} disabled={i === list.length - 1} className="px-2 py-1 rounded-md bg-slate-100 disabled:opacity-40" onClick={() => onReorder(bucket, c.name, 1)}>↓</button>
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setEditing({ name: c.name, value: c.name })}>{t("Rename")}</button>
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setAction({ name: c.name, kind: "merge", target: "" })}>{t("Merge")}</button>
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setAction({ name: c.name, kind: "move", target: "" })}>{t("Move")}</button>
+                  {bucket === "expense" && (
+                    <button className={`px-2 py-1 rounded-md ${c.fixed ? "bg-slate-700 text-white" : "bg-slate-200"}`} title={t("Fixed costs count separately from discretionary spend in the key figures")} onClick={() => onPatch(bucket, c.name, { fixed: !c.fixed }, `Marked ${c.name} as ${c.fixed ? "discretionary" : "fixed"}`)}>{c.fixed ? t("Fixed") : t("Discretionary")}</button>
+                  )}
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => onPatch(bucket, c.name, { archived: !c.archived }, `${c.archived ? "Restored" : "Archived"} ${c.name}`)}>{c.archived ? t("Restore") : t("Archive")}</button>
+                </div>
+              </div>
+              {action && action.name === c.name && (
+                <div className="mt-2 flex items-center gap-2 text-xs">
+                  <span>{t(action.kind === "merge" ? "Merge {category} into" : "Move {category} to", { category: t.category(c.name) })}</span>
+                  <select className="border rounded-md px-2 py-1 bg-white" value={action.target} onChange={(e) => setAction({ ...action, target: e.target.value })}>
+                    <option value="">{t("Select…")}</option>
+                    {action.kind === "merge"
+                      ? list.filter((x) => x.name !== c.name).map((x) => (<option key={x.name} value={x.name}>{t.category(x.name)}</option>))
+                      : BUCKETS.filter((b) => b !== bucket).map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+                  </select>
+                  <button disabled={!action.target} className="px-2 py-1 rounded-md bg-blue-500 text-white disabled:opacity-40" onClick={applyAction}>{t("Apply")}</button>
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => setAction(null)}>{t("Cancel")}</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {unlisted.length > 0 && (
+          <div className="mt-3 text-sm">
+            <div className="font-semibold mb-1">{t("Used in entries but not in the list")}</div>
+            <div className="flex flex-wrap gap-2">
+              {unlisted.map((n) => (
+                <button key={n} className="px-2 py-1 rounded-md border" onClick={() => onAdd(bucket, n)}>+ {t.category(n)} <span className="text-slate-500">({count(n)})</span></button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { formatDateTime } from "../lib/locale.js";
+
+// Browsable change log: newest first, each line expandable to its before/after details
+export default function ChangeLog({ log, undoLabel, redoLabel, locale, t, onUndo, onRedo, onClose }) {
+  const [query, setQuery] = useState("");
+  const [openId, setOpenId] = useState(null);
+
+  const q = query.trim().toLowerCase();
+  const shown = !q ? log : log.filter((l) => (
+    l.label.toLowerCase().includes(q) || (l.who || "").toLowerCase().includes(q) || (l.details || []).some((d) => d.what.toLowerCase().includes(q))
+  ));
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">{t("History")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-3 text-sm">
+          <button disabled={!undoLabel} className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 disabled:opacity-40" onClick={onUndo}>↶ {t("Undo")}{undoLabel ? `: ${undoLabel}` : ""}</button>
+          <button disabled={!redoLabel} className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 disabled:opacity-40" onClick={onRedo}>↷ {t("Redo")}{redoLabel ? `: ${redoLabel}` : ""}</button>
+          <input className="border rounded-xl px-3 py-2 flex-1 min-w-[10rem]" placeholder={t("Filter by change, person or category…")} value={query} onChange={(e) => setQuery(e.target.value)} />
+        </div>
+
+        {!shown.length && <div className="text-sm text-slate-500">{log.length ? t("No changes match.") : t("No changes recorded yet.")}</div>}
+        <ul className="divide-y text-sm">
+          {shown.map((l) => (
+            <li key={l.id} className="py-2">
+              <button className="w-full flex items-center justify-between gap-2 text-left" onClick={() => setOpenId(openId === l.id ? null : l.id)}>
+                <span className="min-w-0">
+                  <span className="font-semibold">{l.label}</span>
+                  <span className="block text-xs text-slate-500">{formatDateTime(l.at, locale)} · {l.who}</span>
+                </span>
+                <span className="text-xs text-slate-500 whitespace-nowrap">{t("{count} change(s)", { count: (l.details || []).length })} {openId === l.id ? "▾" : "▸"}</span>
+              </button>
+              {openId === l.id && (
+                <table className="w-full mt-2 text-xs">
+                  <thead className="text-left text-slate-500">
+                    <tr><th className="p-1">{t("What")}</th><th className="p-1">{t("Before")}</th><th className="p-1">{t("After")}</th></tr>
+                  </thead>
+                  <tbody>
+                    {(l.details || []).map((d, i) => (
+                      <tr key={i} className="border-t align-top">
+                        <td className="p-1">{d.what}</td>
+                        <td className="p-1 text-rose-700 break-all">{d.before || "—"}</td>
+                        <td className="p-1 text-emerald-700 break-all">{d.after || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useMemo, useState } from "react";
+import { parseQuickEntry, fuzzyScore } from "../lib/quickEntry.js";
+import { formatDate, formatMonth } from "../lib/locale.js";
+
+const MIN_COMMAND_SCORE = 0.5;
+
+// Ctrl+K palette: typed text is previewed as a quick entry (see lib/quickEntry.js) and matched
+// against commands ({ label, run }). ↑/↓ pick a row, Tab cycles the matching categories, Enter runs.
+export default function CommandBar({ templates, selectedMonth, currencies, defaultCurrency, fmtCurrency, locale, t, commands, onAdd, onMonth, onClose }) {
+  const [text, setText] = useState("");
+  const [selected, setSelected] = useState(0);
+  const [alt, setAlt] = useState(0); // which matching category the entry uses
+
+  const parsed = useMemo(() => parseQuickEntry(text, templates, { selectedMonth, currencies, locale }), [text, templates, selectedMonth, currencies, locale]);
+  const pick = parsed.candidates[alt] || parsed.candidates[0];
+  const entry = parsed.amount != null && pick ? { ...parsed, bucket: pick.bucket, category: pick.category, note: pick.note, currency: parsed.currency || defaultCurrency } : null;
+
+  const month = text.trim().match(/^\d{4}-\d{2}$/)?.[0];
+  const rows = [
+    ...(entry ? [{ key: "entry", run: () => onAdd(entry) }] : []),
+    ...(month ? [{ key: "month", label: t("Go to {month}", { month: formatMonth(month, locale) }), run: () => onMonth(month) }] : []),
+    ...commands
+      .map((c) => ({ ...c, key: c.label, score: text.trim() ? fuzzyScore(text, c.label) : 1 }))
+      .filter((c) => c.score >= MIN_COMMAND_SCORE)
+      .sort((a, b) => b.score - a.score)
+  ];
+  const active = Math.min(selected, rows.length - 1);
+
+  function run(row) {
+    if (!row) return;
+    onClose();
+    row.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") { e.preventDefault(); setSelected(Math.min(active + 1, rows.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setSelected(Math.max(active - 1, 0)); }
+    else if (e.key === "Tab" && parsed.candidates.length > 1) { e.preventDefault(); setAlt((alt + (e.shiftKey ? parsed.candidates.length - 1 : 1)) % parsed.candidates.length); }
+    else if (e.key === "Enter") { e.preventDefault(); run(rows[active]); }
+    else if (e.key === "Escape") onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center p-3 pt-[10vh] z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <input
+          autoFocus
+          className="w-full px-4 py-3 text-base border-b outline-none"
+          placeholder={t('e.g. "42.50 takeaway", "salary 3200 2026-09", or a command')}
+          value={text}
+          onChange={(e) => { setText(e.target.value); setSelected(0); setAlt(0); }}
+          onKeyDown={onKeyDown}
+        />
+        {parsed.amount != null && !pick && (
+          <div className="px-4 py-2 text-sm text-slate-500">{t("Add a category name to post {amount}.", { amount: fmtCurrency(parsed.amount, parsed.currency || defaultCurrency) })}</div>
+        )}
+        <ul className="max-h-[50vh] overflow-auto text-sm">
+          {rows.map((row, i) => (
+            <li
+              key={row.key}
+              className={`px-4 py-2 cursor-pointer ${i === active ? "bg-emerald-50" : "hover:bg-slate-50"}`}
+              onMouseEnter={() => setSelected(i)}
+              onClick={() => run(row)}
+            >
+              {row.key === "entry" ? (
+                <div>
+                  <div>
+                    {t("Add {amount} to {bucket} › {category} on {date}", { amount: fmtCurrency(entry.amount, entry.currency), bucket: t(entry.bucket), category: t.category(entry.category), date: formatDate(entry.date, locale) })}
+                    {entry.note ? <span className="text-slate-500"> · {entry.note}</span> : null}
+                  </div>
+                  {parsed.candidates.length > 1 && (
+                    <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                      {parsed.candidates.map((c, j) => (
+                        <button
+                          key={`${c.bucket}-${c.category}`}
+                          className={`px-2 py-0.5 rounded-full border ${j === alt ? "bg-slate-900 text-white" : "bg-white"}`}
+                          onClick={(e) => { e.stopPropagation(); setAlt(j); }}
+                        >{t.category(c.category)} <span className="opacity-60">{t(c.bucket)}</span></button>
+                      ))}
+                      <span className="text-slate-400 self-center">{t("Tab to switch")}</span>
+                    </div>
+                  )}
+                </div>
+              ) : row.label}
+            </li>
+          ))}
+          {!rows.length && <li className="px-4 py-2 text-slate-500">{t("Nothing matches.")}</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { BUCKETS } from "../lib/ledger.js";
+import { isBalanceBucket } from "../lib/period.js";
+
+const LABELS = { income: "Income", expense: "Expenses", saving: "Saving", investment: "Investments", liability: "Liabilities" };
+
+function total(obj) {
+  return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
+}
+
+// Two periods side by side: bucket totals, cash flow and net worth, each bucket expandable to
+// its categories. Balance buckets compare closing balances, flow buckets period sums.
+export default function ComparePanel({ labelA, labelB, totalsA, totalsB, categories, fmtCurrency, t, showColors, compact }) {
+  const [open, setOpen] = useState(null);
+
+  const netWorth = (t) => total(t.saving) + total(t.investment) - total(t.liability);
+  const cashFlow = (t) => total(t.income) - total(t.expense);
+  // higher is better except for spending and debt
+  const good = (bucket, delta) => (bucket === "expense" || bucket === "liability" ? delta <= 0 : delta >= 0);
+
+  function row(key, label, a, b, bucket, strong, onClick) {
+    const delta = a - b;
+    const pct = b ? (delta / Math.abs(b)) * 100 : null;
+    const cls = !showColors || !delta ? "text-slate-500" : good(bucket, delta) ? "text-emerald-600" : "text-rose-600";
+    return (
+      <tr key={key} className={`border-t ${strong ? "font-semibold" : ""} ${onClick ? "cursor-pointer hover:bg-slate-50" : ""}`} onClick={onClick}>
+        <td className="p-1">{label}</td>
+        <td className="p-1 text-right whitespace-nowrap">{fmtCurrency(a)}</td>
+        <td className="p-1 text-right whitespace-nowrap">{fmtCurrency(b)}</td>
+        <td className={`p-1 text-right whitespace-nowrap ${cls}`}>{delta >= 0 ? "▲" : "▼"} {fmtCurrency(Math.abs(delta))}{pct != null ? ` (${pct.toFixed(1)}%)` : ""}</td>
+      </tr>
+    );
+  }
+
+  return (
+    <div className={"bg-white rounded-2xl shadow p-4 mb-3 md:mb-4 " + (compact ? "text-sm max-w-4xl mx-auto" : "")}>
+      <table className="w-full text-sm">
+        <thead className="text-slate-500">
+          <tr>
+            <th className="p-1 text-left"></th>
+            <th className="p-1 text-right">{labelA}</th>
+            <th className="p-1 text-right">{labelB}</th>
+            <th className="p-1 text-right">{t("Change")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {BUCKETS.map((b) => {
+            const order = (categories[b] || []).map((c) => c.name);
+            const cats = Array.from(new Set([...Object.keys(totalsA[b]), ...Object.keys(totalsB[b])]))
+              .filter((c) => Number(totalsA[b][c] || 0) || Number(totalsB[b][c] || 0))
+              .sort((x, y) => (order.includes(x) ? order.indexOf(x) : order.length) - (order.includes(y) ? order.indexOf(y) : order.length));
+            return (
+              <React.Fragment key={b}>
+                {row(b, `${open === b ? "▾" : "▸"} ${t(LABELS[b])}${isBalanceBucket(b) ? ` ${t("(closing)")}` : ""}`, total(totalsA[b]), total(totalsB[b]), b, true, () => setOpen(open === b ? null : b))}
+                {open === b && cats.map((c) => row(`${b}:${c}`, <span className="pl-5 text-slate-600">{t.category(c)}</span>, Number(totalsA[b][c] || 0), Number(totalsB[b][c] || 0), b))}
+              </React.Fragment>
+            );
+          })}
+          {row("cash", t("Cash flow"), cashFlow(totalsA), cashFlow(totalsB), "income", true)}
+          {row("net", t("Net worth"), netWorth(totalsA), netWorth(totalsB), "saving", true)}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { parseCSV, parseAmount } from "../lib/bankImport.js";
+import { parseMonthCell } from "../lib/sheetImport.js";
+import { withRate } from "../lib/currency.js";
+import { formatMonth } from "../lib/locale.js";
+import AmountInput from "./AmountInput.jsx";
+
+// Monthly exchange-rate table: one row per month, one column per foreign currency
+export default function ExchangeRates({ rates, home, currencies, selectedMonth, locale, t, onChange, onClose }) {
+  const [newCurrency, setNewCurrency] = useState("");
+  const [newMonth, setNewMonth] = useState(selectedMonth);
+  const [extraCurrencies, setExtraCurrencies] = useState([]);
+  const [extraMonths, setExtraMonths] = useState([]);
+  const [message, setMessage] = useState("");
+
+  const columns = Array.from(new Set([...currencies, ...extraCurrencies])).filter((c) => c !== home).sort();
+  const months = Array.from(new Set([...Object.keys(rates || {}), ...extraMonths])).sort().reverse();
+
+  function addCurrency() {
+    const c = newCurrency.trim().toUpperCase();
+    if (/^[A-Z]{3}$/.test(c) && c !== home) setExtraCurrencies((prev) => [...prev, c]);
+    setNewCurrency("");
+  }
+
+  function addMonth() {
+    if (/^\d{4}-\d{2}$/.test(newMonth)) setExtraMonths((prev) => [...prev, newMonth]);
+  }
+
+  // Accepts Month,Currency,Rate rows or a Month column followed by one column per currency
+  async function importCSV(file) {
+    const rows = parseCSV(await file.text());
+    if (rows.length < 2) { setMessage(t("No rates found in this file.")); return; }
+    const header = rows[0].map((h) => h.trim());
+    let next = rates || {};
+    let count = 0;
+    const iCur = header.findIndex((h) => /^currency$/i.test(h));
+    const iRate = header.findIndex((h) => /^rate$/i.test(h));
+    const iMonth = Math.max(0, header.findIndex((h) => /^(month|date)$/i.test(h)));
+    for (const r of rows.slice(1)) {
+      const key = parseMonthCell(r[iMonth]);
+      if (!key) continue;
+      const pairs = iCur >= 0 && iRate >= 0
+        ? [[String(r[iCur]).trim().toUpperCase(), r[iRate]]]
+        : header.map((h, i) => [h.toUpperCase(), r[i]]).filter(([h], i) => i !== iMonth && /^[A-Z]{3}$/.test(h));
+      for (const [cur, raw] of pairs) {
+        const v = parseAmount(raw);
+        if (cur === home || !(v > 0)) continue;
+        next = withRate(next, key, cur, v);
+        count++;
+      }
+    }
+    onChange(next, `Imported ${count} exchange rate(s)`);
+    setMessage(t("Imported {count} rate(s).", { count }));
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">{t("Exchange rates")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-sm text-slate-600 mb-3">{t("Value of one unit of each currency in {home}. A month without a rate uses the most recent earlier one.", { home })}</div>
+        {message && <div className="mb-3 text-sm text-emerald-700">{message}</div>}
+
+        <div className="flex flex-wrap gap-2 mb-3 text-sm">
+          <input className="border rounded-xl px-3 py-2 w-24" placeholder="GBP" value={newCurrency} onChange={(e) => setNewCurrency(e.target.value)} />
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={addCurrency}>{t("Add currency")}</button>
+          <input type="month" className="border rounded-xl px-3 py-2" value={newMonth} onChange={(e) => setNewMonth(e.target.value)} />
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={addMonth}>{t("Add month")}</button>
+          <label className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 cursor-pointer">
+            {t("Import CSV")}
+            <input type="file" accept=".csv,.txt" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && importCSV(e.target.files[0])} />
+          </label>
+        </div>
+
+        {!columns.length ? (
+          <div className="text-sm text-slate-500">{t("Add a currency to start entering rates.")}</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="p-1">{t("Month")}</th>
+                {columns.map((c) => (<th key={c} className="p-1">{c}</th>))}
+              </tr>
+            </thead>
+            <tbody>
+              {months.map((m) => (
+                <tr key={m} className="border-t">
+                  <td className="p-1 whitespace-nowrap">{formatMonth(m, locale, "short")}</td>
+                  {columns.map((c) => (
+                    <td key={c} className="p-1">
+                      <AmountInput
+                        locale={locale}
+                        className="border rounded-md px-2 py-1 w-24"
+                        value={rates?.[m]?.[c]}
+                        onChange={(rate) => onChange(withRate(rates, m, c, rate))}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
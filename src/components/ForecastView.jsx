@@ -0,0 +1,249 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, ComposedChart, Bar, Cell, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine
+} from "recharts";
+import { BUCKETS, newId, addMonths } from "../lib/ledger.js";
+import { WINDOWS, HORIZONS, horizonEnd, projectMonths } from "../lib/forecast.js";
+import { parseLocaleAmount, formatMonth } from "../lib/locale.js";
+
+const SHOWN_ACTUALS = 12;
+
+function sumValues(obj) {
+  return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
+}
+
+function summary(month, totals, forecast) {
+  const income = sumValues(totals.income);
+  const expense = sumValues(totals.expense);
+  const savings = sumValues(totals.saving) + sumValues(totals.investment);
+  const liabilities = sumValues(totals.liability);
+  return { month, forecast, income, expense, cashFlow: income - expense, savings, netWorth: savings - liabilities };
+}
+
+// Projection of cash flow, savings and net worth past the last actual month, with one-off
+// future items (saved in data.oneOffs) and what-if adjustments (kept only while the view is open)
+export default function ForecastView({
+  totalsByMonth, months, recurring, oneOffs, links, convert, fyStartMonth, templates,
+  currencies, defaultCurrency, fmtCurrency, locale, t, compact, onAddOneOff, onRemoveOneOff
+}) {
+  const [averageOver, setAverageOver] = useState(6);
+  const [horizon, setHorizon] = useState("fy");
+  const [whatIf, setWhatIf] = useState([]); // [{ bucket, category, pct }]
+  const [adjust, setAdjust] = useState({ bucket: "expense", category: "", pct: -10 });
+  const [item, setItem] = useState({ month: "", bucket: "expense", category: "", amount: "", note: "", currency: defaultCurrency });
+
+  const actual = useMemo(() => Object.keys(totalsByMonth).sort(), [totalsByMonth]);
+  const last = actual[actual.length - 1];
+  const through = last ? horizonEnd(horizon, last, fyStartMonth) : null;
+
+  const projected = useMemo(() => (last ? projectMonths({
+    totalsByMonth, months, recurring, oneOffs, links, whatIf, window: averageOver, through, convert
+  }) : []), [totalsByMonth, months, recurring, oneOffs, links, whatIf, averageOver, through, convert, last]);
+
+  // actual and forecast series share the last actual point so the dashed line joins the solid one
+  const series = useMemo(() => {
+    const rows = [
+      ...actual.slice(-SHOWN_ACTUALS).map((k) => summary(k, totalsByMonth[k], false)),
+      ...projected.map((p) => summary(p.month, p.totals, true))
+    ];
+    return rows.map((r) => ({
+      ...r,
+      netWorthActual: r.forecast ? undefined : r.netWorth,
+      savingsActual: r.forecast ? undefined : r.savings,
+      netWorthForecast: r.forecast || r.month === last ? r.netWorth : undefined,
+      savingsForecast: r.forecast || r.month === last ? r.savings : undefined
+    }));
+  }, [actual, projected, totalsByMonth, last]);
+
+  if (!last) {
+    return <div className={"bg-white rounded-2xl shadow p-4 text-center text-slate-500 " + (compact ? "text-sm" : "")}>{t("Add a month of actuals to see a forecast.")}</div>;
+  }
+
+  const now = summary(last, totalsByMonth[last], false);
+  const end = projected.length ? summary(through, projected[projected.length - 1].totals, true) : now;
+  const forecastCash = projected.reduce((a, p) => a + summary(p.month, p.totals, true).cashFlow, 0);
+  // fiscal-year cash flow: actual months of that year plus the forecast
+  const fyFrom = addMonths(through, -11);
+  const fyActualCash = actual.filter((k) => k >= fyFrom && k <= through).reduce((a, k) => a + summary(k, totalsByMonth[k], false).cashFlow, 0);
+
+  const catsFor = (bucket) => Array.from(new Set([...(templates[bucket] || []), ...actual.slice(-averageOver).flatMap((k) => Object.keys(totalsByMonth[k][bucket]))]));
+  const futureItems = (oneOffs || []).filter((i) => i.month > last).sort((a, b) => a.month.localeCompare(b.month));
+
+  function addAdjust() {
+    if (!adjust.category || !Number(adjust.pct)) return;
+    setWhatIf([...whatIf.filter((w) => !(w.bucket === adjust.bucket && w.category === adjust.category)), { ...adjust, pct: Number(adjust.pct) }]);
+  }
+
+  function addItem() {
+    const amount = parseLocaleAmount(item.amount, locale);
+    if (!item.month || item.month <= last || !item.category || !amount) return;
+    onAddOneOff({ id: newId(), month: item.month, bucket: item.bucket, category: item.category, amount, note: item.note, currency: item.currency });
+    setItem({ ...item, amount: "", note: "" });
+  }
+
+  const chartClass = compact ? "h-56" : "h-72";
+  const cardClass = "bg-white rounded-2xl shadow p-4 " + (compact ? "text-sm" : "");
+  const axis = { fontSize: compact ? 10 : 12 };
+  const money = (v) => fmtCurrency(v);
+  const shortMoney = (v) => new Intl.NumberFormat(locale || undefined, { notation: "compact" }).format(v);
+  const legendStyle = { fontSize: compact ? 10 : 12 };
+  const marker = <ReferenceLine x={last} stroke="#94a3b8" strokeDasharray="4 4" label={{ value: t("Forecast →"), position: "insideTopRight", fontSize: 11, fill: "#64748b" }} />;
+  const input = "border rounded-xl px-2 py-1 bg-white";
+  const month = (k) => formatMonth(k, locale, "short");
+
+  return (
+    <div className="space-y-3 md:space-y-4">
+      <div className="flex flex-wrap items-center gap-2 justify-end text-sm">
+        <label className="flex items-center gap-1">{t("Average of last")}
+          <select className={input} value={averageOver} onChange={(e) => setAverageOver(Number(e.target.value))}>
+            {WINDOWS.map((w) => (<option key={w} value={w}>{t("{count} months", { count: w })}</option>))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">{t("through")}
+          <select className={input} value={horizon} onChange={(e) => setHorizon(e.target.value)}>
+            {HORIZONS.map(({ k, label }) => (<option key={k} value={k}>{t(label)}</option>))}
+          </select>
+        </label>
+        <span className="text-slate-500">{month(addMonths(last, 1))} – {month(through)}</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4">
+        {[
+          [t("Net worth at {month}", { month: month(through) }), end.netWorth, end.netWorth - now.netWorth],
+          [t("Savings & investments"), end.savings, end.savings - now.savings],
+          [t("Forecast cash flow"), forecastCash, null],
+          [horizon === "fy" ? t("Fiscal year cash flow") : t("Cash flow per month"), horizon === "fy" ? fyActualCash + forecastCash : forecastCash / (projected.length || 1), null]
+        ].map(([label, value, delta]) => (
+          <div key={label} className={cardClass}>
+            <div className="text-slate-500 text-xs">{label}</div>
+            <div className="text-lg font-semibold">{fmtCurrency(value)}</div>
+            {delta != null && <div className={`text-xs ${delta >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{delta >= 0 ? "▲" : "▼"} {t("{amount} vs {month}", { amount: fmtCurrency(Math.abs(delta)), month: month(last) })}</div>}
+          </div>
+        ))}
+      </div>
+
+      <div className={cardClass}>
+        <div className="text-center font-semibold mb-2">{t("Net Worth and Savings")}</div>
+        <div className={chartClass}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="month" tick={axis} />
+              <YAxis tick={axis} tickFormatter={shortMoney} />
+              <Tooltip formatter={money} />
+              <Legend wrapperStyle={legendStyle} />
+              {marker}
+              <Line type="monotone" dataKey="netWorthActual" name={t("Net worth")} stroke="#0891b2" strokeWidth={2} connectNulls={false} />
+              <Line type="monotone" dataKey="netWorthForecast" name={t("Net worth (forecast)")} stroke="#0891b2" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+              <Line type="monotone" dataKey="savingsActual" name={t("Savings")} stroke="#22c55e" connectNulls={false} dot={false} />
+              <Line type="monotone" dataKey="savingsForecast" name={t("Savings (forecast)")} stroke="#22c55e" strokeDasharray="6 4" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <div className="text-center font-semibold mb-2">{t("Cash Flow")} <span className="text-xs font-normal text-slate-500">{t("(pale bars are forecast)")}</span></div>
+        <div className={chartClass}>
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="month" tick={axis} />
+              <YAxis tick={axis} tickFormatter={shortMoney} />
+              <Tooltip formatter={money} />
+              {marker}
+              <Bar dataKey="cashFlow" name={t("Cash flow")}>
+                {series.map((d) => (
+                  <Cell key={d.month} fill={d.cashFlow >= 0 ? "#22c55e" : "#e11d48"} fillOpacity={d.forecast ? 0.35 : 1} stroke={d.forecast ? (d.cashFlow >= 0 ? "#22c55e" : "#e11d48") : undefined} strokeDasharray={d.forecast ? "3 3" : undefined} />
+                ))}
+              </Bar>
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3 md:gap-4">
+        <div className={cardClass}>
+          <div className="font-semibold mb-1">{t("What if…")}</div>
+          <div className="text-xs text-slate-500 mb-2">{t("Scale a category's projected amount, e.g. Takeaway −30%. Not saved.")}</div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select className={input} value={adjust.bucket} onChange={(e) => setAdjust({ ...adjust, bucket: e.target.value, category: "" })}>
+              {BUCKETS.map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+            </select>
+            <select className={input} value={adjust.category} onChange={(e) => setAdjust({ ...adjust, category: e.target.value })}>
+              <option value="">{t("Category…")}</option>
+              {catsFor(adjust.bucket).map((c) => (<option key={c} value={c}>{t.category(c)}</option>))}
+            </select>
+            <input type="number" className={input + " w-20"} value={adjust.pct} onChange={(e) => setAdjust({ ...adjust, pct: e.target.value })} />%
+            <button className="px-3 py-1 rounded-xl bg-white shadow hover:bg-slate-100" onClick={addAdjust}>{t("Apply")}</button>
+          </div>
+          <div className="flex flex-wrap gap-2 mt-2 text-sm">
+            {whatIf.map((w) => (
+              <span key={`${w.bucket}:${w.category}`} className="rounded-full px-2 py-0.5 bg-amber-100 text-amber-800">
+                {t.category(w.category)} {w.pct > 0 ? "+" : "−"}{Math.abs(w.pct)}%
+                <button className="ml-1" aria-label={t("Remove {category}", { category: t.category(w.category) })} onClick={() => setWhatIf(whatIf.filter((x) => x !== w))}>✕</button>
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <div className="font-semibold mb-1">{t("One-off future items")}</div>
+          <div className="text-xs text-slate-500 mb-2">{t("Known amounts such as a bonus or a holiday. They only feed the forecast and never become entries.")}</div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input type="month" aria-label={t("Month")} className={input} min={addMonths(last, 1)} value={item.month} onChange={(e) => setItem({ ...item, month: e.target.value })} />
+            <select className={input} value={item.bucket} onChange={(e) => setItem({ ...item, bucket: e.target.value, category: "" })}>
+              {BUCKETS.map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+            </select>
+            <select className={input} value={item.category} onChange={(e) => setItem({ ...item, category: e.target.value })}>
+              <option value="">{t("Category…")}</option>
+              {catsFor(item.bucket).map((c) => (<option key={c} value={c}>{t.category(c)}</option>))}
+            </select>
+            <input inputMode="decimal" type="text" placeholder={t("Amount")} className={input + " w-28"} value={item.amount} onChange={(e) => setItem({ ...item, amount: e.target.value })} />
+            <select className={input} value={item.currency} onChange={(e) => setItem({ ...item, currency: e.target.value })}>
+              {currencies.map((c) => (<option key={c} value={c}>{c}</option>))}
+            </select>
+            <input placeholder={t("Note")} className={input + " flex-1 min-w-[6rem]"} value={item.note} onChange={(e) => setItem({ ...item, note: e.target.value })} />
+            <button className="px-3 py-1 rounded-xl bg-white shadow hover:bg-slate-100" onClick={addItem}>{t("Add")}</button>
+          </div>
+          <ul className="divide-y text-sm mt-2">
+            {futureItems.map((i) => (
+              <li key={i.id} className="py-1 flex items-center justify-between gap-2">
+                <span>{month(i.month)} · {t.category(i.category)} · {fmtCurrency(i.amount, i.currency)}{i.note ? ` · ${i.note}` : ""}</span>
+                <button className="text-rose-600" aria-label={t("Remove item")} onClick={() => onRemoveOneOff(i)}>✕</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <div className={cardClass + " overflow-auto"}>
+        <table className="w-full text-sm">
+          <thead className="text-slate-500">
+            <tr>
+              <th className="p-1 text-left">{t("Month")}</th>
+              <th className="p-1 text-right">{t("Income")}</th>
+              <th className="p-1 text-right">{t("Expenses")}</th>
+              <th className="p-1 text-right">{t("Cash flow")}</th>
+              <th className="p-1 text-right">{t("Savings")}</th>
+              <th className="p-1 text-right">{t("Net worth")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {series.map((r) => (
+              <tr key={r.month} className={`border-t ${r.forecast ? "italic text-slate-500 bg-slate-50" : ""}`}>
+                <td className="p-1">{month(r.month)}{r.forecast ? ` ${t("(forecast)")}` : ""}</td>
+                <td className="p-1 text-right">{fmtCurrency(r.income)}</td>
+                <td className="p-1 text-right">{fmtCurrency(r.expense)}</td>
+                <td className="p-1 text-right">{fmtCurrency(r.cashFlow)}</td>
+                <td className="p-1 text-right">{fmtCurrency(r.savings)}</td>
+                <td className="p-1 text-right">{fmtCurrency(r.netWorth)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-slate-500">{t("Categories are projected from their average over the last {count} months (balances from their average monthly change); recurring rules add their scheduled amounts instead.", { count: averageOver })}</div>
+    </div>
+  );
+}
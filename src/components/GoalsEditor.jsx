@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { newId } from "../lib/ledger.js";
+import { GOAL_BUCKETS } from "../lib/goals.js";
+import { parseLocaleAmount, formatAmount, formatMonth } from "../lib/locale.js";
+
+function blankGoal(currency, month) {
+  return { name: "", target: "", currency, targetDate: month, funding: [] };
+}
+
+// Add, edit and delete savings goals; each change is reported with a label for the history
+export default function GoalsEditor({ goals, templates, currencies, defaultCurrency, selectedMonth, fmtCurrency, locale, t, onChange, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const funded = (f) => draft.funding.some((x) => x.bucket === f.bucket && x.category === f.category);
+  function toggleFunding(f) {
+    setDraft({ ...draft, funding: funded(f) ? draft.funding.filter((x) => !(x.bucket === f.bucket && x.category === f.category)) : [...draft.funding, f] });
+  }
+
+  function saveDraft() {
+    const target = parseLocaleAmount(draft.target, locale);
+    if (!draft.name.trim() || !(target > 0) || !/^\d{4}-\d{2}$/.test(draft.targetDate) || !draft.funding.length) return;
+    const goal = { ...draft, id: editingId || newId(), name: draft.name.trim(), target };
+    onChange(editingId ? goals.map((g) => (g.id === editingId ? goal : g)) : [...goals, goal], editingId ? `Updated goal ${goal.name}` : `Added goal ${goal.name}`);
+    setDraft(null);
+    setEditingId(null);
+  }
+
+  const field = "border rounded-xl px-3 py-2 w-full bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{t("Savings goals")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        {!draft && (
+          <div className="space-y-3 text-sm">
+            {!goals.length && <div className="text-slate-500">{t("No goals yet. A goal tracks the balances of the saving or investment categories that fund it.")}</div>}
+            {goals.map((g) => (
+              <div key={g.id} className="border rounded-xl p-3 flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-semibold truncate">{g.name} · {t("{amount} by {date}", { amount: fmtCurrency(g.target, g.currency), date: formatMonth(g.targetDate, locale) })}</div>
+                  <div className="text-xs text-slate-500 truncate">{t("Funded by {categories}", { categories: g.funding.map((f) => t.category(f.category)).join(", ") })}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => { setEditingId(g.id); setDraft({ ...g, target: formatAmount(g.target, locale) }); }}>{t("Edit")}</button>
+                  <button className="px-2 py-1 rounded-md bg-rose-500 text-white" onClick={() => onChange(goals.filter((x) => x.id !== g.id), `Deleted goal ${g.name}`)}>{t("Delete")}</button>
+                </div>
+              </div>
+            ))}
+            <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={() => { setEditingId(null); setDraft(blankGoal(defaultCurrency, selectedMonth)); }}>{t("+ New goal")}</button>
+          </div>
+        )}
+
+        {draft && (
+          <div className="space-y-3 text-sm">
+            <label className="block">{t("Name")}
+              <input className={field} placeholder={t("e.g. House deposit")} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              <label className="block col-span-1">{t("Target")}
+                <input inputMode="decimal" type="text" className={field} value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} />
+              </label>
+              <label className="block">{t("Currency")}
+                <select className={field} value={draft.currency} onChange={(e) => setDraft({ ...draft, currency: e.target.value })}>
+                  {currencies.map((c) => (<option key={c} value={c}>{c}</option>))}
+                </select>
+              </label>
+              <label className="block">{t("Target date")}
+                <input type="month" className={field} value={draft.targetDate} onChange={(e) => setDraft({ ...draft, targetDate: e.target.value })} />
+              </label>
+            </div>
+            <div>
+              <div className="mb-1">{t("Funded by")}</div>
+              {GOAL_BUCKETS.map((bucket) => {
+                const names = Array.from(new Set([...(templates[bucket] || []), ...draft.funding.filter((f) => f.bucket === bucket).map((f) => f.category)]));
+                return (
+                  <div key={bucket} className="mb-2">
+                    <div className="text-xs text-slate-500 capitalize">{t(bucket)}</div>
+                    <div className="flex flex-wrap gap-2">
+                      {names.map((category) => (
+                        <label key={category} className="flex items-center gap-1 border rounded-lg px-2 py-1">
+                          <input type="checkbox" checked={funded({ bucket, category })} onChange={() => toggleFunding({ bucket, category })} />
+                          {t.category(category)}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => { setDraft(null); setEditingId(null); }}>{t("Cancel")}</button>
+              <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" disabled={!draft.name.trim() || !(parseLocaleAmount(draft.target, locale) > 0) || !draft.funding.length} onClick={saveDraft}>{t("Save")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+
+// Dashboard cards for savings goals. items: [{ goal, progress }] (see goalProgress)
+export default function GoalsPanel({ items, asOf, fmtCurrency, t, compact, onManage }) {
+  const cardClass = "bg-white rounded-2xl shadow p-4 " + (compact ? "text-sm" : "");
+
+  if (!items.length) {
+    return (
+      <div className="mt-4 text-center">
+        <button className="text-sm text-slate-600 underline" onClick={onManage}>{t("Set a savings goal")}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={"mt-4 " + (compact ? "max-w-4xl mx-auto" : "")}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">{t("Savings goals")} <span className="text-xs font-normal text-slate-500">{t("as of {month}", { month: asOf })}</span></div>
+        <button className="px-3 py-1 rounded-xl bg-white shadow hover:bg-slate-100 text-sm" onClick={onManage}>{t("Manage goals")}</button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4">
+        {items.map(({ goal, progress: p }) => {
+          const pct = Math.max(0, Math.min(100, p.pct));
+          return (
+            <div key={goal.id} className={cardClass}>
+              <div className="flex items-baseline justify-between gap-2">
+                <div className="font-semibold truncate">{goal.name}</div>
+                <div className="text-xs text-slate-500 whitespace-nowrap">{t("by {month}", { month: goal.targetDate })}</div>
+              </div>
+              <div className="mt-2 h-3 rounded-full bg-slate-100 overflow-hidden">
+                <div className={`h-full ${p.onTrack ? "bg-emerald-500" : "bg-amber-500"}`} style={{ width: `${pct}%` }} />
+              </div>
+              <div className="mt-1 text-sm">{t("{saved} of {target}", { saved: fmtCurrency(p.saved), target: fmtCurrency(p.target) })} <span className="text-slate-500">({p.pct.toFixed(0)}%)</span></div>
+              {p.projected !== "reached" && (
+                <div className="mt-1 text-xs text-slate-600">
+                  {t(p.monthsLeft > 0 ? "Needs {required}/month" : "Needs {required}/month (target date passed)", { required: fmtCurrency(p.required) })} · {t("averaging {average}/month", { average: fmtCurrency(p.average) })}
+                </div>
+              )}
+              <div className={`mt-1 text-xs font-semibold ${p.onTrack ? "text-emerald-600" : "text-amber-600"}`}>
+                {p.projected === "reached" ? t("Goal reached")
+                  : p.projected ? t(p.onTrack ? "Projected to complete {month} — on track" : "Projected to complete {month} — behind", { month: p.projected })
+                  : t("Not reachable at the current pace")}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import { newId, todayISO } from "../lib/ledger.js";
+import { parseCSV, parseAmount, parseDate } from "../lib/bankImport.js";
+import { parseMonthCell } from "../lib/sheetImport.js";
+import { positionAt, priceAt, withPrice } from "../lib/holdings.js";
+import { parseLocaleAmount, formatAmount, formatMonth, formatDate } from "../lib/locale.js";
+import AmountInput from "./AmountInput.jsx";
+
+// Holdings with their buy/sell transactions and monthly prices. onChange(next, label, opts)
+// reports each change; typing prices passes no label and is folded into one step.
+export default function HoldingsManager({ holdings, categories, currencies, defaultCurrency, months, selectedMonth, fmtCurrency, locale, t, onChange, onClose }) {
+  const [selectedId, setSelectedId] = useState(holdings[0]?.id || null);
+  const [draft, setDraft] = useState(null); // new holding: { category, symbol, currency }
+  const [tx, setTx] = useState({ date: todayISO(), kind: "buy", units: "", price: "", fees: "" });
+  const [newMonth, setNewMonth] = useState(selectedMonth);
+  const [extraMonths, setExtraMonths] = useState([]);
+  const [message, setMessage] = useState("");
+
+  const selected = holdings.find((h) => h.id === selectedId) || null;
+  const replace = (h) => holdings.map((x) => (x.id === h.id ? h : x));
+  const field = "border rounded-xl px-3 py-2 bg-white";
+  const units = (n) => formatAmount(n, locale);
+
+  function addHolding() {
+    const category = draft.category.trim();
+    if (!category || holdings.some((h) => h.category === category)) return;
+    const holding = { id: newId(), category, symbol: draft.symbol.trim(), currency: draft.currency, transactions: [], prices: {} };
+    onChange([...holdings, holding], `Added holding ${category}`);
+    setSelectedId(holding.id);
+    setDraft(null);
+  }
+
+  function addTransaction() {
+    const count = parseLocaleAmount(tx.units, locale);
+    const price = parseLocaleAmount(tx.price, locale);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(tx.date) || !(count > 0) || !(price >= 0)) return;
+    if (tx.kind === "sell" && count > positionAt(selected, tx.date).units + 1e-9) {
+      setMessage(t("Only {units} units are held on {date}.", { units: units(positionAt(selected, tx.date).units), date: formatDate(tx.date, locale) }));
+      return;
+    }
+    const trade = { id: newId(), date: tx.date, kind: tx.kind, units: count, price, fees: parseLocaleAmount(tx.fees, locale) || 0 };
+    onChange(replace({ ...selected, transactions: [...selected.transactions, trade] }), `${tx.kind === "sell" ? "Sold" : "Bought"} ${count} ${selected.symbol || selected.category}`);
+    setTx({ ...tx, units: "", price: "", fees: "" });
+    setMessage("");
+  }
+
+  // Month,Price rows for the selected holding, or Month,Holding|Symbol,Price rows for any holding
+  async function importPrices(file) {
+    const rows = parseCSV(await file.text());
+    if (rows.length < 2) { setMessage(t("No prices found in this file.")); return; }
+    const header = rows[0].map((h) => h.trim());
+    const iMonth = Math.max(0, header.findIndex((h) => /^(month|date)$/i.test(h)));
+    const iPrice = header.findIndex((h) => /^(price|close|value)$/i.test(h));
+    const iName = header.findIndex((h) => /^(holding|symbol|ticker|name)$/i.test(h));
+    if (iPrice < 0) { setMessage(t("The file needs a Price column.")); return; }
+    let next = holdings;
+    let count = 0;
+    for (const r of rows.slice(1)) {
+      const key = parseMonthCell(r[iMonth]) || parseDate(r[iMonth])?.slice(0, 7);
+      const price = parseAmount(r[iPrice]);
+      const name = iName >= 0 ? String(r[iName]).trim().toLowerCase() : null;
+      const target = name ? next.find((h) => h.category.toLowerCase() === name || (h.symbol || "").toLowerCase() === name) : next.find((h) => h.id === selectedId);
+      if (!key || !(price > 0) || !target) continue;
+      next = next.map((h) => (h.id === target.id ? withPrice(h, key, price) : h));
+      count++;
+    }
+    onChange(next, `Imported ${count} price(s)`);
+    setMessage(t("Imported {count} price(s).", { count }));
+  }
+
+  const priceMonths = selected
+    ? Array.from(new Set([...months, ...Object.keys(selected.prices || {}), ...extraMonths])).sort().reverse()
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">{t("Investment holdings")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-sm text-slate-600 mb-3">{t("A holding's investment category is valued at units × the month's price from its first transaction on, instead of the amounts typed into the month.")}</div>
+        {message && <div className="mb-3 text-sm text-emerald-700">{message}</div>}
+
+        <div className="flex flex-wrap gap-2 mb-3 text-sm">
+          {holdings.map((h) => (
+            <button key={h.id} className={`px-3 py-2 rounded-xl shadow ${h.id === selectedId ? "bg-emerald-500 text-white" : "bg-white hover:bg-slate-100"}`} onClick={() => setSelectedId(h.id)}>
+              {t.category(h.category)}{h.symbol ? ` (${h.symbol})` : ""}
+            </button>
+          ))}
+          {!draft && <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={() => setDraft({ category: categories[0] || "", symbol: "", currency: defaultCurrency })}>{t("+ Holding")}</button>}
+        </div>
+
+        {draft && (
+          <div className="flex flex-wrap items-end gap-2 mb-4 text-sm border rounded-xl p-3">
+            <label className="flex flex-col">{t("Investment category")}
+              <input list="holding-categories" className={field} value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} />
+              <datalist id="holding-categories">
+                {categories.filter((c) => !holdings.some((h) => h.category === c)).map((c) => (<option key={c} value={c} />))}
+              </datalist>
+            </label>
+            <label className="flex flex-col">{t("Symbol")}
+              <input className={field + " w-24"} placeholder="BTC" value={draft.symbol} onChange={(e) => setDraft({ ...draft, symbol: e.target.value })} />
+            </label>
+            <label className="flex flex-col">{t("Price currency")}
+              <select className={field} value={draft.currency} onChange={(e) => setDraft({ ...draft, currency: e.target.value })}>
+                {currencies.map((c) => (<option key={c} value={c}>{c}</option>))}
+              </select>
+            </label>
+            <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" disabled={!draft.category.trim() || holdings.some((h) => h.category === draft.category.trim())} onClick={addHolding}>{t("Add")}</button>
+            <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => setDraft(null)}>{t("Cancel")}</button>
+          </div>
+        )}
+
+        {!selected && !draft && <div className="text-sm text-slate-500">{t("No holdings yet.")}</div>}
+
+        {selected && (
+          <div className="space-y-4 text-sm">
+            {(() => {
+              const pos = positionAt(selected, todayISO());
+              const price = priceAt(selected, todayISO().slice(0, 7));
+              return (
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <span className="font-semibold">{t("{units} units", { units: units(pos.units) })}</span> · {t("cost basis {amount}", { amount: fmtCurrency(pos.cost, selected.currency) })}
+                    {price != null && <> · {t("latest price {price}", { price: fmtCurrency(price, selected.currency) })} · {t("value {amount}", { amount: fmtCurrency(pos.units * price, selected.currency) })}</>}
+                  </div>
+                  <button className="px-2 py-1 rounded-md bg-rose-500 text-white" onClick={() => { onChange(holdings.filter((h) => h.id !== selected.id), `Deleted holding ${selected.category}`); setSelectedId(null); }}>{t("Delete holding")}</button>
+                </div>
+              );
+            })()}
+
+            <div>
+              <div className="font-semibold mb-1">{t("Transactions")}</div>
+              <div className="flex flex-wrap gap-2 mb-2">
+                <input type="date" className={field} value={tx.date} onChange={(e) => setTx({ ...tx, date: e.target.value })} />
+                <select className={field} value={tx.kind} onChange={(e) => setTx({ ...tx, kind: e.target.value })}>
+                  <option value="buy">{t("Buy")}</option>
+                  <option value="sell">{t("Sell")}</option>
+                </select>
+                <input inputMode="decimal" type="text" placeholder={t("Units")} className={field + " w-24"} value={tx.units} onChange={(e) => setTx({ ...tx, units: e.target.value })} />
+                <input inputMode="decimal" type="text" placeholder={t("Price ({currency})", { currency: selected.currency })} className={field + " w-32"} value={tx.price} onChange={(e) => setTx({ ...tx, price: e.target.value })} />
+                <input inputMode="decimal" type="text" placeholder={t("Fees")} className={field + " w-20"} value={tx.fees} onChange={(e) => setTx({ ...tx, fees: e.target.value })} />
+                <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={addTransaction}>{t("Add")}</button>
+              </div>
+              <table className="w-full text-xs">
+                <thead className="text-left text-slate-500">
+                  <tr><th className="p-1">{t("Date")}</th><th className="p-1">{t("Type")}</th><th className="p-1 text-right">{t("Units")}</th><th className="p-1 text-right">{t("Price")}</th><th className="p-1 text-right">{t("Fees")}</th><th className="p-1"></th></tr>
+                </thead>
+                <tbody>
+                  {[...selected.transactions].sort((a, b) => b.date.localeCompare(a.date)).map((trade) => (
+                    <tr key={trade.id} className="border-t">
+                      <td className="p-1">{formatDate(trade.date, locale)}</td>
+                      <td className="p-1">{t(trade.kind === "sell" ? "Sell" : "Buy")}</td>
+                      <td className="p-1 text-right">{units(trade.units)}</td>
+                      <td className="p-1 text-right">{fmtCurrency(trade.price, selected.currency)}</td>
+                      <td className="p-1 text-right">{trade.fees ? fmtCurrency(trade.fees, selected.currency) : ""}</td>
+                      <td className="p-1 text-right">
+                        <button className="text-rose-600" aria-label={t("Delete transaction")} onClick={() => onChange(replace({ ...selected, transactions: selected.transactions.filter((x) => x.id !== trade.id) }), `Deleted ${trade.kind} of ${selected.category} on ${trade.date}`)}>✕</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <div className="flex flex-wrap items-center gap-2 mb-1">
+                <span className="font-semibold mr-auto">{t("Month-end prices ({currency})", { currency: selected.currency })}</span>
+                <input type="month" className={field} value={newMonth} onChange={(e) => setNewMonth(e.target.value)} />
+                <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => /^\d{4}-\d{2}$/.test(newMonth) && setExtraMonths([...extraMonths, newMonth])}>{t("Add month")}</button>
+                <label className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 cursor-pointer">
+                  {t("Import CSV")}
+                  <input type="file" accept=".csv,.txt" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && importPrices(e.target.files[0])} />
+                </label>
+              </div>
+              <table className="w-full text-xs">
+                <tbody>
+                  {priceMonths.map((m) => (
+                    <tr key={m} className="border-t">
+                      <td className="p-1 whitespace-nowrap">{formatMonth(m, locale, "short")}</td>
+                      <td className="p-1">
+                        <AmountInput
+                          locale={locale}
+                          className="border rounded-md px-2 py-1 w-32"
+                          placeholder={priceAt(selected, m) != null ? t("{price} (earlier)", { price: formatAmount(priceAt(selected, m), locale) }) : ""}
+                          value={selected.prices?.[m]}
+                          onChange={(price) => onChange(replace(withPrice(selected, m, price)), null, { mergeKey: `prices:${selected.id}` })}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, LineChart, Line, YAxis } from "recharts";
+import { KPIS, kpiStatus } from "../lib/kpi.js";
+import { formatAmount, formatNumber } from "../lib/locale.js";
+import AmountInput from "./AmountInput.jsx";
+
+const SHOWN_CATEGORIES = 6;
+
+// KPI cards for the view with a 12-month sparkline each, plus every expense category's share
+// of income. Thresholds colour a value green or red when MoM colours are on.
+export default function KpiPanel({ kpis, series, thresholds, showColors, fmtCurrency, locale, t, compact, onThreshold }) {
+  const [editing, setEditing] = useState(false);
+  const [allCats, setAllCats] = useState(false);
+
+  const format = (kpi, v) => {
+    if (v == null) return "—";
+    if (kpi.unit === "%") return `${formatNumber(v, locale)}%`;
+    if (kpi.unit === "months") return t("{count} months", { count: formatNumber(v, locale) });
+    return `${v >= 0 ? "▲" : "▼"} ${fmtCurrency(Math.abs(v))}`;
+  };
+  const tone = (status) => (!showColors || !status ? "text-slate-800" : status === "good" ? "text-emerald-600" : "text-rose-600");
+  const stroke = (status) => (!showColors || !status ? "#64748b" : status === "good" ? "#16a34a" : "#e11d48");
+  const cardClass = "bg-white rounded-2xl shadow p-3 " + (compact ? "text-sm" : "");
+  const cats = allCats ? kpis.categoryShares : kpis.categoryShares.slice(0, SHOWN_CATEGORIES);
+
+  return (
+    <div className={"mt-4 " + (compact ? "max-w-4xl mx-auto" : "")}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">{t("Key figures")}</div>
+        <button className="px-3 py-1 rounded-xl bg-white shadow hover:bg-slate-100 text-sm" onClick={() => setEditing(!editing)}>{editing ? t("Done") : t("Thresholds")}</button>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {KPIS.map((kpi) => {
+          const value = kpis[kpi.k];
+          const status = kpiStatus(kpi, value, thresholds[kpi.k]);
+          return (
+            <div key={kpi.k} className={cardClass} title={t(kpi.hint)}>
+              <div className="text-xs text-slate-500">{t(kpi.label)}</div>
+              <div className={`text-lg font-semibold ${tone(status)}`}>{format(kpi, value)}</div>
+              <div className="h-8">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={series}>
+                    <YAxis hide domain={["auto", "auto"]} />
+                    <Line type="monotone" dataKey={kpi.k} stroke={stroke(status)} strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              {editing ? (
+                <label className="mt-1 flex items-center gap-1 text-xs text-slate-600">
+                  {kpi.higherIsBetter ? "≥" : "≤"}
+                  <AmountInput
+                    locale={locale}
+                    className="border rounded-md px-1 py-0.5 w-20"
+                    value={thresholds[kpi.k]}
+                    onChange={(v) => onThreshold(kpi.k, v)}
+                  />
+                  {kpi.unit === "money" ? "" : t(kpi.unit)}
+                </label>
+              ) : (
+                thresholds[kpi.k] != null && <div className="mt-1 text-xs text-slate-400">{t("target")} {kpi.higherIsBetter ? "≥" : "≤"} {kpi.unit === "money" ? fmtCurrency(thresholds[kpi.k]) : `${formatAmount(thresholds[kpi.k], locale)}${kpi.unit === "%" ? "%" : ` ${t(kpi.unit)}`}`}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {kpis.categoryShares.length > 0 && (
+        <div className={cardClass + " mt-3"}>
+          <div className="text-xs text-slate-500 mb-1">{t("Expenses as a share of income")}</div>
+          <div className="space-y-1">
+            {cats.map((c) => (
+              <div key={c.name} className="flex items-center gap-2 text-xs">
+                <span className="w-32 truncate">{t.category(c.name)}{c.fixed ? <span className="ml-1 text-slate-400">{t("fixed")}</span> : null}</span>
+                <div className="flex-1 h-2 rounded-full bg-slate-100 overflow-hidden">
+                  <div className={`h-full ${c.fixed ? "bg-slate-400" : "bg-orange-400"}`} style={{ width: `${Math.min(100, Math.max(0, c.pct ?? 0))}%` }} />
+                </div>
+                <span className="w-28 text-right">{c.pct == null ? "—" : `${formatNumber(c.pct, locale)}%`} · {fmtCurrency(c.value)}</span>
+              </div>
+            ))}
+          </div>
+          {kpis.categoryShares.length > SHOWN_CATEGORIES && (
+            <button className="mt-1 text-xs underline text-slate-600" onClick={() => setAllCats(!allCats)}>{allCats ? t("Show fewer") : t("Show all {count}", { count: kpis.categoryShares.length })}</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+
+// Add, rename and delete profiles, and back up or restore all of them at once. The callbacks
+// return promises; message shows how the last one went.
+export default function ProfileManager({ profiles, activeId, message, onAdd, onRename, onDelete, onBackupAll, onImport, t, onClose }) {
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  const field = "border rounded-xl px-3 py-2 bg-white";
+  const taken = (name, id) => profiles.some((p) => p.id !== id && p.name.toLowerCase() === name.trim().toLowerCase());
+
+  function add() {
+    if (!newName.trim() || taken(newName)) return;
+    onAdd(newName.trim());
+    setNewName("");
+  }
+
+  function rename() {
+    if (editing.name.trim() && !taken(editing.name, editing.id)) onRename(editing.id, editing.name.trim());
+    setEditing(null);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">{t("Profiles")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-sm text-slate-600 mb-3">{t("Each profile is a separate ledger with its own categories, settings, rules and history, stored in this browser.")}</div>
+        {message && <div className="mb-3 text-sm text-emerald-700">{message}</div>}
+
+        <ul className="space-y-2 text-sm mb-4">
+          {profiles.map((p) => (
+            <li key={p.id} className="flex items-center gap-2">
+              {editing?.id === p.id ? (
+                <>
+                  <input autoFocus className={field + " flex-1"} value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} onKeyDown={(e) => e.key === "Enter" && rename()} />
+                  <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={rename}>{t("Save")}</button>
+                </>
+              ) : (
+                <>
+                  <span className="flex-1 truncate">{p.name}{p.id === activeId ? <span className="ml-2 text-xs text-slate-500">{t("open")}</span> : null}</span>
+                  <button className="px-2 py-1 rounded-md bg-white shadow hover:bg-slate-100" onClick={() => setEditing({ id: p.id, name: p.name })}>{t("Rename")}</button>
+                  <button className="px-2 py-1 rounded-md bg-rose-500 text-white disabled:opacity-40" disabled={profiles.length < 2} onClick={() => onDelete(p.id)}>{t("Delete")}</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex gap-2 mb-4 text-sm">
+          <input className={field + " flex-1"} placeholder={t("New profile, e.g. Joint")} value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && add()} />
+          <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" disabled={!newName.trim() || taken(newName)} onClick={add}>{t("Add")}</button>
+        </div>
+
+        <div className="border-t pt-3 flex flex-wrap gap-2 text-sm">
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={onBackupAll}>{t("Back up all profiles (JSON)")}</button>
+          <label className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100 cursor-pointer">
+            {t("Restore as new profile(s)")}
+            <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && onImport(e.target.files[0])} />
+          </label>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">{t("Restoring reads an all-profiles backup or a single profile's backup and adds each profile next to the existing ones; nothing is overwritten. To merge a backup into the open profile use {settings} → {import}.", { settings: t("Settings"), import: t("Import Backup JSON") })}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState } from "react";
+import { BUCKETS, newId } from "../lib/ledger.js";
+import { FREQUENCIES, amountFor, isDue, isSkipped, upcoming, withException, describeRule } from "../lib/recurring.js";
+import { parseLocaleAmount, formatAmount, formatMonth } from "../lib/locale.js";
+
+function blankRule(month) {
+  return {
+    bucket: "expense", category: "", amount: "", note: "", frequency: "monthly", interval: 2,
+    start: month, end: "", day: 1, changeFrom: "", changeAmount: "", currency: ""
+  };
+}
+
+// Manage recurring rules and their single-month skips/overrides
+export default function RecurringRules({ rules, templates, currencies, selectedMonth, postedRuleIds, fmtCurrency, locale, t, onChange, onPostNow, onClose }) {
+  const [draft, setDraft] = useState(null); // form state for a new or edited rule
+  const [editingId, setEditingId] = useState(null);
+  const [override, setOverride] = useState(null); // { ruleId, month, value }
+
+  function startNew() {
+    setEditingId(null);
+    setDraft(blankRule(selectedMonth));
+  }
+
+  function startEdit(rule) {
+    setEditingId(rule.id);
+    setDraft({
+      ...rule,
+      amount: formatAmount(rule.amount, locale),
+      end: rule.end || "",
+      currency: rule.currency || "",
+      changeFrom: rule.change?.from || "",
+      changeAmount: rule.change ? formatAmount(rule.change.amount, locale) : ""
+    });
+  }
+
+  function saveDraft() {
+    const amount = parseLocaleAmount(draft.amount, locale);
+    if (!draft.category || !Number.isFinite(amount) || !/^\d{4}-\d{2}$/.test(draft.start)) return;
+    const hasChange = /^\d{4}-\d{2}$/.test(draft.changeFrom) && Number.isFinite(parseLocaleAmount(draft.changeAmount, locale));
+    const { changeFrom, changeAmount, ...rest } = draft;
+    const rule = {
+      ...rest,
+      id: editingId || newId(),
+      amount,
+      interval: Number(draft.interval) || 1,
+      day: Math.min(28, Math.max(1, Number(draft.day) || 1)),
+      end: draft.end || "",
+      change: hasChange ? { from: changeFrom, amount: parseLocaleAmount(changeAmount, locale) } : null,
+      exceptions: draft.exceptions || {}
+    };
+    const next = editingId ? rules.map((r) => (r.id === editingId ? rule : r)) : [...rules, rule];
+    onChange(next, editingId ? `Updated ${rule.category} rule` : `Added ${rule.category} rule`);
+    setDraft(null);
+    setEditingId(null);
+  }
+
+  function setException(rule, month, exception) {
+    onChange(rules.map((r) => (r.id === rule.id ? withException(r, month, exception) : r)), exception?.skip ? `Skipped ${rule.category} in ${month}` : `Changed ${rule.category} in ${month}`);
+  }
+
+  const field = "border rounded-xl px-3 py-2 w-full bg-white";
+  const month = (k) => formatMonth(k, locale, "short");
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{t("Recurring entries")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        {!draft && (
+          <div className="space-y-3 text-sm">
+            {!rules.length && <div className="text-slate-500">{t("No recurring entries yet. They are posted automatically whenever a new month is opened.")}</div>}
+            {rules.map((rule) => (
+              <div key={rule.id} className="border rounded-xl p-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-semibold truncate">{t.category(rule.category)} <span className="font-normal text-slate-500">({t(rule.bucket)})</span> · {fmtCurrency(rule.amount, rule.currency)}</div>
+                    <div className="text-xs text-slate-500">
+                      {t("{rule}, day {day}", { rule: describeRule(rule, t, month), day: rule.day })}
+                      {rule.change && ` · ${t("{amount} from {month}", { amount: fmtCurrency(rule.change.amount, rule.currency), month: month(rule.change.from) })}`}
+                      {rule.note && ` · ${rule.note}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {!postedRuleIds.has(rule.id) && isDue(rule, selectedMonth) && !isSkipped(rule, selectedMonth) && (
+                      <button className="px-2 py-1 rounded-md bg-blue-500 text-white" onClick={() => onPostNow(rule)}>{t("Post to {month}", { month: month(selectedMonth) })}</button>
+                    )}
+                    <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => startEdit(rule)}>{t("Edit")}</button>
+                    <button className="px-2 py-1 rounded-md bg-rose-500 text-white" onClick={() => onChange(rules.filter((r) => r.id !== rule.id), `Deleted ${rule.category} rule`)}>{t("Delete")}</button>
+                  </div>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {upcoming(rule, selectedMonth, 6).map((m) => {
+                    const skipped = isSkipped(rule, m);
+                    const overridden = rule.exceptions?.[m]?.amount != null;
+                    const editing = override && override.ruleId === rule.id && override.month === m;
+                    return (
+                      <div key={m} className={`text-xs rounded-lg border px-2 py-1 ${skipped ? "opacity-50 line-through" : ""} ${overridden ? "border-blue-400" : ""}`}>
+                        {editing ? (
+                          <span className="inline-flex items-center gap-1">
+                            {month(m)}
+                            <input autoFocus inputMode="decimal" type="text" className="border rounded px-1 w-20" value={override.value} onChange={(e) => setOverride({ ...override, value: e.target.value })} />
+                            <button className="text-emerald-700" onClick={() => { const amount = parseLocaleAmount(override.value, locale); if (Number.isFinite(amount)) setException(rule, m, { amount }); setOverride(null); }}>{t("Save")}</button>
+                            <button className="text-slate-500" onClick={() => setOverride(null)}>✕</button>
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center gap-1">
+                            {month(m)} · {fmtCurrency(amountFor(rule, m), rule.currency)}
+                            {skipped || overridden ? (
+                              <button className="underline" onClick={() => setException(rule, m, null)}>{t("reset")}</button>
+                            ) : (
+                              <>
+                                <button className="underline" onClick={() => setException(rule, m, { skip: true })}>{t("skip")}</button>
+                                <button className="underline" onClick={() => setOverride({ ruleId: rule.id, month: m, value: formatAmount(amountFor(rule, m), locale) })}>{t("change")}</button>
+                              </>
+                            )}
+                          </span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+            <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={startNew}>{t("+ New recurring entry")}</button>
+          </div>
+        )}
+
+        {draft && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Bucket")}</label>
+              <select className={field} value={draft.bucket} onChange={(e) => setDraft({ ...draft, bucket: e.target.value, category: "" })}>
+                {BUCKETS.map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Category")}</label>
+              <select className={field} value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })}>
+                <option value="">{t("Select category…")}</option>
+                {templates[draft.bucket].map((c) => (<option key={c} value={c}>{t.category(c)}</option>))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Amount")}</label>
+              <div className="flex gap-2">
+                <input inputMode="decimal" type="text" className={field} value={draft.amount} onChange={(e) => setDraft({ ...draft, amount: e.target.value })} />
+                <select aria-label={t("Currency")} className="border rounded-xl px-2 py-2 bg-white" value={draft.currency} onChange={(e) => setDraft({ ...draft, currency: e.target.value })}>
+                  <option value="">{t("Default")}</option>
+                  {currencies.map((c) => (<option key={c} value={c}>{c}</option>))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Note")}</label>
+              <input type="text" placeholder={t("Recurring")} className={field} value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Frequency")}</label>
+              <div className="flex gap-2">
+                <select className={field} value={draft.frequency} onChange={(e) => setDraft({ ...draft, frequency: e.target.value })}>
+                  {FREQUENCIES.map(({ k, label }) => (<option key={k} value={k}>{t(label)}</option>))}
+                </select>
+                {draft.frequency === "every" && (
+                  <input type="number" min="1" className="border rounded-xl px-3 py-2 w-20" value={draft.interval} onChange={(e) => setDraft({ ...draft, interval: e.target.value })} />
+                )}
+              </div>
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Day of month")}</label>
+              <input type="number" min="1" max="28" className={field} value={draft.day} onChange={(e) => setDraft({ ...draft, day: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Start month")}</label>
+              <input type="month" className={field} value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("End month (optional)")}</label>
+              <input type="month" className={field} value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("Amount changes from (optional)")}</label>
+              <input type="month" className={field} value={draft.changeFrom} onChange={(e) => setDraft({ ...draft, changeFrom: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-slate-600 mb-1">{t("New amount")}</label>
+              <input inputMode="decimal" type="text" className={field} value={draft.changeAmount} onChange={(e) => setDraft({ ...draft, changeAmount: e.target.value })} />
+            </div>
+            <div className="md:col-span-2 flex justify-end gap-2">
+              <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => { setDraft(null); setEditingId(null); }}>{t("Cancel")}</button>
+              <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={saveDraft}>{t("Save rule")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
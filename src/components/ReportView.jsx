@@ -0,0 +1,139 @@
+import React, { useRef, useState } from "react";
+import { PieChart, Pie, Cell } from "recharts";
+import { svgToPng, reportPdf } from "../lib/reportPdf.js";
+
+const PIE_W = 340;
+const PIE_H = 240;
+
+// Print-optimised report for the selected period: the four pies, headline figures, a table per
+// bucket with shares and deltas against the comparison period, and the top movers. "Print"
+// uses the browser's print dialog (only the report is printed); "Download PDF" draws the same
+// content with jsPDF.
+export default function ReportView({ title, subtitle, report, pies, fmtCurrency, fileName, t, onClose }) {
+  const chartsRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const signed = (v) => `${v >= 0 ? "▲" : "▼"} ${fmtCurrency(Math.abs(v))}`;
+  const pct = (p) => (p == null ? "" : `${p >= 0 ? "+" : ""}${p.toFixed(1)}%`);
+  const tone = (v) => (v > 0 ? "text-emerald-700" : v < 0 ? "text-rose-700" : "");
+
+  async function downloadPdf() {
+    setBusy(true);
+    setError("");
+    try {
+      const svgs = Array.from(chartsRef.current.querySelectorAll("svg.recharts-surface"));
+      const images = await Promise.all(svgs.map((svg) => svgToPng(svg)));
+      const charts = images.map((img, i) => ({ ...img, title: pies[i].title }));
+      const doc = await reportPdf({ title, subtitle, report, charts, fmt: fmtCurrency, t });
+      doc.save(`${fileName}.pdf`);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="print-report fixed inset-0 z-50 bg-white overflow-auto print:static print:overflow-visible">
+      <div className="max-w-4xl mx-auto p-4 md:p-6 text-sm text-slate-800">
+        <div className="flex flex-wrap items-center justify-end gap-2 mb-4 print:hidden">
+          {error && <span className="text-rose-600 mr-auto">{error}</span>}
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => window.print()}>{t("Print")}</button>
+          <button disabled={busy} className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" onClick={downloadPdf}>{busy ? t("Preparing…") : t("Download PDF")}</button>
+          <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={onClose}>{t("Close")}</button>
+        </div>
+
+        <h1 className="text-2xl font-bold">{title}</h1>
+        <div className="text-slate-500 mb-4">{subtitle}</div>
+
+        <div ref={chartsRef} className="grid grid-cols-2 gap-4 mb-6 break-inside-avoid">
+          {pies.map((p) => (
+            <div key={p.title} className="flex flex-col items-center">
+              <div className="font-semibold">{p.title}</div>
+              <PieChart width={PIE_W} height={PIE_H}>
+                <Pie
+                  data={p.data} dataKey="value" nameKey="name" cx="50%" cy="50%" innerRadius={40} outerRadius={70} paddingAngle={2}
+                  isAnimationActive={false} label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} labelLine fontSize={10}
+                >
+                  {p.data.map((d, i) => (<Cell key={d.name} fill={d.color || p.colors[i % p.colors.length]} />))}
+                </Pie>
+              </PieChart>
+            </div>
+          ))}
+        </div>
+
+        <h2 className="text-lg font-semibold mb-1">{t("Summary")}</h2>
+        <table className="w-full mb-6 break-inside-avoid">
+          <thead className="text-slate-500 text-xs">
+            <tr><th className="p-1 text-left"></th><th className="p-1 text-right">{t("Amount")}</th><th className="p-1 text-right">{t("Compared with")}</th><th className="p-1 text-right">{t("Change")}</th><th className="p-1 text-right">%</th></tr>
+          </thead>
+          <tbody>
+            {report.headline.map((h) => (
+              <tr key={h.label} className={`border-t ${h.label === "Cash flow" || h.label === "Net worth" ? "font-semibold" : ""}`}>
+                <td className="p-1">{t(h.label)}</td>
+                <td className="p-1 text-right">{fmtCurrency(h.value)}</td>
+                <td className="p-1 text-right">{fmtCurrency(h.before)}</td>
+                <td className={`p-1 text-right ${tone(h.label === "Expenses" || h.label === "Liabilities" ? -h.delta : h.delta)}`}>{signed(h.delta)}</td>
+                <td className="p-1 text-right">{pct(h.pct)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {report.sections.map((s) => (
+          <div key={s.key} className="mb-6 break-inside-avoid">
+            <h2 className="text-lg font-semibold mb-1">{t(s.title)}</h2>
+            <table className="w-full">
+              <thead className="text-slate-500 text-xs">
+                <tr><th className="p-1 text-left">{t("Category")}</th><th className="p-1 text-right">{t("Amount")}</th><th className="p-1 text-right">{t("Share")}</th><th className="p-1 text-right">{t("Compared with")}</th><th className="p-1 text-right">{t("Change")}</th><th className="p-1 text-right">%</th></tr>
+              </thead>
+              <tbody>
+                {s.rows.map((r) => (
+                  <tr key={r.name} className="border-t">
+                    <td className="p-1">{t.category(r.name)}</td>
+                    <td className="p-1 text-right">{fmtCurrency(r.value)}</td>
+                    <td className="p-1 text-right">{r.share.toFixed(1)}%</td>
+                    <td className="p-1 text-right">{fmtCurrency(r.before)}</td>
+                    <td className="p-1 text-right">{signed(r.delta)}</td>
+                    <td className="p-1 text-right">{pct(r.pct)}</td>
+                  </tr>
+                ))}
+                <tr className="border-t font-semibold">
+                  <td className="p-1">{t("Total")}</td>
+                  <td className="p-1 text-right">{fmtCurrency(s.total)}</td>
+                  <td className="p-1"></td>
+                  <td className="p-1 text-right">{fmtCurrency(s.before)}</td>
+                  <td className="p-1 text-right">{signed(s.total - s.before)}</td>
+                  <td className="p-1"></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        ))}
+
+        {report.movers.length > 0 && (
+          <div className="break-inside-avoid">
+            <h2 className="text-lg font-semibold mb-1">{t("Top movers")}</h2>
+            <table className="w-full">
+              <thead className="text-slate-500 text-xs">
+                <tr><th className="p-1 text-left">{t("Category")}</th><th className="p-1 text-left">{t("Bucket")}</th><th className="p-1 text-right">{t("Amount")}</th><th className="p-1 text-right">{t("Compared with")}</th><th className="p-1 text-right">{t("Change")}</th></tr>
+              </thead>
+              <tbody>
+                {report.movers.map((r) => (
+                  <tr key={`${r.section}:${r.name}`} className="border-t">
+                    <td className="p-1">{t.category(r.name)}</td>
+                    <td className="p-1">{t(r.section)}</td>
+                    <td className="p-1 text-right">{fmtCurrency(r.value)}</td>
+                    <td className="p-1 text-right">{fmtCurrency(r.before)}</td>
+                    <td className="p-1 text-right">{signed(r.delta)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import { formatMonth } from "../lib/locale.js";
+
+const KIND_LABELS = { high: "Higher than usual", low: "Lower than usual", missing: "Missing this month" };
+const KIND_STYLES = { high: "bg-rose-100 text-rose-700", low: "bg-amber-100 text-amber-700", missing: "bg-slate-200 text-slate-700" };
+
+// Month-close review (see lib/review.js): the month's open findings, each acknowledged, opened
+// for editing or muted for its category; muted categories are listed at the bottom to unmute
+export default function ReviewPanel({ month, findings, muted, fmtCurrency, locale, t, onAcknowledge, onEdit, onMute, onUnmute, onClose }) {
+  const mutedList = Object.entries(muted || {}).flatMap(([bucket, cats]) => cats.map((category) => ({ bucket, category })));
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold">{t("Review {month}", { month: formatMonth(month, locale) })}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-xs text-slate-500 mb-3">{t("Each category is compared with up to 12 earlier months of its own.")}</div>
+
+        {!findings.length && <div className="text-sm text-slate-500">{t("Nothing unusual left to review.")}</div>}
+        <ul className="divide-y text-sm">
+          {findings.map((f) => (
+            <li key={f.id} className="py-2">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold">{t.category(f.category)} <span className="font-normal text-xs text-slate-500">{t(f.bucket)}</span></span>
+                <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${KIND_STYLES[f.kind]}`}>{t(KIND_LABELS[f.kind])}</span>
+              </div>
+              <div className="text-slate-600">
+                {f.kind === "missing"
+                  ? t("Nothing recorded; usually {usual}", { usual: fmtCurrency(f.mean) })
+                  : t("{amount}; usually about {usual}", { amount: fmtCurrency(f.value), usual: fmtCurrency(f.mean) })}
+              </div>
+              <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                <button className="px-2 py-1 rounded-md bg-emerald-500 text-white" onClick={() => onAcknowledge(f)}>{t("Looks right")}</button>
+                <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => onEdit(f)}>{f.kind === "missing" ? t("Add entry") : t("Edit entries")}</button>
+                <button className="px-2 py-1 rounded-md bg-slate-200" onClick={() => onMute(f)}>{t("Mute {category}", { category: t.category(f.category) })}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {mutedList.length > 0 && (
+          <div className="mt-3 pt-3 border-t text-xs text-slate-500 flex flex-wrap items-center gap-1">
+            <span>{t("Muted:")}</span>
+            {mutedList.map(({ bucket, category }) => (
+              <button key={`${bucket}:${category}`} className="px-2 py-0.5 rounded-full border bg-white hover:bg-slate-100" title={t("Unmute")} onClick={() => onUnmute(bucket, category)}>
+                {t.category(category)} ✕
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end">
+          <button className="px-3 py-2 rounded-xl bg-slate-900 text-white text-sm" onClick={onClose}>{findings.length ? t("Review later") : t("Done")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
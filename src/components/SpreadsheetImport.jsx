@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from "react";
+import { BUCKETS } from "../lib/ledger.js";
+import { recordsFromSheet, combineRecords, planSheetImport } from "../lib/sheetImport.js";
+import { formatMonth } from "../lib/locale.js";
+
+// XLSX/CSV import of exported (long) or hand-kept (wide) sheets, with a per-month diff
+export default function SpreadsheetImport({ templates, data, links, fmtCurrency, locale, t, onImport, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [sheets, setSheets] = useState([]); // [{ name, layout, count }]
+  const [records, setRecords] = useState([]);
+  const [unknown, setUnknown] = useState({}); // "bucket|category" -> { category, bucket, add }
+  const [modes, setModes] = useState({});
+  const [error, setError] = useState("");
+
+  async function loadFile(file) {
+    setError("");
+    setFileName(file.name);
+    try {
+      const XLSX = (await import('xlsx')).default;
+      const wb = /\.csv$/i.test(file.name)
+        ? XLSX.read(await file.text(), { type: "string", raw: true })
+        : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+      const found = [];
+      const all = [];
+      for (const name of wb.SheetNames) {
+        const rows = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: true, defval: "" });
+        const { layout, records: recs } = recordsFromSheet(rows, templates, name);
+        found.push({ name, layout, count: recs.length });
+        all.push(...recs);
+      }
+      if (!all.length) { setError(t("No Month/Category/Amount rows or month columns were found in this file.")); return; }
+      const unk = {};
+      for (const r of all) {
+        if (r.bucket && templates[r.bucket].includes(r.category)) continue;
+        unk[`${r.bucket || ""}|${r.category}`] = { category: r.category, bucket: r.bucket || "expense", fixed: !!r.bucket, add: true };
+      }
+      const m = {};
+      for (const r of all) m[r.month] = "merge";
+      setSheets(found);
+      setRecords(all);
+      setUnknown(unk);
+      setModes(m);
+    } catch (e) {
+      setError(t("Could not read this file. Please select an XLSX or CSV spreadsheet."));
+    }
+  }
+
+  // Unknown categories take the bucket chosen for them
+  const resolved = useMemo(() => combineRecords(records.map((r) => {
+    const u = unknown[`${r.bucket || ""}|${r.category}`];
+    return u ? { ...r, bucket: u.bucket } : r;
+  })), [records, unknown]);
+
+  const plan = useMemo(() => planSheetImport(data, resolved, modes, links), [data, resolved, modes, links]);
+
+  function setAllModes(mode) {
+    setModes(Object.fromEntries(Object.keys(modes).map((k) => [k, mode])));
+  }
+
+  function confirmImport() {
+    const newTemplates = {};
+    for (const u of Object.values(unknown)) {
+      if (!u.add) continue;
+      newTemplates[u.bucket] = [...(newTemplates[u.bucket] || []), u.category];
+    }
+    onImport(plan.touched, newTemplates);
+  }
+
+  const unknownList = Object.entries(unknown);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{t("Import spreadsheet")}{fileName ? ` — ${fileName}` : ""}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+
+        {error && <div className="mb-3 text-sm text-rose-600">{error}</div>}
+
+        {!records.length && (
+          <label className="block px-3 py-6 rounded-xl border-2 border-dashed text-center text-slate-600 cursor-pointer hover:bg-slate-50">
+            {t("Choose an XLSX or CSV file: exported Month/Bucket/Category/Amount rows, or months as columns with categories as rows")}
+            <input type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={(e) => e.target.files && e.target.files[0] && loadFile(e.target.files[0])} />
+          </label>
+        )}
+
+        {!!records.length && (
+          <div className="space-y-4 text-sm">
+            <div className="text-slate-600">
+              {sheets.filter((s) => s.count).map((s) => t("{sheet}: {count} value(s), {layout} layout", { sheet: s.name, count: s.count, layout: t(s.layout) })).join(" · ")}
+            </div>
+
+            {!!unknownList.length && (
+              <div>
+                <div className="font-semibold mb-2">{t("Unknown categories")}</div>
+                <div className="space-y-1">
+                  {unknownList.map(([key, u]) => (
+                    <div key={key} className="flex items-center justify-between gap-2">
+                      <span className="truncate">{u.category}</span>
+                      <div className="flex items-center gap-2">
+                        <select disabled={u.fixed} className="border rounded-md px-1 py-0.5 bg-white" value={u.bucket} onChange={(e) => setUnknown({ ...unknown, [key]: { ...u, bucket: e.target.value } })}>
+                          {BUCKETS.map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+                        </select>
+                        <label className="inline-flex items-center gap-1 text-xs text-slate-600">
+                          <input type="checkbox" checked={u.add} onChange={(e) => setUnknown({ ...unknown, [key]: { ...u, add: e.target.checked } })} />
+                          {t("Add as subheading")}
+                        </label>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-semibold">{t("Changes by month")}</span>
+                <div className="flex gap-2">
+                  <button className="px-2 py-1 rounded-md border" onClick={() => setAllModes("merge")}>{t("Merge all")}</button>
+                  <button className="px-2 py-1 rounded-md border" onClick={() => setAllModes("replace")}>{t("Replace all")}</button>
+                </div>
+              </div>
+              <div className="max-h-80 overflow-auto space-y-3">
+                {plan.diff.map(({ month, exists, mode, lines }) => {
+                  const changed = lines.filter((l) => Math.abs(l.incoming - l.current) >= 0.005);
+                  return (
+                    <div key={month} className="border rounded-xl p-2">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-semibold">{formatMonth(month, locale)} <span className="font-normal text-slate-500">{exists ? t("existing month") : t("new month")}</span></span>
+                        <select className="border rounded-md px-1 py-0.5 bg-white" value={mode} onChange={(e) => setModes({ ...modes, [month]: e.target.value })}>
+                          <option value="merge">{t("Merge")}</option>
+                          <option value="replace">{t("Replace")}</option>
+                        </select>
+                      </div>
+                      {changed.map((l) => {
+                        const delta = l.incoming - l.current;
+                        return (
+                          <div key={`${l.bucket}|${l.category}`} className="flex items-center justify-between gap-2 text-xs">
+                            <span className="truncate">{t.category(l.category)} <span className="text-slate-500">({t(l.bucket)})</span></span>
+                            <span>
+                              {fmtCurrency(l.current)} → {fmtCurrency(l.incoming)}{" "}
+                              <span className={delta >= 0 ? "text-emerald-600" : "text-rose-600"}>({delta >= 0 ? "+" : "−"}{fmtCurrency(Math.abs(delta))})</span>
+                            </span>
+                          </div>
+                        );
+                      })}
+                      {lines.length > changed.length && <div className="text-xs text-slate-500">{t("{count} unchanged", { count: lines.length - changed.length })}</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={() => { setRecords([]); setFileName(""); }}>{t("Choose another file")}</button>
+              <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={confirmImport}>{t("Import {count} month(s)", { count: plan.diff.length })}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { describeValue } from "../lib/sync.js";
+import { formatDateTime } from "../lib/locale.js";
+
+// Sync settings for the open profile, its status, and the fields both devices changed.
+// onConnect(config) saves the server, ledger id, token and device name; a new server or ledger
+// starts from scratch (the first sync merges both sides).
+export default function SyncPanel({ sync, status, conflicts, pending, defaultLedger, locale, t, onConnect, onSyncNow, onDisconnect, onResolve, onClose }) {
+  const [form, setForm] = useState({
+    url: sync?.url ?? "",
+    ledger: sync?.ledger || defaultLedger,
+    token: sync?.token || "",
+    device: sync?.device || ""
+  });
+  const [choices, setChoices] = useState({}); // conflict index -> "theirs"; the rest keep this device's value
+  const choice = (i) => choices[i] || "mine";
+  const all = (side) => setChoices(Object.fromEntries(conflicts.conflicts.map((_, i) => [i, side])));
+
+  const field = "border rounded-xl px-3 py-2 w-full bg-white";
+  // the translation keeps {command} so the command can be shown as code
+  const [intro, outro] = t("Keeps this profile in step with other devices through a sync server (the Vercel deployment, or {command}). Every device that uses the same server and ledger id shares the ledger. Changes are saved on this device first and sent when the server can be reached.").split("{command}");
+  const validLedger = /^[\w-]{1,64}$/.test(form.ledger);
+
+  function connect() {
+    const fresh = !sync || sync.url !== form.url.trim() || sync.ledger !== form.ledger;
+    onConnect({ ...(fresh ? { rev: 0, base: null } : sync), url: form.url.trim(), ledger: form.ledger, token: form.token, device: form.device.trim() });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end md:items-center justify-center p-3" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">{t("Sync")}</h3>
+          <button className="text-slate-600" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-sm text-slate-600 mb-3">
+          {intro}<code>npm run sync-server</code>{outro}
+        </div>
+
+        {sync?.ledger && (
+          <div className="mb-3 text-sm">
+            {status?.state === "syncing" ? t("Syncing…")
+              : status?.state === "offline" ? t("Offline — changes are kept on this device and sent later.")
+              : status?.state === "error" ? <span className="text-rose-600">{t("Sync failed: {error}", { error: status.message })}</span>
+              : sync.lastSync ? t("Last synced {time} (revision {rev}).", { time: formatDateTime(sync.lastSync, locale), rev: sync.rev })
+              : t("Not synced yet.")}
+            {pending && !conflicts && status?.state !== "syncing" && <span className="ml-1 text-amber-700">{t("Local changes not on the server yet.")}</span>}
+          </div>
+        )}
+
+        {conflicts && (
+          <div className="mb-4 border border-amber-300 bg-amber-50 rounded-xl p-3 text-sm">
+            <div className="font-semibold mb-1">{t("{count} field(s) were changed here and on another device", { count: conflicts.conflicts.length })}</div>
+            <div className="text-xs text-slate-600 mb-2">{t("Everything else has been merged. Pick which value to keep for each, then apply; the result is pushed as the next revision.")}</div>
+            <div className="flex gap-2 mb-2 text-xs">
+              <button className="underline" onClick={() => all("mine")}>{t("Keep all of mine")}</button>
+              <button className="underline" onClick={() => all("theirs")}>{t("Take all from the server")}</button>
+            </div>
+            <table className="w-full text-xs">
+              <thead className="text-left text-slate-500">
+                <tr><th className="p-1">{t("Field")}</th><th className="p-1">{t("This device")}</th><th className="p-1">{t("Server")}</th></tr>
+              </thead>
+              <tbody>
+                {conflicts.conflicts.map((c, i) => (
+                  <tr key={i} className="border-t align-top">
+                    <td className="p-1">{c.label || t("(whole ledger)")}</td>
+                    {["mine", "theirs"].map((side) => (
+                      <td key={side} className="p-1">
+                        <label className="flex items-start gap-1">
+                          <input type="radio" name={`conflict-${i}`} checked={choice(i) === side} onChange={() => setChoices({ ...choices, [i]: side })} />
+                          <span className="break-all">{describeValue(c[side])}</span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button className="mt-2 px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold" onClick={() => { onResolve(conflicts.conflicts.map((_, i) => choice(i))); setChoices({}); }}>{t("Apply")}</button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+          <label className="flex flex-col">{t("Server URL")}
+            <input className={field} placeholder={t("Empty for this site, e.g. {url}", { url: "http://localhost:8787" })} value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} />
+          </label>
+          <label className="flex flex-col">{t("Ledger id")}
+            <input className={field} value={form.ledger} onChange={(e) => setForm({ ...form, ledger: e.target.value })} />
+            {!validLedger && <span className="text-xs text-rose-600">{t("1–64 letters, digits, - or _")}</span>}
+          </label>
+          <label className="flex flex-col">{t("Token (if the server has SYNC_TOKEN)")}
+            <input type="password" className={field} value={form.token} onChange={(e) => setForm({ ...form, token: e.target.value })} />
+          </label>
+          <label className="flex flex-col">{t("This device")}
+            <input className={field} placeholder={t("e.g. Laptop")} value={form.device} onChange={(e) => setForm({ ...form, device: e.target.value })} />
+          </label>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-2 text-sm">
+          <button className="px-3 py-2 rounded-xl bg-blue-500 text-white font-semibold disabled:opacity-40" disabled={!validLedger} onClick={connect}>{sync?.ledger ? t("Save & sync") : t("Turn on sync")}</button>
+          {sync?.ledger && <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={onSyncNow}>{t("Sync now")}</button>}
+          {sync?.ledger && <button className="px-3 py-2 rounded-xl bg-white shadow hover:bg-slate-100" onClick={onDisconnect}>{t("Turn off")}</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
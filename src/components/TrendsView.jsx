@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer, LineChart, Line, BarChart, Bar, ComposedChart, Cell, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine
+} from "recharts";
+import { BUCKETS } from "../lib/ledger.js";
+import { formatMonth } from "../lib/locale.js";
+
+const RANGES = [
+  { k: "6", label: "6M" },
+  { k: "12", label: "12M" },
+  { k: "24", label: "24M" },
+  { k: "all", label: "All" },
+  { k: "custom", label: "Custom" }
+];
+
+// Distinct colours for stacked category series
+const STACK_COLORS = [
+  "#f97316", "#0ea5e9", "#22c55e", "#a855f7", "#eab308", "#ef4444",
+  "#14b8a6", "#6366f1", "#84cc16", "#ec4899", "#64748b", "#f59e0b"
+];
+
+function sumValues(obj) {
+  return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
+}
+
+// Line/bar charts across every month in data.months
+export default function TrendsView({ totalsByMonth, monthsOrder, selectedMonth, categories, fmtCurrency, locale, t, compact, onSelectMonth }) {
+  const [range, setRange] = useState("12");
+  const [from, setFrom] = useState(monthsOrder[0]);
+  const [to, setTo] = useState(monthsOrder[monthsOrder.length - 1]);
+  const [hidden, setHidden] = useState(() => new Set());
+  const [stackBucket, setStackBucket] = useState("expense");
+
+  const keys = useMemo(() => {
+    if (range === "all") return monthsOrder;
+    if (range === "custom") return monthsOrder.filter((k) => k >= (from || "") && k <= (to || "9999"));
+    return monthsOrder.slice(-Number(range));
+  }, [range, from, to, monthsOrder]);
+
+  const series = useMemo(() => keys.map((k) => {
+    const totals = totalsByMonth[k];
+    const income = sumValues(totals.income);
+    const expense = sumValues(totals.expense);
+    const assets = sumValues(totals.saving) + sumValues(totals.investment);
+    const liabilities = sumValues(totals.liability);
+    return { month: k, income, expense, cashFlow: income - expense, assets, liabilities, netWorth: assets - liabilities };
+  }), [keys, totalsByMonth]);
+
+  // Categories in their managed order, unknown ones last
+  const stackCats = useMemo(() => {
+    const cats = new Set();
+    for (const k of keys) Object.keys(totalsByMonth[k][stackBucket]).forEach((c) => cats.add(c));
+    const order = (categories[stackBucket] || []).map((c) => c.name);
+    const rank = (c) => (order.includes(c) ? order.indexOf(c) : order.length);
+    return Array.from(cats).sort((a, b) => rank(a) - rank(b));
+  }, [keys, totalsByMonth, stackBucket, categories]);
+  const colorOf = (c, i) => (categories[stackBucket] || []).find((x) => x.name === c)?.color || STACK_COLORS[i % STACK_COLORS.length];
+
+  const stackData = useMemo(() => keys.map((k) => ({ month: k, ...totalsByMonth[k][stackBucket] })), [keys, totalsByMonth, stackBucket]);
+
+  function toggleSeries(o) {
+    const key = o.dataKey;
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  }
+
+  function pick(state) {
+    if (state && state.activeLabel) onSelectMonth(state.activeLabel);
+  }
+
+  const chartClass = compact ? "h-56" : "h-72";
+  const cardClass = "bg-white rounded-2xl shadow p-4 " + (compact ? "text-sm" : "");
+  const axis = { fontSize: compact ? 10 : 12 };
+  const money = (v) => fmtCurrency(v);
+  const shortMoney = (v) => new Intl.NumberFormat(locale || undefined, { notation: "compact" }).format(v);
+  const legend = <Legend onClick={toggleSeries} wrapperStyle={{ fontSize: compact ? 10 : 12, cursor: "pointer" }} />;
+  const marker = keys.includes(selectedMonth) ? <ReferenceLine x={selectedMonth} stroke="#94a3b8" strokeDasharray="4 4" /> : null;
+
+  if (!series.length) {
+    return <div className={cardClass + " text-center text-slate-500"}>{t("No months in this range yet.")}</div>;
+  }
+
+  return (
+    <div className="space-y-3 md:space-y-4">
+      <div className="flex flex-wrap items-center gap-2 justify-end text-sm">
+        <div className="flex bg-white rounded-xl shadow overflow-hidden">
+          {RANGES.map(({ k, label }) => (
+            <button key={k} onClick={() => setRange(k)} className={`px-3 py-2 ${range === k ? "bg-emerald-500 text-white" : "hover:bg-slate-100"}`}>{t(label)}</button>
+          ))}
+        </div>
+        {range === "custom" && (
+          <>
+            <select className="border rounded-xl px-3 py-2 bg-white" value={from} onChange={(e) => setFrom(e.target.value)}>
+              {monthsOrder.map((m) => (<option key={m} value={m}>{formatMonth(m, locale, "short")}</option>))}
+            </select>
+            <span>{t("to")}</span>
+            <select className="border rounded-xl px-3 py-2 bg-white" value={to} onChange={(e) => setTo(e.target.value)}>
+              {monthsOrder.map((m) => (<option key={m} value={m}>{formatMonth(m, locale, "short")}</option>))}
+            </select>
+          </>
+        )}
+      </div>
+
+      <div className={cardClass}>
+        <div className="text-center font-semibold mb-2">{t("Net Worth")}</div>
+        <div className={chartClass}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series} onClick={pick}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="month" tick={axis} />
+              <YAxis tick={axis} tickFormatter={shortMoney} />
+              <Tooltip formatter={money} />
+              {legend}
+              {marker}
+              <Line type="monotone" dataKey="assets" name={t("Assets")} stroke="#0ea5e9" hide={hidden.has("assets")} dot={false} />
+              <Line type="monotone" dataKey="liabilities" name={t("Liabilities")} stroke="#e11d48" hide={hidden.has("liabilities")} dot={false} />
+              <Line type="monotone" dataKey="netWorth" name={t("Net Worth")} stroke="#0891b2" strokeWidth={2} hide={hidden.has("netWorth")} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <div className="text-center font-semibold mb-2">{t("Income vs Expense")}</div>
+        <div className={chartClass}>
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={series} onClick={pick}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="month" tick={axis} />
+              <YAxis tick={axis} tickFormatter={shortMoney} />
+              <Tooltip formatter={money} />
+              {legend}
+              {marker}
+              <Bar dataKey="cashFlow" name={t("Cash flow")} fill="#22c55e" hide={hidden.has("cashFlow")}>
+                {series.map((d) => (<Cell key={d.month} fill={d.cashFlow >= 0 ? "#22c55e" : "#e11d48"} />))}
+              </Bar>
+              <Line type="monotone" dataKey="income" name={t("Income")} stroke="#16a34a" hide={hidden.has("income")} />
+              <Line type="monotone" dataKey="expense" name={t("Expense")} stroke="#f97316" hide={hidden.has("expense")} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <div className="flex items-center justify-center gap-2 mb-2">
+          <span className="font-semibold">{t("By category")}</span>
+          <select className="border rounded-xl px-2 py-1 bg-white text-sm" value={stackBucket} onChange={(e) => setStackBucket(e.target.value)}>
+            {BUCKETS.map((b) => (<option key={b} value={b}>{t(b)}</option>))}
+          </select>
+        </div>
+        <div className={chartClass}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stackData} onClick={pick}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="month" tick={axis} />
+              <YAxis tick={axis} tickFormatter={shortMoney} />
+              <Tooltip formatter={money} />
+              {legend}
+              {marker}
+              {stackCats.map((c, i) => (
+                <Bar key={c} dataKey={c} name={t.category(c)} stackId="cats" fill={colorOf(c, i)} hide={hidden.has(c)} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
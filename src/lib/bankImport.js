@@ -0,0 +1,164 @@
+// Bank statement parsing (generic CSV with a column mapping, OFX/QFX) and payee rules
+
+export function parseCSV(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const delimiter = [";", "\t", ","].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) rows.push(row);
+  return rows.map((r) => r.map((f) => f.trim()));
+}
+
+// "1.234,56" / "1,234.56" / "(12.00)" / "-12" -> number
+export function parseAmount(raw) {
+  if (raw == null) return NaN;
+  let s = String(raw).replace(/[^\d,.\-()+]/g, "");
+  if (!s) return NaN;
+  const negative = /^\(.*\)$/.test(s) || s.startsWith("-");
+  s = s.replace(/[()+-]/g, "");
+  const lastComma = s.lastIndexOf(",");
+  const lastDot = s.lastIndexOf(".");
+  // without a dot, a single comma is decimal unless exactly three digits follow it ("1,234")
+  const commaIsDecimal = lastDot >= 0
+    ? lastComma > lastDot
+    : lastComma >= 0 && s.indexOf(",") === lastComma && s.length - lastComma - 1 !== 3;
+  if (commaIsDecimal) s = s.replace(/\./g, "").replace(",", ".");
+  else s = s.replace(/,/g, "");
+  const n = Number(s);
+  return negative ? -n : n;
+}
+
+// Returns YYYY-MM-DD or null; year-first dates are detected, otherwise order is DMY | MDY
+export function parseDate(raw, order = "DMY") {
+  const s = String(raw || "").trim();
+  let y, m, d;
+  const compact = s.match(/^(\d{4})(\d{2})(\d{2})/);
+  const parts = s.split(/[-/.\s]+/).map(Number);
+  if (compact && !/[-/.]/.test(s.slice(0, 8))) [y, m, d] = compact.slice(1).map(Number);
+  else if (parts.length >= 3 && String(s.split(/[-/.\s]+/)[0]).length === 4) [y, m, d] = parts;
+  else if (parts.length >= 3 && order === "MDY") [m, d, y] = parts;
+  else if (parts.length >= 3) [d, m, y] = parts;
+  else return null;
+  if (y < 100) y += 2000;
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// Best guess at which column holds what, from a header row
+export function guessMapping(header) {
+  const find = (re) => header.findIndex((h) => re.test(h));
+  return {
+    date: find(/date|posted|booking/i),
+    payee: find(/payee|description|name|merchant|details|narrative/i),
+    amount: find(/^amount|amount$|value|betrag/i),
+    debit: find(/debit|paid out|withdraw/i),
+    credit: find(/credit|paid in|deposit/i),
+    memo: find(/memo|reference|notes?$/i),
+    dateOrder: "DMY",
+    hasHeader: true
+  };
+}
+
+// Rows (from parseCSV) + mapping -> [{ date, amount, payee, memo }]; amount is signed (+in / -out)
+export function transactionsFromCSV(rows, mapping) {
+  const body = mapping.hasHeader ? rows.slice(1) : rows;
+  const col = (r, i) => (i >= 0 ? r[i] : "");
+  const out = [];
+  for (const r of body) {
+    const date = parseDate(col(r, mapping.date), mapping.dateOrder);
+    let amount = mapping.amount >= 0 ? parseAmount(col(r, mapping.amount)) : NaN;
+    if (!Number.isFinite(amount) && (mapping.debit >= 0 || mapping.credit >= 0)) {
+      const debit = Math.abs(parseAmount(col(r, mapping.debit))) || 0;
+      const credit = Math.abs(parseAmount(col(r, mapping.credit))) || 0;
+      amount = credit - debit;
+    }
+    if (!date || !Number.isFinite(amount) || amount === 0) continue;
+    out.push({ date, amount, payee: col(r, mapping.payee), memo: col(r, mapping.memo), fitId: "" });
+  }
+  return out;
+}
+
+// OFX 1.x (SGML) and 2.x (XML) statements; QFX is OFX with extra Intuit tags
+export function parseOFX(text) {
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+    return m ? m[1].trim() : "";
+  };
+  const out = [];
+  for (const block of text.split(/<STMTTRN>/i).slice(1)) {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const date = parseDate(tag(body, "DTPOSTED").slice(0, 8));
+    const amount = parseAmount(tag(body, "TRNAMT"));
+    if (!date || !Number.isFinite(amount) || amount === 0) continue;
+    out.push({ date, amount, payee: tag(body, "NAME") || tag(body, "PAYEE"), memo: tag(body, "MEMO"), fitId: tag(body, "FITID") });
+  }
+  return out;
+}
+
+// Statement currency (<CURDEF>), if the file declares one
+export function ofxCurrency(text) {
+  const m = text.match(/<CURDEF>\s*([A-Z]{3})/i);
+  return m ? m[1].toUpperCase() : "";
+}
+
+export function isOFX(text) {
+  return /<OFX>/i.test(text) || /OFXHEADER/i.test(text);
+}
+
+// Stable fingerprint used to skip transactions that were already imported
+export function importKeyFor(tx) {
+  if (tx.fitId) return `fitid:${tx.fitId}`;
+  return `${tx.date}|${tx.amount.toFixed(2)}|${tx.payee.toUpperCase().replace(/\s+/g, " ")}`;
+}
+
+// importKeyFor each transaction of one file. Without a FITID the nth identical row (two coffees
+// on the same day) gets "|n", so it is not taken for a duplicate of the first, while importing
+// the same file again still matches every row.
+export function importKeysFor(transactions) {
+  const counts = new Map();
+  return transactions.map((tx) => {
+    const key = importKeyFor(tx);
+    if (tx.fitId) return key;
+    const n = (counts.get(key) || 0) + 1;
+    counts.set(key, n);
+    return n === 1 ? key : `${key}|${n}`;
+  });
+}
+
+// "TESCO*" style patterns, case-insensitive; * matches anything
+export function matchesPattern(pattern, payee) {
+  const re = new RegExp(`^${pattern.trim().split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+  return re.test(String(payee || "").trim());
+}
+
+export function ruleFor(payee, rules) {
+  return rules.find((r) => matchesPattern(r.pattern, payee)) || null;
+}
+
+// Suggested rule pattern for a payee: its first word + "*"
+export function suggestPattern(payee) {
+  const word = String(payee || "").trim().split(/[\s*]+/)[0] || "";
+  return word ? `${word.toUpperCase()}*` : "";
+}
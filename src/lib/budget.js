@@ -0,0 +1,43 @@
+// Monthly budget targets, stored in data.budgets[bucket][category] as a list of
+// { month, amount, only } changes. A target rolls forward from its month until the next
+// change; `only: true` applies to that single month and leaves the rolling target alone.
+
+export const BUDGET_BUCKETS = ["expense", "income"];
+
+export function budgetFor(budgets, bucket, category, key) {
+  const list = budgets?.[bucket]?.[category] || [];
+  const once = list.find((b) => b.only && b.month === key);
+  if (once) return once.amount;
+  const rolling = list.filter((b) => !b.only && b.month <= key).sort((a, b) => a.month.localeCompare(b.month)).pop();
+  return rolling ? rolling.amount : null;
+}
+
+// Sum of the monthly targets over a period; categories without any target are left out
+export function budgetTotals(budgets, bucket, keys) {
+  const out = {};
+  for (const category of Object.keys(budgets?.[bucket] || {})) {
+    let total = null;
+    for (const k of keys) {
+      const v = budgetFor(budgets, bucket, category, k);
+      if (v != null) total = (total || 0) + Number(v);
+    }
+    if (total != null) out[category] = total;
+  }
+  return out;
+}
+
+// Set (or with amount == null clear) the target for a month; rolling changes replace any
+// rolling change at the same month
+export function withBudget(budgets, bucket, category, key, amount, only) {
+  const list = (budgets?.[bucket]?.[category] || []).filter((b) => !(b.month === key && !!b.only === !!only));
+  if (amount != null) list.push({ month: key, amount: Number(amount), only: !!only });
+  const byCat = { ...(budgets?.[bucket] || {}), [category]: list };
+  if (!list.length) delete byCat[category];
+  return { ...(budgets || {}), [bucket]: byCat };
+}
+
+// Remaining (positive) or over (negative) for a bucket: spending under target and
+// income above target are both good
+export function budgetRemaining(bucket, actual, budget) {
+  return bucket === "income" ? Number(actual) - Number(budget) : Number(budget) - Number(actual);
+}
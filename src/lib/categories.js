@@ -0,0 +1,168 @@
+// Category lists per bucket: templates[bucket] = [{ name, archived?, color? }] in display order.
+// BASE_TEMPLATES only seeds a fresh dashboard; after that every category can be renamed,
+// merged, moved, archived, recoloured or reordered. Renames and merges rewrite the entries,
+// budgets, recurring rules, forecast items, goals, holdings, payee rules, liability links and
+// month-review mutes and acknowledgements that refer to the category.
+import { BUCKETS } from "./ledger.js";
+import { BUDGET_BUCKETS } from "./budget.js";
+import { REVIEW_BUCKETS, withMuted } from "./review.js";
+
+// Fixed base headings (from your spreadsheet labels)
+export const BASE_TEMPLATES = {
+  income: ["Salary", "Cash", "Music", "Fitness", "Carry Over"],
+  saving: ["Saving Blanket", "Cash", "Current"],
+  investment: ["Apt Valuation", "Bitcoin", "Stocks", "Pension Valuation"],
+  expense: [
+    "Mortgage", "Jiujitsu", "CrossFit", "Food Shop", "Leisure/Concert",
+    "Company car (N/A)", "TV/Mobile/Apps", "Supplements", "BONGO Dog",
+    "Electricity", "Other", "Takeaway"
+  ],
+  liability: ["Mortgage Balance", "Car Loan", "Credit Card"]
+};
+
+export function seedTemplates(extra = {}) {
+  return Object.fromEntries(BUCKETS.map((b) => [
+    b, Array.from(new Set([...BASE_TEMPLATES[b], ...(extra[b] || [])])).map((name) => ({ name }))
+  ]));
+}
+
+// { bucket: [names] } of the categories offered in pickers (archived ones are left out)
+export function activeTemplates(templates) {
+  return Object.fromEntries(BUCKETS.map((b) => [b, (templates[b] || []).filter((c) => !c.archived).map((c) => c.name)]));
+}
+
+export function findCategory(templates, bucket, name) {
+  return (templates[bucket] || []).find((c) => c.name === name) || null;
+}
+
+// Add (or un-archive) a category at the end of its bucket
+export function withCategoryAdded(templates, bucket, name) {
+  const list = templates[bucket] || [];
+  const found = list.find((c) => c.name === name);
+  if (found && !found.archived) return templates;
+  const next = found ? list.map((c) => (c.name === name ? { ...c, archived: false } : c)) : [...list, { name }];
+  return { ...templates, [bucket]: next };
+}
+
+export function withCategoryPatch(templates, bucket, name, patch) {
+  return { ...templates, [bucket]: (templates[bucket] || []).map((c) => (c.name === name ? { ...c, ...patch } : c)) };
+}
+
+export function withCategoryMoved(templates, bucket, name, delta) {
+  const list = [...(templates[bucket] || [])];
+  const i = list.findIndex((c) => c.name === name);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= list.length) return templates;
+  [list[i], list[j]] = [list[j], list[i]];
+  return { ...templates, [bucket]: list };
+}
+
+// Entry counts per bucket and category across all months
+export function categoryUsage(data) {
+  const out = Object.fromEntries(BUCKETS.map((b) => [b, {}]));
+  for (const m of Object.values(data.months)) {
+    for (const e of m.entries) if (out[e.bucket]) out[e.bucket][e.category] = (out[e.bucket][e.category] || 0) + 1;
+  }
+  return out;
+}
+
+// Rename, merge or move: every reference to from = { bucket, name } now points at to. If `to`
+// already exists it is a merge and the target keeps its own budget and list position.
+// parts = { data, templates, settings, rules }; returns the changed parts.
+export function rewriteCategory(parts, from, to) {
+  const { data, templates, settings, rules } = parts;
+  const matches = (x) => x.bucket === from.bucket && x.category === from.name;
+  const retarget = (x) => ({ ...x, bucket: to.bucket, category: to.name });
+
+  const months = {};
+  for (const [k, m] of Object.entries(data.months)) {
+    months[k] = m.entries.some(matches) ? { ...m, entries: m.entries.map((e) => (matches(e) ? retarget(e) : e)) } : m;
+  }
+
+  let budgets = data.budgets;
+  const moved = data.budgets?.[from.bucket]?.[from.name];
+  if (moved) {
+    budgets = { ...data.budgets, [from.bucket]: { ...data.budgets[from.bucket] } };
+    delete budgets[from.bucket][from.name];
+    if (BUDGET_BUCKETS.includes(to.bucket) && !budgets[to.bucket]?.[to.name]) {
+      budgets[to.bucket] = { ...(budgets[to.bucket] || {}), [to.name]: moved };
+    }
+  }
+
+  const recurring = data.recurring && data.recurring.map((r) => (matches(r) ? retarget(r) : r));
+  const oneOffs = data.oneOffs && data.oneOffs.map((o) => (matches(o) ? retarget(o) : o));
+  // a holding follows its category while it stays an investment
+  const holdings = data.holdings && data.holdings.map((h) => (
+    from.bucket === "investment" && to.bucket === "investment" && h.category === from.name ? { ...h, category: to.name } : h
+  ));
+  // goals list their funding categories; a merge can make two of them the same
+  const goals = data.goals && data.goals.map((g) => {
+    if (!g.funding.some(matches)) return g;
+    const funding = [];
+    for (const f of g.funding.map((f) => (matches(f) ? retarget(f) : f))) {
+      if (!funding.some((x) => x.bucket === f.bucket && x.category === f.category)) funding.push(f);
+    }
+    return { ...g, funding };
+  });
+
+  // expense -> liability links: keys are expense categories, values liability categories
+  const links = {};
+  for (const [exp, liab] of Object.entries(settings.liabilityLinks || {})) {
+    let e = exp;
+    let l = liab;
+    if (from.bucket === "expense" && exp === from.name) e = to.bucket === "expense" ? to.name : null;
+    if (from.bucket === "liability" && liab === from.name) l = to.bucket === "liability" ? to.name : null;
+    if (e && l && !links[e]) links[e] = l;
+  }
+  // settings only change when a link or mute did, so undoing a rename leaves the rest of them alone
+  const oldLinks = settings.liabilityLinks || {};
+  const linksChanged = Object.keys(links).length !== Object.keys(oldLinks).length || Object.entries(links).some(([e, l]) => oldLinks[e] !== l);
+  const reviewable = REVIEW_BUCKETS.includes(to.bucket);
+  const wasMuted = (settings.reviewMuted?.[from.bucket] || []).includes(from.name);
+  let reviewMuted = settings.reviewMuted;
+  if (wasMuted) {
+    reviewMuted = withMuted(reviewMuted, from.bucket, from.name, false);
+    if (reviewable) reviewMuted = withMuted(reviewMuted, to.bucket, to.name);
+  }
+
+  // acknowledged findings (data.reviews[month] = { "bucket:category": kind }) follow the
+  // category; on a merge the target keeps its own
+  const fromId = `${from.bucket}:${from.name}`;
+  const toId = `${to.bucket}:${to.name}`;
+  let reviews = data.reviews;
+  if (reviews && Object.values(reviews).some((r) => fromId in r)) {
+    reviews = Object.fromEntries(Object.entries(reviews).map(([k, r]) => {
+      if (!(fromId in r)) return [k, r];
+      const { [fromId]: kind, ...rest } = r;
+      return [k, reviewable && !(toId in rest) ? { ...rest, [toId]: kind } : rest];
+    }));
+  }
+
+  const source = findCategory(templates, from.bucket, from.name);
+  const target = findCategory(templates, to.bucket, to.name);
+  let nextTemplates;
+  if (!target && source && from.bucket === to.bucket) {
+    // plain rename keeps its place, colour and archived flag
+    nextTemplates = withCategoryPatch(templates, from.bucket, from.name, { name: to.name });
+  } else {
+    nextTemplates = { ...templates, [from.bucket]: (templates[from.bucket] || []).filter((c) => c.name !== from.name) };
+    if (!target) nextTemplates[to.bucket] = [...(nextTemplates[to.bucket] || []), { ...(source || {}), name: to.name }];
+  }
+
+  return {
+    data: { ...data, months, ...(budgets && { budgets }), ...(recurring && { recurring }), ...(oneOffs && { oneOffs }), ...(goals && { goals }), ...(holdings && { holdings }), ...(reviews && { reviews }) },
+    templates: nextTemplates,
+    settings: linksChanged || wasMuted ? { ...settings, ...(linksChanged && { liabilityLinks: links }), ...(wasMuted && { reviewMuted }) } : settings,
+    rules: rules.map((r) => (matches(r) ? retarget(r) : r))
+  };
+}
+
+// Chart data in category order, carrying each category's colour when one is set
+export function orderedChartData(totals, list) {
+  const index = new Map((list || []).map((c, i) => [c.name, i]));
+  const color = new Map((list || []).filter((c) => c.color).map((c) => [c.name, c.color]));
+  return Object.entries(totals || {})
+    .filter(([, v]) => Number(v) !== 0)
+    .sort(([a], [b]) => (index.get(a) ?? Infinity) - (index.get(b) ?? Infinity))
+    .map(([name, value]) => ({ name, value: Number(value), color: color.get(name) }));
+}
@@ -0,0 +1,57 @@
+// Exchange rates and conversion. data.rates[YYYY-MM][CUR] is the value of one CUR in the
+// home currency (settings.homeCurrency), so the home currency itself is always 1. A month
+// without a rate uses the latest earlier month that has one.
+
+// locale: a BCP 47 tag such as "de-DE"; empty uses the browser's
+export function formatMoney(n, currency, locale) {
+  try {
+    return new Intl.NumberFormat(locale || undefined, { style: "currency", currency: currency || "EUR" }).format(Number(n));
+  } catch {
+    // half-typed or unknown code: plain number plus the code
+    return `${new Intl.NumberFormat(locale || undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(Number(n))} ${currency || ""}`.trim();
+  }
+}
+
+export function rateFor(rates, currency, key, home) {
+  if (!currency || currency === home) return 1;
+  const months = Object.keys(rates || {}).filter((k) => k <= key && Number(rates[k]?.[currency]) > 0).sort();
+  const k = months[months.length - 1];
+  return k ? Number(rates[k][currency]) : null;
+}
+
+// Converter for one month: (amount, currency) -> reporting-currency amount. Amounts whose
+// currency has no rate are passed through unconverted and recorded in `missing`.
+export function converterFor(rates, home, reporting, key) {
+  // a currency is only missing once a conversion has looked it up and found no rate
+  const missing = new Set();
+  const reportRate = rateFor(rates, reporting, key, home);
+  function convert(amount, currency) {
+    const cur = currency || home;
+    if (cur === reporting) return Number(amount);
+    const r = rateFor(rates, cur, key, home);
+    if (r == null || reportRate == null) {
+      if (r == null) missing.add(cur);
+      if (reportRate == null) missing.add(reporting);
+      return Number(amount);
+    }
+    return (Number(amount) * r) / reportRate;
+  }
+  return { convert, missing };
+}
+
+export function withRate(rates, key, currency, value) {
+  const month = { ...(rates?.[key] || {}) };
+  if (value == null || value === "") delete month[currency];
+  else month[currency] = Number(value);
+  const next = { ...(rates || {}), [key]: month };
+  if (!Object.keys(month).length) delete next[key];
+  return next;
+}
+
+// Every currency mentioned by entries, rates, or the settings
+export function knownCurrencies(data, extra = []) {
+  const set = new Set(extra.filter(Boolean));
+  for (const m of Object.values(data.months || {})) for (const e of m.entries) if (e.currency) set.add(e.currency);
+  for (const r of Object.values(data.rates || {})) Object.keys(r).forEach((c) => set.add(c));
+  return Array.from(set).sort();
+}
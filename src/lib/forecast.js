@@ -0,0 +1,101 @@
+// Forecast of the months after the last actual one. Each category is projected from its
+// average over a window of recent months, recurring rules add their scheduled amounts, and
+// one-off future items (data.oneOffs) land in their month. Projected months are plain totals
+// marked as forecasts; nothing here is ever written into data.months.
+// A one-off item: { id, month, bucket, category, amount, note, currency? }
+import { BALANCE_BUCKETS, emptyTotals, addMonths, withLiabilityPayments } from "./ledger.js";
+import { isBalanceBucket, balancesBefore } from "./period.js";
+import { recurringEntriesFor } from "./recurring.js";
+
+export const WINDOWS = [3, 6, 12];
+
+export const HORIZONS = [
+  { k: "fy", label: "Fiscal year end" },
+  { k: "3", label: "3 months" },
+  { k: "6", label: "6 months" },
+  { k: "12", label: "12 months" },
+  { k: "24", label: "24 months" }
+];
+
+// Recurring entries and the liability payments linked to them are projected from their
+// rules, so they are left out of the averages
+function scheduled(entries) {
+  const ids = new Set(entries.filter((e) => e.source === "recurring").map((e) => e.id));
+  return (e) => e.source === "recurring" || (e.linkedTo && ids.has(e.linkedTo));
+}
+
+// Average monthly movement per category over `keys`: the amount for income/expense, the change
+// in balance for saving/investment/liability. convert(key, amount, currency) gives the
+// reporting-currency value.
+export function baseline(totalsByMonth, months, keys, convert) {
+  const base = emptyTotals();
+  const first = Object.keys(totalsByMonth).sort()[0];
+  // the very first month has no opening balance to measure a change from
+  const changes = keys.filter((k) => k !== first).length || 1;
+  for (const k of keys) {
+    const totals = totalsByMonth[k];
+    const own = emptyTotals();
+    const isScheduled = scheduled(months[k].entries);
+    for (const e of months[k].entries) {
+      if (!own[e.bucket] || !isScheduled(e)) continue;
+      own[e.bucket][e.category] = (own[e.bucket][e.category] || 0) + convert(k, e.amount, e.currency);
+    }
+    const opening = k === first ? totals : balancesBefore(totalsByMonth, k);
+    for (const [b, byCat] of Object.entries(totals)) {
+      const cats = new Set([...Object.keys(byCat), ...(isBalanceBucket(b) ? Object.keys(opening[b]) : [])]);
+      for (const cat of cats) {
+        const moved = Number(byCat[cat] || 0) - (isBalanceBucket(b) ? Number(opening[b][cat] || 0) : 0) - Number(own[b][cat] || 0);
+        base[b][cat] = (base[b][cat] || 0) + moved / (isBalanceBucket(b) ? changes : keys.length);
+      }
+    }
+  }
+  return base;
+}
+
+// Last month of the horizon: the end of the fiscal year the forecast starts in, or N months out
+export function horizonEnd(horizon, lastKey, fyStartMonth) {
+  const start = addMonths(lastKey, 1);
+  if (horizon !== "fy") return addMonths(lastKey, Number(horizon));
+  const [y, m] = start.split("-").map(Number);
+  const startMonth = Number(fyStartMonth || 1);
+  const fyYear = m >= startMonth ? y : y - 1;
+  return addMonths(`${fyYear}-${String(startMonth).padStart(2, "0")}`, 11);
+}
+
+// whatIf: [{ bucket, category, pct }], e.g. pct -30 cuts a category's projected amount by 30%.
+// One-off items are added as entered. Returns [{ month, totals, forecast }] with balances carried forward.
+export function projectMonths({ totalsByMonth, months, recurring, oneOffs, links, whatIf, window, through, convert }) {
+  const actual = Object.keys(totalsByMonth).sort();
+  const last = actual[actual.length - 1];
+  if (!last) return [];
+  const base = baseline(totalsByMonth, months, actual.slice(-window), convert);
+  const factor = (b, c) => 1 + (whatIf || []).filter((w) => w.bucket === b && w.category === c).reduce((a, w) => a + Number(w.pct || 0), 0) / 100;
+
+  let balances = Object.fromEntries(BALANCE_BUCKETS.map((b) => [b, { ...totalsByMonth[last][b] }]));
+  const out = [];
+  for (let k = addMonths(last, 1); k <= through; k = addMonths(k, 1)) {
+    const totals = emptyTotals();
+    const add = (e) => {
+      if (!totals[e.bucket]) return;
+      totals[e.bucket][e.category] = (totals[e.bucket][e.category] || 0) + convert(k, e.amount, e.currency);
+    };
+    for (const [b, byCat] of Object.entries(base)) {
+      for (const [cat, v] of Object.entries(byCat)) if (v) totals[b][cat] = (totals[b][cat] || 0) + v;
+    }
+    withLiabilityPayments(recurringEntriesFor(recurring, k), links).forEach(add);
+    for (const [b, byCat] of Object.entries(totals)) {
+      for (const cat of Object.keys(byCat)) byCat[cat] *= factor(b, cat);
+    }
+    withLiabilityPayments((oneOffs || []).filter((i) => i.month === k), links).forEach(add);
+    // balance buckets hold this month's movement so far; turn it into the closing balance
+    const next = {};
+    for (const b of BALANCE_BUCKETS) {
+      next[b] = { ...balances[b] };
+      for (const [cat, v] of Object.entries(totals[b])) next[b][cat] = (next[b][cat] || 0) + v;
+      totals[b] = next[b];
+    }
+    balances = next;
+    out.push({ month: k, totals, forecast: true });
+  }
+  return out;
+}
@@ -0,0 +1,41 @@
+// Savings goals (data.goals). A goal: { id, name, target, currency, targetDate: YYYY-MM,
+// funding: [{ bucket, category }] } where funding lists saving/investment categories whose
+// balances count towards it. Progress is measured from the month-end balances.
+import { addMonths, monthsBetween } from "./ledger.js";
+
+export const GOAL_BUCKETS = ["saving", "investment"];
+// months of balance changes averaged for the actual contribution
+export const PACE_MONTHS = 6;
+// give up projecting beyond this many months
+const MAX_PROJECTION = 600;
+
+export function goalBalance(goal, totals) {
+  return (goal.funding || []).reduce((a, f) => a + Number(totals?.[f.bucket]?.[f.category] || 0), 0);
+}
+
+// Progress as of month `asOf`. target is the goal's target in the reporting currency.
+// Returns { saved, target, pct, remaining, monthsLeft, required, average, projected, onTrack }
+// where projected is a YYYY-MM, "reached", or null when the current pace never gets there.
+export function goalProgress(goal, totalsByMonth, asOf, target) {
+  const keys = Object.keys(totalsByMonth).filter((k) => k <= asOf).sort();
+  const last = keys[keys.length - 1];
+  const saved = last ? goalBalance(goal, totalsByMonth[last]) : 0;
+
+  // average month-to-month change over the last PACE_MONTHS months with data
+  const recent = keys.slice(-(PACE_MONTHS + 1));
+  let average = 0;
+  if (recent.length > 1) {
+    const first = recent[0];
+    average = (saved - goalBalance(goal, totalsByMonth[first])) / monthsBetween(first, last);
+  }
+
+  const remaining = target - saved;
+  const monthsLeft = last && goal.targetDate ? monthsBetween(last, goal.targetDate) : 0;
+  const required = remaining > 0 ? (monthsLeft > 0 ? remaining / monthsLeft : remaining) : 0;
+  let projected = null;
+  if (remaining <= 0) projected = "reached";
+  else if (average > 0 && remaining / average <= MAX_PROJECTION) projected = addMonths(last, Math.ceil(remaining / average));
+  const onTrack = projected === "reached" || (projected != null && (!goal.targetDate || projected <= goal.targetDate));
+
+  return { saved, target, pct: target ? (saved / target) * 100 : 0, remaining, monthsLeft, required, average, projected, onTrack };
+}
@@ -0,0 +1,175 @@
+// Undo/redo history and change log. A step stores the diff between two app states
+// ({ data, templates, settings, rules }) so it can be serialised, persisted and replayed in
+// either direction after a reload:
+//   diff = { months: { "2024-03": [before, after] }, data: { budgets: [before, after] }, settings: { locale: [b, a] }, templates: [b, a], ... }
+// A missing side (undefined) means the month or key did not exist. Data and settings are diffed
+// key by key, so undoing a step leaves later changes to their other keys alone.
+import { newId } from "./ledger.js";
+
+export const UNDO_LIMIT = 100;
+export const LOG_LIMIT = 500;
+const DETAIL_LIMIT = 100;
+const PARTS = ["templates", "rules"];
+
+export function emptyHistory() {
+  return { undo: [], redo: [], log: [] };
+}
+
+// { key: [before, after] } for the keys that differ, null when none do
+function keyedDiff(before, after, skip) {
+  const out = {};
+  for (const k of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (k !== skip && before?.[k] !== after?.[k]) out[k] = [before?.[k], after?.[k]];
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Steps recorded before settings were diffed per key hold one [before, after] pair
+const settingsDiff = (d) => (Array.isArray(d) ? keyedDiff(d[0], d[1]) : d);
+
+// null when nothing changed
+export function diffState(before, after) {
+  const diff = {};
+  if (before.data !== after.data) {
+    const months = {};
+    for (const k of new Set([...Object.keys(before.data.months), ...Object.keys(after.data.months)])) {
+      if (before.data.months[k] !== after.data.months[k]) months[k] = [before.data.months[k], after.data.months[k]];
+    }
+    if (Object.keys(months).length) diff.months = months;
+    const data = keyedDiff(before.data, after.data, "months");
+    if (data) diff.data = data;
+  }
+  const settings = before.settings !== after.settings && keyedDiff(before.settings, after.settings);
+  if (settings) diff.settings = settings;
+  for (const part of PARTS) if (before[part] !== after[part]) diff[part] = [before[part], after[part]];
+  return Object.keys(diff).length ? diff : null;
+}
+
+// side 0 replays a diff backwards (undo), side 1 forwards (redo)
+export function applyDiff(state, diff, side) {
+  const next = { ...state };
+  if (diff.months || diff.data) {
+    const data = { ...state.data, months: { ...state.data.months } };
+    for (const [k, pair] of Object.entries(diff.months || {})) {
+      if (pair[side] === undefined) delete data.months[k];
+      else data.months[k] = pair[side];
+    }
+    for (const [k, pair] of Object.entries(diff.data || {})) {
+      if (pair[side] === undefined) delete data[k];
+      else data[k] = pair[side];
+    }
+    next.data = data;
+  }
+  const settings = settingsDiff(diff.settings);
+  if (settings) {
+    next.settings = { ...state.settings };
+    for (const [k, pair] of Object.entries(settings)) {
+      if (pair[side] === undefined) delete next.settings[k];
+      else next.settings[k] = pair[side];
+    }
+  }
+  for (const part of PARTS) if (diff[part]) next[part] = diff[part][side];
+  return next;
+}
+
+// Flatten a value into { path: text } leaves; lists of objects with an id are keyed by that id
+function flatten(value, path, out, depth) {
+  if (Array.isArray(value) && value.every((v) => v && v.id)) {
+    for (const v of value) {
+      const { id, ...rest } = v;
+      out[`${path} › ${v.category || v.pattern || id}`] = JSON.stringify(rest);
+    }
+  } else if (value && typeof value === "object" && !Array.isArray(value) && depth > 0) {
+    for (const [k, v] of Object.entries(value)) flatten(v, path ? `${path} › ${k}` : k, out, depth - 1);
+  } else if (value !== undefined) {
+    out[path] = Array.isArray(value) ? value.join(", ") : JSON.stringify(value);
+  }
+  return out;
+}
+
+function compareFlat(before, after, push) {
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (before[k] !== after[k]) push(k, before[k] ?? "", after[k] ?? "");
+  }
+}
+
+// Human-readable { what, before, after } lines for the change log; fmt(amount, currency) formats money
+export function describeDiff(diff, fmt) {
+  const lines = [];
+  const push = (what, before, after) => lines.push({ what, before, after });
+  const entryText = (e) => [e.date, fmt(e.amount, e.currency), e.note].filter(Boolean).join(" · ");
+  for (const [key, [b, a]] of Object.entries(diff.months || {})) {
+    const before = new Map((b?.entries || []).map((e) => [e.id, e]));
+    const after = new Map((a?.entries || []).map((e) => [e.id, e]));
+    if (!b) push(key, "", "month opened");
+    if (!a) push(key, "month removed", "");
+    for (const [id, e] of after) {
+      const old = before.get(id);
+      if (!old) push(`${key} › ${e.bucket} › ${e.category}`, "", entryText(e));
+      else if (JSON.stringify(old) !== JSON.stringify(e)) push(`${key} › ${e.bucket} › ${e.category}`, entryText(old), entryText(e));
+    }
+    for (const [id, e] of before) if (!after.has(id)) push(`${key} › ${e.bucket} › ${e.category}`, entryText(e), "");
+  }
+  for (const [k, [b, a]] of Object.entries(diff.data || {})) compareFlat(flatten(b, k, {}, 3), flatten(a, k, {}, 3), push);
+  for (const [k, [b, a]] of Object.entries(settingsDiff(diff.settings) || {})) compareFlat(flatten(b, `settings › ${k}`, {}, 0), flatten(a, `settings › ${k}`, {}, 0), push);
+  for (const part of PARTS) if (diff[part]) compareFlat(flatten(diff[part][0], part, {}, 1), flatten(diff[part][1], part, {}, 1), push);
+  if (lines.length > DETAIL_LIMIT) return [...lines.slice(0, DETAIL_LIMIT), { what: `…and ${lines.length - DETAIL_LIMIT} more`, before: "", after: "" }];
+  return lines;
+}
+
+function logged(history, label, who, details) {
+  const entry = { id: newId(), at: new Date().toISOString(), who, label, details };
+  return [entry, ...history.log].slice(0, LOG_LIMIT);
+}
+
+// Record a new step; it clears the redo stack. Steps with the same mergeKey made within a
+// minute of each other (e.g. typing into a rate cell) collapse into one step and one log line.
+// describe(diff) produces the log details (see describeDiff).
+export function pushStep(history, { label, diff, who, describe, mergeKey }) {
+  const top = history.undo[history.undo.length - 1];
+  if (mergeKey && top && top.mergeKey === mergeKey && !history.redo.length && Date.now() - Date.parse(top.at) < 60000) {
+    const merged = { ...top, at: new Date().toISOString(), diff: mergeDiffs(top.diff, diff) };
+    const [last, ...rest] = history.log;
+    const log = last && last.stepId === top.id ? [{ ...last, at: new Date().toISOString(), details: describe(merged.diff) }, ...rest] : history.log;
+    return { undo: [...history.undo.slice(0, -1), merged], redo: [], log };
+  }
+  const step = { id: newId(), at: new Date().toISOString(), label, diff, mergeKey };
+  const log = logged(history, label, who, describe(diff));
+  log[0].stepId = step.id;
+  return { undo: [...history.undo, step].slice(-UNDO_LIMIT), redo: [], log };
+}
+
+// Keep the earliest "before" and the latest "after" of each changed key
+function mergeDiffs(first, second) {
+  first = { ...first, settings: settingsDiff(first.settings) || undefined };
+  second = { ...second, settings: settingsDiff(second.settings) || undefined };
+  const out = { ...first };
+  for (const group of ["months", "data", "settings"]) {
+    if (!second[group]) continue;
+    out[group] = { ...(first[group] || {}) };
+    for (const [k, [, a]] of Object.entries(second[group])) out[group][k] = [first[group]?.[k] ? first[group][k][0] : second[group][k][0], a];
+  }
+  for (const part of PARTS) if (second[part]) out[part] = [first[part] ? first[part][0] : second[part][0], second[part][1]];
+  return out;
+}
+
+// Move the top step between stacks; returns { history, step } or null when there is nothing to do.
+// Undo log lines show the step's details with before/after swapped.
+export function undoStep(history, who, describe) {
+  const step = history.undo[history.undo.length - 1];
+  if (!step) return null;
+  const details = describe(step.diff).map((d) => ({ ...d, before: d.after, after: d.before }));
+  return {
+    step,
+    history: { undo: history.undo.slice(0, -1), redo: [...history.redo, step], log: logged(history, `Undid: ${step.label}`, who, details) }
+  };
+}
+
+export function redoStep(history, who, describe) {
+  const step = history.redo[history.redo.length - 1];
+  if (!step) return null;
+  return {
+    step,
+    history: { undo: [...history.undo, step], redo: history.redo.slice(0, -1), log: logged(history, `Redid: ${step.label}`, who, describe(step.diff)) }
+  };
+}
@@ -0,0 +1,95 @@
+// Investment holdings (data.holdings). A holding tracks one investment category in units:
+// { id, category, symbol, currency, transactions: [{ id, date, kind: "buy"|"sell", units, price, fees }],
+//   prices: { [YYYY-MM]: price per unit } }
+// The category's month-end value is units held × that month's price (the latest earlier price
+// when a month has none) and replaces the total of its entries. Cost basis is average cost.
+import { addMonths, lastDayOfMonth } from "./ledger.js";
+
+export function holdingFor(holdings, category) {
+  return (holdings || []).find((h) => h.category === category) || null;
+}
+
+// Units, cost basis, realised gain and net contributions after every transaction up to `date`
+export function positionAt(holding, date) {
+  let units = 0;
+  let cost = 0;
+  let realised = 0;
+  let contributed = 0;
+  const txs = (holding.transactions || []).filter((t) => t.date <= date).sort((a, b) => a.date.localeCompare(b.date));
+  for (const t of txs) {
+    const u = Number(t.units);
+    const gross = u * Number(t.price);
+    const fees = Number(t.fees || 0);
+    if (t.kind === "sell") {
+      const avg = units ? cost / units : 0;
+      const sold = Math.min(u, units);
+      realised += gross - fees - sold * avg;
+      cost -= sold * avg;
+      units -= sold;
+      contributed -= gross - fees;
+    } else {
+      units += u;
+      cost += gross + fees;
+      contributed += gross + fees;
+    }
+  }
+  return { units, cost, realised, contributed };
+}
+
+export function priceAt(holding, key) {
+  const months = Object.keys(holding.prices || {}).filter((k) => k <= key && Number(holding.prices[k]) > 0).sort();
+  const k = months[months.length - 1];
+  return k ? Number(holding.prices[k]) : null;
+}
+
+// Month-end market value in the holding's currency; without any price yet, the cost basis
+function valueAt(holding, key) {
+  const pos = positionAt(holding, lastDayOfMonth(key));
+  const price = priceAt(holding, key);
+  return { ...pos, price, value: price == null ? pos.cost : pos.units * price };
+}
+
+// Figures for a period (month keys, oldest first), converted with convert(key, amount, currency)
+// at the closing month: contributions (buys less sale proceeds), realised gain on sales,
+// unrealised gain at the close and the market movement over the period.
+export function holdingFigures(holding, keys, convert) {
+  const first = keys[0];
+  const last = keys[keys.length - 1];
+  const close = valueAt(holding, last);
+  const open = valueAt(holding, addMonths(first, -1));
+  const money = (v) => convert(last, v, holding.currency);
+  const contributions = close.contributed - open.contributed;
+  return {
+    units: close.units,
+    price: close.price,
+    value: money(close.value),
+    cost: money(close.cost),
+    contributions: money(contributions),
+    realised: money(close.realised - open.realised),
+    unrealised: money(close.value - close.cost),
+    marketMove: money(close.value - open.value - contributions)
+  };
+}
+
+// Month totals with each holding's investment category set to units × price. Months before a
+// holding's first transaction keep the values typed in as entries. Holdings of the same category
+// (profiles in the combined view) add up.
+export function withHoldingValues(totals, holdings, key, convert) {
+  const active = (holdings || []).filter((h) => (h.transactions || []).some((t) => t.date.slice(0, 7) <= key));
+  if (!active.length) return totals;
+  const investment = { ...totals.investment };
+  const valued = new Set();
+  for (const h of active) {
+    const base = valued.has(h.category) ? investment[h.category] : 0;
+    investment[h.category] = base + convert(key, valueAt(h, key).value, h.currency);
+    valued.add(h.category);
+  }
+  return { ...totals, investment };
+}
+
+export function withPrice(holding, key, price) {
+  const prices = { ...(holding.prices || {}) };
+  if (price == null || price === "") delete prices[key];
+  else prices[key] = Number(price);
+  return { ...holding, prices };
+}
@@ -0,0 +1,577 @@
+// UI translations. Keys are the English strings themselves, so English needs no catalogue and
+// a string missing from another language shows in English. {name} placeholders are filled from
+// the vars passed to t(). Category names are stored in English (they are the data's keys);
+// CATEGORY_NAMES only changes how the built-in ones are shown, and a renamed or custom
+// category is shown as typed.
+
+export const LANGUAGES = ["en", "de"];
+
+const CATALOGUES = {
+  de: {
+    // header and navigation
+    "Budget Overview": "Budgetübersicht",
+    "Profile": "Profil",
+    "Profiles": "Profile",
+    "All profiles (combined)": "Alle Profile (zusammen)",
+    "Month": "Monat",
+    "Previous month": "Vorheriger Monat",
+    "Next month": "Nächster Monat",
+    "Dashboard": "Übersicht",
+    "Trends": "Verlauf",
+    "Forecast": "Prognose",
+    "Show {view}": "{view} anzeigen",
+    "Period": "Zeitraum",
+    "From": "Von",
+    "To": "Bis",
+    "to": "bis",
+    "Compare with": "Vergleichen mit",
+    "vs {period}": "ggü. {period}",
+    "Side by side": "Nebeneinander",
+    "Export CSV": "CSV exportieren",
+    "Export XLSX": "XLSX exportieren",
+    "Report": "Bericht",
+    "Open report": "Bericht öffnen",
+    "Import Statement": "Kontoauszug importieren",
+    "Import bank statement": "Kontoauszug importieren",
+    "Import Spreadsheet": "Tabelle importieren",
+    "Import spreadsheet": "Tabelle importieren",
+    "Recurring": "Daueraufträge",
+    "Recurring entries": "Wiederkehrende Buchungen",
+    "Holdings": "Depot",
+    "Investment holdings": "Wertpapierbestand",
+    "Savings goals": "Sparziele",
+    "Exchange rates": "Wechselkurse",
+    "Exchange rates…": "Wechselkurse…",
+    "Undo": "Rückgängig",
+    "Redo": "Wiederholen",
+    "Undo {label} (Ctrl+Z)": "{label} rückgängig machen (Strg+Z)",
+    "Redo {label} (Ctrl+Shift+Z)": "{label} wiederholen (Strg+Umschalt+Z)",
+    "Nothing to undo": "Nichts rückgängig zu machen",
+    "Nothing to redo": "Nichts zu wiederholen",
+    "Undid: {label}": "Rückgängig: {label}",
+    "Redid: {label}": "Wiederholt: {label}",
+    "History": "Verlauf der Änderungen",
+    "Change history": "Änderungsprotokoll",
+    "Settings": "Einstellungen",
+    "Open settings": "Einstellungen öffnen",
+    "Manage categories": "Kategorien verwalten",
+    "Quick entry and commands (Ctrl+K)": "Schnelleingabe und Befehle (Strg+K)",
+    "Sync": "Synchronisieren",
+    "Sync: {count} conflict(s)": "Sync: {count} Konflikt(e)",
+    "Syncing…": "Synchronisiere…",
+    "Offline": "Offline",
+    "Offline · not synced": "Offline · nicht synchronisiert",
+    "Sync failed": "Sync fehlgeschlagen",
+    "Sync · pending": "Sync · ausstehend",
+    "Synced": "Synchronisiert",
+
+    // periods (lib/period.js)
+    "Fiscal quarter": "Geschäftsquartal",
+    "Fiscal YTD": "Geschäftsjahr bis heute",
+    "Fiscal year": "Geschäftsjahr",
+    "Calendar year": "Kalenderjahr",
+    "Rolling 3 months": "Letzte 3 Monate",
+    "Rolling 12 months": "Letzte 12 Monate",
+    "Custom range": "Eigener Zeitraum",
+    "Previous period": "Vorperiode",
+    "Same period last year": "Vorjahreszeitraum",
+
+    // banners
+    "Combined view of {name}: every profile's entries, balances, goals and holdings added together, shown with the first profile's settings. It is read-only; budgets stay per profile.":
+      "Gemeinsame Ansicht von {name}: Buchungen, Salden, Ziele und Bestände aller Profile zusammengerechnet, mit den Einstellungen des ersten Profils. Sie ist schreibgeschützt; Budgets bleiben je Profil.",
+    "The combined view is read-only; switch to a profile to change it": "Die gemeinsame Ansicht ist schreibgeschützt; zum Ändern zu einem Profil wechseln",
+    "Some saved data could not be loaded and was replaced with defaults ({parts}). The original is kept with an \"-invalid\" suffix.":
+      "Einige gespeicherte Daten konnten nicht geladen werden und wurden durch Standardwerte ersetzt ({parts}). Das Original bleibt mit der Endung \"-invalid\" erhalten.",
+    "…and {count} more.": "…und {count} weitere.",
+
+    // dashboard
+    "{period} · compared with {compare}": "{period} · verglichen mit {compare}",
+    "Expenses / Costs": "Ausgaben / Kosten",
+    "Saving / Investments": "Ersparnisse / Anlagen",
+    "Income": "Einnahmen",
+    "Net Worth": "Nettovermögen",
+    "Net worth": "Nettovermögen",
+    "Assets": "Vermögen",
+    "Liabilities": "Verbindlichkeiten",
+    "Over budget: {list}": "Über Budget: {list}",
+    "Closing {amount}": "Endstand {amount}",
+    "Net {amount}": "Netto {amount}",
+    "Current CashFlow = ": "Aktueller Cashflow = ",
+    "No exchange rate for {list}; those amounts are shown unconverted.": "Kein Wechselkurs für {list}; diese Beträge werden unumgerechnet angezeigt.",
+    "Enter rates": "Kurse eingeben",
+    "Where the money went · {period}": "Wohin das Geld ging · {period}",
+    "Total income": "Einnahmen gesamt",
+    "Cash flow left": "Verbleibender Cashflow",
+    "Shortfall": "Fehlbetrag",
+    "From {category}": "Aus {category}",
+    "To {category}": "In {category}",
+    "Change": "Veränderung",
+    "Expenses": "Ausgaben",
+    "Saving": "Ersparnisse",
+    "Investments": "Anlagen",
+    "(closing)": "(Endstand)",
+    "Cash flow": "Cashflow",
+
+    // key figures (lib/kpi.js)
+    "Key figures": "Kennzahlen",
+    "Done": "Fertig",
+    "Thresholds": "Schwellenwerte",
+    "target": "Ziel",
+    "Savings rate": "Sparquote",
+    "Fixed spend": "Fixkosten",
+    "Discretionary spend": "Freie Ausgaben",
+    "Emergency fund": "Notgroschen",
+    "Net worth change": "Veränderung Nettovermögen",
+    "Cash flow ÷ income": "Cashflow ÷ Einnahmen",
+    "Fixed expenses ÷ income": "Fixe Ausgaben ÷ Einnahmen",
+    "Other expenses ÷ income": "Übrige Ausgaben ÷ Einnahmen",
+    "Liquid savings ÷ average monthly expenses (last 12 months)": "Liquide Ersparnisse ÷ durchschnittliche Monatsausgaben (letzte 12 Monate)",
+    "Against the comparison period": "Gegenüber dem Vergleichszeitraum",
+    "months": "Monate",
+    "{count} months": "{count} Monate",
+    "Expenses as a share of income": "Ausgaben im Verhältnis zu den Einnahmen",
+    "fixed": "fix",
+    "Show fewer": "Weniger anzeigen",
+    "Show all {count}": "Alle {count} anzeigen",
+
+    // goals
+    "Set a savings goal": "Sparziel festlegen",
+    "as of {month}": "Stand {month}",
+    "Manage goals": "Ziele verwalten",
+    "by {month}": "bis {month}",
+    "{saved} of {target}": "{saved} von {target}",
+    "Needs {required}/month": "Benötigt {required}/Monat",
+    "Needs {required}/month (target date passed)": "Benötigt {required}/Monat (Zieldatum überschritten)",
+    "averaging {average}/month": "im Schnitt {average}/Monat",
+    "Goal reached": "Ziel erreicht",
+    "Projected to complete {month} — on track": "Voraussichtlich erreicht {month} — im Plan",
+    "Projected to complete {month} — behind": "Voraussichtlich erreicht {month} — im Rückstand",
+    "Not reachable at the current pace": "Im aktuellen Tempo nicht erreichbar",
+
+    // adding entries
+    "+ Add Entry": "+ Buchung hinzufügen",
+    "Saving/Cash": "Ersparnis/Bargeld",
+    "Investment/Asset": "Anlage/Vermögenswert",
+    "Expense/Cost": "Ausgabe/Kosten",
+    "Liability/Debt": "Verbindlichkeit/Schuld",
+    "income": "Einnahmen",
+    "expense": "Ausgaben",
+    "saving": "Ersparnisse",
+    "investment": "Anlagen",
+    "liability": "Verbindlichkeiten",
+    "Add to {bucket}": "Zu {bucket} hinzufügen",
+    "Select category…": "Kategorie wählen…",
+    "Other (custom name)": "Andere (eigener Name)",
+    "Remember custom name as a subheading for future months": "Eigenen Namen als Kategorie für künftige Monate merken",
+    "Amount": "Betrag",
+    "Note (optional)": "Notiz (optional)",
+    "Note": "Notiz",
+    "Currency": "Währung",
+    "Save": "Speichern",
+
+    // breakdown
+    "Expense": "Ausgabe",
+    "Investment": "Anlage",
+    "Liability": "Verbindlichkeit",
+    "Budget {amount}": "Budget {amount}",
+    "above": "darüber",
+    "left": "übrig",
+    "short": "zu wenig",
+    "over": "überschritten",
+    "Confirm": "Bestätigen",
+    "Cancel": "Abbrechen",
+    "Hide": "Ausblenden",
+    "Entries": "Buchungen",
+    "Budget": "Budget",
+    "Delete": "Löschen",
+    "Edit": "Bearbeiten",
+    "Clear": "Entfernen",
+    "Contributions": "Einzahlungen",
+    "Market value": "Marktwert",
+    "Unrealised gain": "Nicht realisierter Gewinn",
+    "Realised gain": "Realisierter Gewinn",
+    "Market movement": "Kursentwicklung",
+    "{units} units × {price}": "{units} Stück × {price}",
+    "{units} units (no price yet)": "{units} Stück (noch kein Kurs)",
+    "Monthly target": "Monatsziel",
+    "{month} only": "nur {month}",
+    "auto": "auto",
+    "No entries": "Keine Buchungen",
+    "No liabilities recorded. Add one via \"+ Add Entry\" → Liability/Debt.": "Keine Verbindlichkeiten erfasst. Über \"+ Buchung hinzufügen\" → Verbindlichkeit/Schuld anlegen.",
+    "Total": "Summe",
+    "Assets (saving + investments)": "Vermögen (Ersparnisse + Anlagen)",
+
+    // command bar
+    "Go to {month}": "Zu {month} wechseln",
+    "e.g. \"42.50 takeaway\", \"salary 3200 2026-09\", or a command": "z. B. \"42,50 takeaway\", \"salary 3200 2026-09\" oder ein Befehl",
+    "Add a category name to post {amount}.": "Einen Kategorienamen ergänzen, um {amount} zu buchen.",
+    "Add {amount} to {bucket} › {category} on {date}": "{amount} zu {bucket} › {category} am {date} hinzufügen",
+    "Tab to switch": "Tab zum Wechseln",
+    "Nothing matches.": "Keine Treffer.",
+    "Review month": "Monat prüfen",
+
+    // month review
+    "Review {month}": "{month} prüfen",
+    "Each category is compared with up to 12 earlier months of its own.": "Jede Kategorie wird mit bis zu 12 eigenen Vormonaten verglichen.",
+    "Nothing unusual left to review.": "Nichts Auffälliges mehr zu prüfen.",
+    "Higher than usual": "Höher als üblich",
+    "Lower than usual": "Niedriger als üblich",
+    "Missing this month": "Fehlt diesen Monat",
+    "Nothing recorded; usually {usual}": "Nichts erfasst; üblich sind {usual}",
+    "{amount}; usually about {usual}": "{amount}; üblich sind etwa {usual}",
+    "Looks right": "Stimmt so",
+    "Add entry": "Buchung hinzufügen",
+    "Edit entries": "Buchungen bearbeiten",
+    "Mute {category}": "{category} stummschalten",
+    "Muted:": "Stummgeschaltet:",
+    "Unmute": "Wieder prüfen",
+    "Review later": "Später prüfen",
+
+    // settings
+    "Your name (shown in the change log)": "Ihr Name (im Änderungsprotokoll)",
+    "You": "Sie",
+    "Reporting currency": "Berichtswährung",
+    "Home currency (rates are quoted in it)": "Heimatwährung (Kurse beziehen sich darauf)",
+    "Language and number format": "Sprache und Zahlenformat",
+    "Browser default": "Wie im Browser",
+    "Amounts are typed and shown as {example}": "Beträge werden als {example} eingegeben und angezeigt",
+    "Fiscal year starts in": "Geschäftsjahr beginnt im",
+    "Show coloured month-over-month deltas": "Veränderungen zum Vormonat farbig anzeigen",
+    "Compact mode": "Kompakte Ansicht",
+    "Liability payments: expenses in a linked category also reduce the outstanding balance": "Tilgungen: Ausgaben in einer verknüpften Kategorie verringern auch die offene Schuld",
+    "Not linked": "Nicht verknüpft",
+    "Paid by {category}": "Bezahlt über {category}",
+    "Download Backup (JSON)": "Sicherung herunterladen (JSON)",
+    "Import Backup JSON": "Sicherung importieren (JSON)",
+    "Reset Data": "Daten zurücksetzen",
+    "Manage Categories": "Kategorien verwalten",
+    "Reset Categories": "Kategorien zurücksetzen",
+    "Backup and import cover this profile ({name}); \"Profiles\" backs up or restores all of them.": "Sicherung und Import betreffen dieses Profil ({name}); unter \"Profile\" werden alle gesichert oder wiederhergestellt.",
+    "Reset all month data? You can still undo it from History.": "Alle Monatsdaten zurücksetzen? Das lässt sich im Verlauf rückgängig machen.",
+    "Reset categories to the built-in lists? You can still undo it from History.": "Kategorien auf die eingebauten Listen zurücksetzen? Das lässt sich im Verlauf rückgängig machen.",
+    // trends
+    "No months in this range yet.": "Noch keine Monate in diesem Zeitraum.",
+    "6M": "6 M",
+    "12M": "12 M",
+    "24M": "24 M",
+    "All": "Alle",
+    "Custom": "Eigener",
+    "Income vs Expense": "Einnahmen und Ausgaben",
+    "By category": "Nach Kategorie",
+
+    // period labels (lib/period.js)
+    "FY{year}": "GJ{year}",
+    "FY{year} Q{quarter}": "GJ{year} Q{quarter}",
+    "FY{year} to {month}": "GJ{year} bis {month}",
+    "{count} months to {month}": "{count} Monate bis {month}",
+
+    // forecast (lib/forecast.js)
+    "Add a month of actuals to see a forecast.": "Für eine Prognose zuerst einen Monat mit Ist-Werten erfassen.",
+    "Forecast →": "Prognose →",
+    "Average of last": "Durchschnitt der letzten",
+    "through": "bis",
+    "Fiscal year end": "Ende des Geschäftsjahres",
+    "3 months": "3 Monate",
+    "6 months": "6 Monate",
+    "12 months": "12 Monate",
+    "24 months": "24 Monate",
+    "Net worth at {month}": "Nettovermögen {month}",
+    "Savings & investments": "Ersparnisse & Anlagen",
+    "Forecast cash flow": "Prognostizierter Cashflow",
+    "Fiscal year cash flow": "Cashflow im Geschäftsjahr",
+    "Cash flow per month": "Cashflow pro Monat",
+    "{amount} vs {month}": "{amount} ggü. {month}",
+    "Net Worth and Savings": "Nettovermögen und Ersparnisse",
+    "Net worth (forecast)": "Nettovermögen (Prognose)",
+    "Savings": "Ersparnisse",
+    "Savings (forecast)": "Ersparnisse (Prognose)",
+    "Cash Flow": "Cashflow",
+    "(pale bars are forecast)": "(blasse Balken sind Prognose)",
+    "What if…": "Was wäre, wenn…",
+    "Scale a category's projected amount, e.g. Takeaway −30%. Not saved.": "Den prognostizierten Betrag einer Kategorie skalieren, z. B. Essen zum Mitnehmen −30 %. Wird nicht gespeichert.",
+    "Category…": "Kategorie…",
+    "Apply": "Anwenden",
+    "Remove {category}": "{category} entfernen",
+    "One-off future items": "Einmalige künftige Posten",
+    "Known amounts such as a bonus or a holiday. They only feed the forecast and never become entries.": "Bekannte Beträge wie ein Bonus oder ein Urlaub. Sie fließen nur in die Prognose ein und werden nie zu Buchungen.",
+    "Add": "Hinzufügen",
+    "Remove item": "Posten entfernen",
+    "(forecast)": "(Prognose)",
+    "Categories are projected from their average over the last {count} months (balances from their average monthly change); recurring rules add their scheduled amounts instead.": "Kategorien werden aus ihrem Durchschnitt der letzten {count} Monate fortgeschrieben (Salden aus ihrer durchschnittlichen monatlichen Veränderung); Daueraufträge setzen stattdessen ihre geplanten Beträge an.",
+
+    // recurring entries (lib/recurring.js)
+    "No recurring entries yet. They are posted automatically whenever a new month is opened.": "Noch keine wiederkehrenden Buchungen. Sie werden automatisch gebucht, sobald ein neuer Monat geöffnet wird.",
+    "monthly": "monatlich",
+    "quarterly": "vierteljährlich",
+    "annually": "jährlich",
+    "every {count} months": "alle {count} Monate",
+    "{frequency} from {start}": "{frequency} ab {start}",
+    "{frequency} from {start} to {end}": "{frequency} von {start} bis {end}",
+    "{rule}, day {day}": "{rule}, am {day}.",
+    "{amount} from {month}": "{amount} ab {month}",
+    "Post to {month}": "In {month} buchen",
+    "reset": "zurücksetzen",
+    "skip": "aussetzen",
+    "change": "ändern",
+    "+ New recurring entry": "+ Neue wiederkehrende Buchung",
+    "Bucket": "Bereich",
+    "Category": "Kategorie",
+    "Default": "Standard",
+    "Frequency": "Häufigkeit",
+    "Monthly": "Monatlich",
+    "Quarterly": "Vierteljährlich",
+    "Annually": "Jährlich",
+    "Every N months": "Alle N Monate",
+    "Day of month": "Tag im Monat",
+    "Start month": "Erster Monat",
+    "End month (optional)": "Letzter Monat (optional)",
+    "Amount changes from (optional)": "Betrag ändert sich ab (optional)",
+    "New amount": "Neuer Betrag",
+    "Save rule": "Regel speichern",
+
+    // holdings
+    "Only {units} units are held on {date}.": "Am {date} werden nur {units} Stück gehalten.",
+    "No prices found in this file.": "In dieser Datei wurden keine Kurse gefunden.",
+    "The file needs a Price column.": "Die Datei braucht eine Spalte Price.",
+    "Imported {count} price(s).": "{count} Kurs(e) importiert.",
+    "A holding's investment category is valued at units × the month's price from its first transaction on, instead of the amounts typed into the month.": "Die Anlagekategorie einer Position wird ab ihrer ersten Transaktion mit Stückzahl × Monatskurs bewertet statt mit den im Monat eingegebenen Beträgen.",
+    "+ Holding": "+ Position",
+    "Investment category": "Anlagekategorie",
+    "Symbol": "Symbol",
+    "Price currency": "Kurswährung",
+    "No holdings yet.": "Noch keine Positionen.",
+    "{units} units": "{units} Stück",
+    "cost basis {amount}": "Einstand {amount}",
+    "latest price {price}": "letzter Kurs {price}",
+    "value {amount}": "Wert {amount}",
+    "Delete holding": "Position löschen",
+    "Transactions": "Transaktionen",
+    "Buy": "Kauf",
+    "Sell": "Verkauf",
+    "Units": "Stück",
+    "Price ({currency})": "Kurs ({currency})",
+    "Fees": "Gebühren",
+    "Date": "Datum",
+    "Type": "Art",
+    "Price": "Kurs",
+    "Delete transaction": "Transaktion löschen",
+    "Month-end prices ({currency})": "Monatsendkurse ({currency})",
+    "Add month": "Monat hinzufügen",
+    "Import CSV": "CSV importieren",
+    "{price} (earlier)": "{price} (früher)",
+
+    // goals editor
+    "No goals yet. A goal tracks the balances of the saving or investment categories that fund it.": "Noch keine Ziele. Ein Ziel verfolgt die Salden der Spar- oder Anlagekategorien, die es finanzieren.",
+    "{amount} by {date}": "{amount} bis {date}",
+    "Funded by {categories}": "Finanziert aus {categories}",
+    "+ New goal": "+ Neues Ziel",
+    "Name": "Name",
+    "e.g. House deposit": "z. B. Eigenkapital fürs Haus",
+    "Target": "Ziel",
+    "Target date": "Zieldatum",
+    "Funded by": "Finanziert aus",
+
+    // exchange rates
+    "No rates found in this file.": "In dieser Datei wurden keine Kurse gefunden.",
+    "Imported {count} rate(s).": "{count} Kurs(e) importiert.",
+    "Value of one unit of each currency in {home}. A month without a rate uses the most recent earlier one.": "Wert einer Einheit jeder Währung in {home}. Ein Monat ohne Kurs verwendet den letzten früheren.",
+    "Add currency": "Währung hinzufügen",
+    "Add a currency to start entering rates.": "Fügen Sie eine Währung hinzu, um Kurse einzugeben.",
+
+    // bank import
+    "Payee / description": "Empfänger / Beschreibung",
+    "Amount (signed)": "Betrag (mit Vorzeichen)",
+    "Debit / paid out": "Soll / ausgezahlt",
+    "Credit / paid in": "Haben / eingezahlt",
+    "Memo / reference": "Memo / Verwendungszweck",
+    "No rows found in this file.": "In dieser Datei wurden keine Zeilen gefunden.",
+    "No transactions could be read. Check the column mapping.": "Es konnten keine Umsätze gelesen werden. Prüfen Sie die Spaltenzuordnung.",
+    "Column {number}": "Spalte {number}",
+    "Column {number} ({value})": "Spalte {number} ({value})",
+    "Statement currency": "Währung des Auszugs",
+    "OFX files set this themselves": "OFX-Dateien legen sie selbst fest",
+    "Choose a CSV, OFX or QFX export from your bank": "Wählen Sie einen CSV-, OFX- oder QFX-Export Ihrer Bank",
+    "Payee rules": "Empfängerregeln",
+    "No rules yet. Tick \"Rule\" on a row in the preview to remember a payee.": "Noch keine Regeln. Haken Sie in der Vorschau bei einer Zeile \"Regel\" an, um sich einen Empfänger zu merken.",
+    "Date order": "Datumsreihenfolge",
+    "Day / Month / Year": "Tag / Monat / Jahr",
+    "Month / Day / Year": "Monat / Tag / Jahr",
+    "First row is a header": "Erste Zeile ist eine Kopfzeile",
+    "Back": "Zurück",
+    "Preview": "Vorschau",
+    "{count} new transaction(s), {skipped} already imported and skipped. {ready} ready to import.": "{count} neue(r) Umsatz/Umsätze, {skipped} bereits importiert und übersprungen. {ready} bereit zum Import.",
+    "{count} new transaction(s). {ready} ready to import.": "{count} neue(r) Umsatz/Umsätze. {ready} bereit zum Import.",
+    "Payee": "Empfänger",
+    "Rule": "Regel",
+    "rule": "Regel",
+    "Select…": "Auswählen…",
+    "Import {count} transaction(s)": "{count} Umsatz/Umsätze importieren",
+
+    // spreadsheet import
+    "No Month/Category/Amount rows or month columns were found in this file.": "In dieser Datei wurden keine Zeilen mit Month/Category/Amount und keine Monatsspalten gefunden.",
+    "Could not read this file. Please select an XLSX or CSV spreadsheet.": "Diese Datei konnte nicht gelesen werden. Bitte wählen Sie eine XLSX- oder CSV-Tabelle.",
+    "Choose an XLSX or CSV file: exported Month/Bucket/Category/Amount rows, or months as columns with categories as rows": "Wählen Sie eine XLSX- oder CSV-Datei: exportierte Zeilen mit Month/Bucket/Category/Amount oder Monate als Spalten und Kategorien als Zeilen",
+    "{sheet}: {count} value(s), {layout} layout": "{sheet}: {count} Wert(e), Layout {layout}",
+    "long": "lang",
+    "wide": "breit",
+    "Unknown categories": "Unbekannte Kategorien",
+    "Add as subheading": "Als Unterkategorie hinzufügen",
+    "Changes by month": "Änderungen nach Monat",
+    "Merge all": "Alle zusammenführen",
+    "Replace all": "Alle ersetzen",
+    "existing month": "vorhandener Monat",
+    "new month": "neuer Monat",
+    "Merge": "Zusammenführen",
+    "Replace": "Ersetzen",
+    "{count} unchanged": "{count} unverändert",
+    "Choose another file": "Andere Datei wählen",
+    "Import {count} month(s)": "{count} Monat(e) importieren",
+
+    // backup import
+    "Import backup — {file}": "Sicherung importieren — {file}",
+    "Written with schema version {from}; it has been upgraded to version {to}.": "Mit Schemaversion {from} geschrieben; sie wurde auf Version {to} aktualisiert.",
+    "{count} problem(s) found — nothing will be imported": "{count} Problem(e) gefunden — es wird nichts importiert",
+    "{count} month(s), {new} not in the dashboard yet": "{count} Monat(e), davon {new} noch nicht im Dashboard",
+    "{count} entries, {new} new": "{count} Einträge, {new} neu",
+    "{recurring} recurring rule(s), {rules} payee rule(s), {templates} new categories": "{recurring} wiederkehrende Regel(n), {rules} Empfängerregel(n), {templates} neue Kategorien",
+    "Settings included": "Einstellungen enthalten",
+    "add the new months, entries, rules and categories; keep your current values and settings where both have them": "neue Monate, Einträge, Regeln und Kategorien hinzufügen; bei Überschneidungen Ihre aktuellen Werte und Einstellungen behalten",
+    "swap the current data for the backup (parts missing from the file are kept)": "die aktuellen Daten durch die Sicherung ersetzen (in der Datei fehlende Teile bleiben erhalten)",
+
+    // category manager
+    "\"{name}\" already exists. Merge \"{from}\" into it?": "\"{name}\" gibt es bereits. \"{from}\" damit zusammenführen?",
+    "Categories": "Kategorien",
+    "Renaming or merging updates every month, budget, recurring entry and payee rule that uses the category. Archived categories keep their history but are no longer offered when adding entries.": "Umbenennen oder Zusammenführen ändert jeden Monat, jedes Budget, jeden wiederkehrenden Eintrag und jede Empfängerregel mit dieser Kategorie. Archivierte Kategorien behalten ihre Historie, werden beim Erfassen aber nicht mehr angeboten.",
+    "Colour for {category}": "Farbe für {category}",
+    "archived": "archiviert",
+    "1 entry": "1 Eintrag",
+    "{count} entries": "{count} Einträge",
+    "Move up": "Nach oben",
+    "Move down": "Nach unten",
+    "Rename": "Umbenennen",
+    "Move": "Verschieben",
+    "Fixed costs count separately from discretionary spend in the key figures": "Fixkosten werden in den Kennzahlen getrennt von frei verfügbaren Ausgaben gezählt",
+    "Fixed": "Fix",
+    "Discretionary": "Variabel",
+    "Restore": "Wiederherstellen",
+    "Archive": "Archivieren",
+    "Merge {category} into": "{category} zusammenführen mit",
+    "Move {category} to": "{category} verschieben nach",
+    "Used in entries but not in the list": "In Einträgen verwendet, aber nicht in der Liste",
+
+    // change log
+    "Filter by change, person or category…": "Nach Änderung, Person oder Kategorie filtern…",
+    "No changes match.": "Keine passenden Änderungen.",
+    "No changes recorded yet.": "Noch keine Änderungen erfasst.",
+    "{count} change(s)": "{count} Änderung(en)",
+    "What": "Was",
+    "Before": "Vorher",
+    "After": "Nachher",
+
+    // profiles
+    "Changes could not be saved: {error}": "Änderungen konnten nicht gespeichert werden: {error}",
+    "Delete the profile \"{name}\" and everything in it? This cannot be undone, so download a backup first if in doubt.": "Das Profil \"{name}\" mit allem Inhalt löschen? Das lässt sich nicht rückgängig machen, laden Sie im Zweifel zuerst eine Sicherung herunter.",
+    "could not be read": "konnte nicht gelesen werden",
+    "Nothing was restored: {problems}": "Nichts wurde wiederhergestellt: {problems}",
+    "Nothing was restored: {problems} and {count} more": "Nichts wurde wiederhergestellt: {problems} und {count} weitere",
+    "Restored {names}.": "{names} wiederhergestellt.",
+    "Could not open the browser database: {error}": "Die Browser-Datenbank konnte nicht geöffnet werden: {error}",
+    "Loading…": "Wird geladen…",
+    "A new version of the dashboard is available.": "Eine neue Version des Dashboards ist verfügbar.",
+    "Reload": "Neu laden",
+    "Later": "Später",
+    "Each profile is a separate ledger with its own categories, settings, rules and history, stored in this browser.": "Jedes Profil ist ein eigenes Haushaltsbuch mit eigenen Kategorien, Einstellungen, Regeln und eigener Historie, gespeichert in diesem Browser.",
+    "open": "geöffnet",
+    "New profile, e.g. Joint": "Neues Profil, z. B. Gemeinsam",
+    "Back up all profiles (JSON)": "Alle Profile sichern (JSON)",
+    "Restore as new profile(s)": "Als neue(s) Profil(e) wiederherstellen",
+    "Restoring reads an all-profiles backup or a single profile's backup and adds each profile next to the existing ones; nothing is overwritten. To merge a backup into the open profile use {settings} → {import}.": "Die Wiederherstellung liest eine Sicherung aller Profile oder eines einzelnen Profils und legt jedes Profil neben den vorhandenen an; nichts wird überschrieben. Um eine Sicherung in das geöffnete Profil zu übernehmen, nutzen Sie {settings} → {import}.",
+
+    // sync panel
+    "Keeps this profile in step with other devices through a sync server (the Vercel deployment, or {command}). Every device that uses the same server and ledger id shares the ledger. Changes are saved on this device first and sent when the server can be reached.": "Hält dieses Profil über einen Sync-Server (die Vercel-Bereitstellung oder {command}) mit anderen Geräten abgeglichen. Alle Geräte mit demselben Server und derselben Ledger-ID teilen das Haushaltsbuch. Änderungen werden zuerst auf diesem Gerät gespeichert und gesendet, sobald der Server erreichbar ist.",
+    "Offline — changes are kept on this device and sent later.": "Offline — Änderungen bleiben auf diesem Gerät und werden später gesendet.",
+    "Sync failed: {error}": "Synchronisierung fehlgeschlagen: {error}",
+    "Last synced {time} (revision {rev}).": "Zuletzt synchronisiert {time} (Revision {rev}).",
+    "Not synced yet.": "Noch nicht synchronisiert.",
+    "Local changes not on the server yet.": "Lokale Änderungen sind noch nicht auf dem Server.",
+    "{count} field(s) were changed here and on another device": "{count} Feld(er) wurden hier und auf einem anderen Gerät geändert",
+    "Everything else has been merged. Pick which value to keep for each, then apply; the result is pushed as the next revision.": "Alles andere wurde zusammengeführt. Wählen Sie jeweils den Wert, der bleiben soll, und wenden Sie ihn an; das Ergebnis wird als nächste Revision übertragen.",
+    "Keep all of mine": "Alle eigenen behalten",
+    "Take all from the server": "Alle vom Server übernehmen",
+    "Field": "Feld",
+    "This device": "Dieses Gerät",
+    "Server": "Server",
+    "(whole ledger)": "(ganzes Haushaltsbuch)",
+    "Server URL": "Server-URL",
+    "Empty for this site, e.g. {url}": "Leer für diese Seite, z. B. {url}",
+    "Ledger id": "Ledger-ID",
+    "1–64 letters, digits, - or _": "1–64 Buchstaben, Ziffern, - oder _",
+    "Token (if the server has SYNC_TOKEN)": "Token (falls der Server SYNC_TOKEN hat)",
+    "e.g. Laptop": "z. B. Laptop",
+    "Save & sync": "Speichern & synchronisieren",
+    "Turn on sync": "Synchronisierung einschalten",
+    "Sync now": "Jetzt synchronisieren",
+    "Turn off": "Ausschalten",
+
+    // report
+    "Budget report — {period}": "Budgetbericht — {period}",
+    "Compared with {period} · amounts in {currency}": "Verglichen mit {period} · Beträge in {currency}",
+    "Print": "Drucken",
+    "Preparing…": "Wird vorbereitet…",
+    "Download PDF": "PDF herunterladen",
+    "Close": "Schließen",
+    "Summary": "Übersicht",
+    "Compared with": "Verglichen mit",
+    "Share": "Anteil",
+    "Top movers": "Größte Veränderungen"
+  }
+};
+
+// The built-in categories (categories.js BASE_TEMPLATES) by language
+const CATEGORY_NAMES = {
+  de: {
+    "Salary": "Gehalt",
+    "Cash": "Bargeld",
+    "Music": "Musik",
+    "Fitness": "Fitness",
+    "Carry Over": "Übertrag",
+    "Saving Blanket": "Rücklage",
+    "Current": "Girokonto",
+    "Apt Valuation": "Wohnungswert",
+    "Bitcoin": "Bitcoin",
+    "Stocks": "Aktien",
+    "Pension Valuation": "Rentenwert",
+    "Mortgage": "Hypothek",
+    "Jiujitsu": "Jiu-Jitsu",
+    "CrossFit": "CrossFit",
+    "Food Shop": "Lebensmittel",
+    "Leisure/Concert": "Freizeit/Konzert",
+    "Company car (N/A)": "Firmenwagen (n. z.)",
+    "TV/Mobile/Apps": "TV/Handy/Apps",
+    "Supplements": "Nahrungsergänzung",
+    "BONGO Dog": "BONGO Hund",
+    "Electricity": "Strom",
+    "Other": "Sonstiges",
+    "Takeaway": "Essen zum Mitnehmen",
+    "Mortgage Balance": "Hypothekenschuld",
+    "Car Loan": "Autokredit",
+    "Credit Card": "Kreditkarte"
+  }
+};
+
+// "de-AT" -> "de"; "" follows the browser; languages without a catalogue fall back to English
+export function languageFor(locale) {
+  const tag = locale || (typeof navigator !== "undefined" && navigator.language) || "en";
+  const lang = tag.split("-")[0].toLowerCase();
+  return LANGUAGES.includes(lang) ? lang : "en";
+}
+
+// t(key, vars) for the locale's language; t.category(name) shows a category name
+export function translator(locale) {
+  const lang = languageFor(locale);
+  const strings = CATALOGUES[lang] || {};
+  const names = CATEGORY_NAMES[lang] || {};
+  const t = (key, vars) => (strings[key] ?? key).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? String(vars[k]) : m));
+  t.category = (name) => names[name] ?? name;
+  return t;
+}
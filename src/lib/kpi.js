@@ -0,0 +1,71 @@
+// Derived financial KPIs. Expense categories flagged `fixed` in the category list count as
+// fixed spend, the rest as discretionary; the saving bucket counts as liquid savings.
+// Thresholds live in settings.kpiThresholds and decide whether a value shows green or red.
+
+export const KPIS = [
+  { k: "savingsRate", label: "Savings rate", unit: "%", higherIsBetter: true, hint: "Cash flow ÷ income" },
+  { k: "fixedShare", label: "Fixed spend", unit: "%", higherIsBetter: false, hint: "Fixed expenses ÷ income" },
+  { k: "discretionaryShare", label: "Discretionary spend", unit: "%", higherIsBetter: false, hint: "Other expenses ÷ income" },
+  { k: "runway", label: "Emergency fund", unit: "months", higherIsBetter: true, hint: "Liquid savings ÷ average monthly expenses (last 12 months)" },
+  { k: "netWorthChange", label: "Net worth change", unit: "money", higherIsBetter: true, hint: "Against the comparison period" }
+];
+
+export const KPI_THRESHOLDS = { savingsRate: 20, fixedShare: 50, discretionaryShare: 30, runway: 6, netWorthChange: 0 };
+
+const SPARK_MONTHS = 12;
+
+function sum(obj) {
+  return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
+}
+
+const share = (part, whole) => (whole ? (part / whole) * 100 : null);
+
+export function fixedSet(templates) {
+  return new Set((templates.expense || []).filter((c) => c.fixed).map((c) => c.name));
+}
+
+// Average monthly expenses over up to SPARK_MONTHS months with data ending at `endKey`
+export function averageMonthlyExpense(totalsByMonth, endKey) {
+  const keys = Object.keys(totalsByMonth).filter((k) => k <= endKey).sort().slice(-SPARK_MONTHS);
+  return keys.length ? keys.reduce((a, k) => a + sum(totalsByMonth[k].expense), 0) / keys.length : 0;
+}
+
+// totals: the view's totals; netWorthBefore: net worth of the comparison period
+export function kpisFor(totals, netWorthBefore, fixed, avgExpense) {
+  const income = sum(totals.income);
+  const expense = sum(totals.expense);
+  const fixedSpend = Object.entries(totals.expense).reduce((a, [cat, v]) => a + (fixed.has(cat) ? Number(v) : 0), 0);
+  const netWorth = sum(totals.saving) + sum(totals.investment) - sum(totals.liability);
+  return {
+    savingsRate: share(income - expense, income),
+    fixedShare: share(fixedSpend, income),
+    discretionaryShare: share(expense - fixedSpend, income),
+    runway: avgExpense ? sum(totals.saving) / avgExpense : null,
+    netWorthChange: netWorth - netWorthBefore,
+    categoryShares: Object.entries(totals.expense)
+      .filter(([, v]) => Number(v))
+      .map(([name, v]) => ({ name, value: Number(v), pct: share(Number(v), income), fixed: fixed.has(name) }))
+      .sort((a, b) => b.value - a.value)
+  };
+}
+
+// One value per KPI for each of the last SPARK_MONTHS months with data up to `endKey`
+export function kpiSeries(totalsByMonth, endKey, fixed) {
+  const all = Object.keys(totalsByMonth).sort();
+  const keys = all.filter((k) => k <= endKey).slice(-SPARK_MONTHS);
+  return keys.map((k) => {
+    const prev = all[all.indexOf(k) - 1];
+    const p = prev ? totalsByMonth[prev] : null;
+    const before = p ? sum(p.saving) + sum(p.investment) - sum(p.liability) : 0;
+    const { categoryShares, ...values } = kpisFor(totalsByMonth[k], before, fixed, averageMonthlyExpense(totalsByMonth, k));
+    // the first month has nothing to change from
+    return { month: k, ...values, netWorthChange: p ? values.netWorthChange : null };
+  });
+}
+
+// "good", "bad", or null when there is no value
+export function kpiStatus(kpi, value, threshold) {
+  if (value == null || threshold == null || threshold === "") return null;
+  const ok = kpi.higherIsBetter ? value >= Number(threshold) : value <= Number(threshold);
+  return ok ? "good" : "bad";
+}
@@ -0,0 +1,181 @@
+// Ledger helpers: every amount is stored as an individual entry inside
+// data.months[YYYY-MM].entries; per-category totals are always derived.
+
+export const BUCKETS = ["income", "expense", "saving", "investment", "liability"];
+// Buckets whose values are balances carried from month to month
+export const BALANCE_BUCKETS = ["saving", "investment", "liability"];
+
+export function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function monthKeyFromDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function todayISO() {
+  const d = new Date();
+  return `${monthKeyFromDate(d)}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// "2024-03-15" -> "2024-03"
+export function monthKeyOf(date) {
+  return String(date).slice(0, 7);
+}
+
+// "2024-11" + 3 -> "2025-02"
+export function addMonths(key, n) {
+  const [y, m] = key.split("-").map(Number);
+  return monthKeyFromDate(new Date(y, m - 1 + n, 1));
+}
+
+// Whole months from a to b ("2024-01" -> "2024-04" = 3)
+export function monthsBetween(a, b) {
+  const [ya, ma] = a.split("-").map(Number);
+  const [yb, mb] = b.split("-").map(Number);
+  return (yb - ya) * 12 + (mb - ma);
+}
+
+export function lastDayOfMonth(key) {
+  const [y, m] = key.split("-").map(Number);
+  return `${key}-${String(new Date(y, m, 0).getDate()).padStart(2, "0")}`;
+}
+
+// Default date for a new entry in a month: today if it falls inside, else the 1st
+export function defaultDateFor(key) {
+  const today = todayISO();
+  return monthKeyOf(today) === key ? today : `${key}-01`;
+}
+
+export function makeEntry({ date, bucket, category, amount, note = "", source = "manual", ...rest }) {
+  return { id: newId(), date, bucket, category, amount: Number(amount) || 0, note, source, ...rest };
+}
+
+export function emptyMonth() {
+  return { entries: [] };
+}
+
+export function emptyTotals() {
+  return Object.fromEntries(BUCKETS.map((b) => [b, {}]));
+}
+
+// { income: { Salary: 3200, ... }, expense: {...}, ... } for one month; valueOf converts an
+// entry's amount (e.g. into the reporting currency), by default the raw amount
+export function monthTotals(month, valueOf = (e) => Number(e.amount)) {
+  const acc = emptyTotals();
+  for (const e of month?.entries || []) {
+    if (!acc[e.bucket]) continue;
+    acc[e.bucket][e.category] = (acc[e.bucket][e.category] || 0) + valueOf(e);
+  }
+  return acc;
+}
+
+export function entriesFor(month, buckets, category) {
+  return (month?.entries || []).filter((e) => buckets.includes(e.bucket) && e.category === category);
+}
+
+// Build a new month: balance buckets open with the previous month's closing balances,
+// one carried entry per category and currency
+export function openMonth(months, key) {
+  const prevKey = Object.keys(months).sort().filter((k) => k < key).pop();
+  const month = emptyMonth();
+  if (!prevKey) return month;
+  const balances = new Map();
+  for (const e of months[prevKey].entries) {
+    if (!BALANCE_BUCKETS.includes(e.bucket)) continue;
+    const id = JSON.stringify([e.bucket, e.category, e.currency || ""]);
+    balances.set(id, (balances.get(id) || 0) + Number(e.amount));
+  }
+  for (const [id, amount] of balances) {
+    if (!amount) continue;
+    const [bucket, category, currency] = JSON.parse(id);
+    const extra = currency ? { currency } : {};
+    month.entries.push(makeEntry({ date: `${key}-01`, bucket, category, amount, note: "Carried forward", source: "carry", ...extra }));
+  }
+  return month;
+}
+
+// Entries two copies of the ledger created on their own for the same thing, under different ids:
+// a bank row imported twice, balances carried into a month opened on both, or a recurring rule
+// posted on both. null for anything else.
+export function duplicateKey(item) {
+  if (item.importKey) return `import ${item.importKey}`;
+  if (item.source === "carry") return `carry ${item.bucket} ${item.category} ${item.currency || ""}`;
+  if (item.source === "recurring" && item.ruleId) return `rule ${item.ruleId} ${item.date} ${item.bucket} ${item.category}`;
+  return null;
+}
+
+// Append entries to the months their dates fall in; a missing month is created by
+// open(months, key), openMonth or recurring.js's monthOpener, which also posts the due rules
+export function withEntries(data, entries, open = openMonth) {
+  const months = { ...data.months };
+  for (const key of Array.from(new Set(entries.map((e) => monthKeyOf(e.date)))).sort()) {
+    const base = months[key] || open(months, key);
+    months[key] = { ...base, entries: [...base.entries, ...entries.filter((e) => monthKeyOf(e.date) === key)] };
+  }
+  return { ...data, months };
+}
+
+// Expense entries in a category linked to a liability (settings.liabilityLinks, e.g.
+// Mortgage -> Mortgage Balance) get a paired entry that pays the balance down
+export function withLiabilityPayments(entries, links = {}) {
+  const out = [...entries];
+  for (const e of entries) {
+    const target = e.bucket === "expense" && links[e.category];
+    if (!target) continue;
+    const extra = e.currency ? { currency: e.currency } : {};
+    out.push(makeEntry({ date: e.date, bucket: "liability", category: target, amount: -e.amount, note: `Payment via ${e.category}`, source: "link", linkedTo: e.id, ...extra }));
+  }
+  return out;
+}
+
+// Removing an entry also removes the liability payments linked to it
+export function withoutEntries(data, ids) {
+  const drop = new Set(ids);
+  for (const m of Object.values(data.months)) {
+    for (const e of m.entries) if (e.linkedTo && drop.has(e.linkedTo)) drop.add(e.id);
+  }
+  const months = {};
+  for (const [key, m] of Object.entries(data.months)) {
+    months[key] = m.entries.some((e) => drop.has(e.id)) ? { ...m, entries: m.entries.filter((e) => !drop.has(e.id)) } : m;
+  }
+  return { ...data, months };
+}
+
+// Patch one entry; a changed date moves it to the matching month and linked payments follow
+export function withEntryUpdated(data, id, patch, open = openMonth) {
+  const all = Object.values(data.months).flatMap((m) => m.entries);
+  const found = all.find((e) => e.id === id);
+  if (!found) return data;
+  const updated = { ...found, ...patch, amount: Number(patch.amount ?? found.amount) || 0 };
+  const linked = all
+    .filter((e) => e.linkedTo === id)
+    .map((e) => ({ ...e, date: updated.date, amount: -updated.amount }));
+  return withEntries(withoutEntries(data, [id]), [updated, ...linked], open);
+}
+
+// Pre-ledger data stored one number per category: { income: { Salary: 3200 }, ... }
+function isLegacyMonth(month) {
+  return month && !Array.isArray(month.entries);
+}
+
+function migrateMonth(key, month) {
+  const entries = [];
+  for (const bucket of BUCKETS) {
+    for (const [category, amount] of Object.entries(month[bucket] || {})) {
+      if (!Number(amount)) continue;
+      entries.push(makeEntry({ date: `${key}-01`, bucket, category, amount, note: "Opening balance", source: "opening" }));
+    }
+  }
+  return { entries };
+}
+
+export function migrateData(data) {
+  if (!data || !data.months) return data;
+  const months = {};
+  for (const [key, m] of Object.entries(data.months)) {
+    months[key] = isLegacyMonth(m) ? migrateMonth(key, m) : m;
+  }
+  return { ...data, months };
+}
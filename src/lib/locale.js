@@ -0,0 +1,83 @@
+// Number and date formatting for settings.locale ("" follows the browser). Amounts are typed as
+// text so they can use the locale's separators: "1.234,56" in de-DE, "1,234.56" in en-GB. The
+// parser is lenient about the other convention, so "12.5" still means twelve and a half in
+// de-DE while "1.234" there is one thousand two hundred and thirty-four.
+
+export const LOCALES = [
+  { k: "", label: "Browser default" },
+  { k: "en-GB", label: "English (UK)" },
+  { k: "en-IE", label: "English (Ireland)" },
+  { k: "en-US", label: "English (US)" },
+  { k: "de-DE", label: "Deutsch (Deutschland)" },
+  { k: "de-AT", label: "Deutsch (Österreich)" },
+  { k: "de-CH", label: "Deutsch (Schweiz)" },
+  { k: "fr-FR", label: "Français (France)" },
+  { k: "es-ES", label: "Español (España)" },
+  { k: "nl-NL", label: "Nederlands (Nederland)" }
+];
+
+const tag = (locale) => locale || undefined;
+
+export function numberSeparators(locale) {
+  const parts = new Intl.NumberFormat(tag(locale)).formatToParts(1234567.5);
+  return {
+    group: parts.find((p) => p.type === "group")?.value ?? "",
+    decimal: parts.find((p) => p.type === "decimal")?.value ?? "."
+  };
+}
+
+// Text typed into an amount field -> number, NaN when it is empty or not a number
+export function parseLocaleAmount(text, locale) {
+  const s = String(text ?? "").trim().replace(/[\s'’]/g, "").replace(/^−/, "-");
+  if (!s) return NaN;
+  const { decimal } = numberSeparators(locale);
+  const commas = s.split(",").length - 1;
+  const dots = s.split(".").length - 1;
+  let point = null; // the character used as the decimal point, if any
+  if (commas && dots) point = s.lastIndexOf(",") > s.lastIndexOf(".") ? "," : ".";
+  else if (commas + dots === 1) {
+    const sep = commas ? "," : ".";
+    const [whole, frac] = s.split(sep);
+    // the locale's own point, or the other character unless it reads as a thousands group
+    const grouped = frac.length === 3 && /^[+-]?[1-9]\d{0,2}$/.test(whole);
+    point = sep === decimal || !grouped ? sep : null;
+  }
+  const digits = point ? s.split(point).map((p) => p.replace(/[.,]/g, "")).join(".") : s.replace(/[.,]/g, "");
+  return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(digits) ? Number(digits) : NaN;
+}
+
+// A stored number as it should appear in an amount field (no grouping)
+export function formatAmount(n, locale) {
+  if (n == null || n === "" || !Number.isFinite(Number(n))) return "";
+  return new Intl.NumberFormat(tag(locale), { useGrouping: false, maximumFractionDigits: 8 }).format(Number(n));
+}
+
+// A figure with a fixed number of decimals, e.g. 12.5 -> "12,5" in de-DE
+export function formatNumber(n, locale, digits = 1) {
+  return new Intl.NumberFormat(tag(locale), { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(n));
+}
+
+// "2026-09" -> "September 2026"; style "short" gives "Sep 2026"
+export function formatMonth(key, locale, style = "long") {
+  const [y, m] = String(key).split("-").map(Number);
+  if (!y || !m) return String(key);
+  return new Intl.DateTimeFormat(tag(locale), { year: "numeric", month: style }).format(new Date(y, m - 1, 1));
+}
+
+// "2026-09-14" -> "14 Sept 2026" in en-GB, "14. Sept. 2026" in de-DE
+export function formatDate(iso, locale) {
+  const d = new Date(`${iso}T12:00:00`);
+  if (Number.isNaN(d.getTime())) return String(iso);
+  return new Intl.DateTimeFormat(tag(locale), { day: "numeric", month: "short", year: "numeric" }).format(d);
+}
+
+// A timestamp (ms or ISO) as the locale's date and time, e.g. for history and sync times
+export function formatDateTime(at, locale) {
+  return new Date(at).toLocaleString(tag(locale));
+}
+
+// January..December in the locale
+export function monthNames(locale, style = "long") {
+  const f = new Intl.DateTimeFormat(tag(locale), { month: style });
+  return Array.from({ length: 12 }, (_, i) => f.format(new Date(2000, i, 1)));
+}
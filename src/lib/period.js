@@ -0,0 +1,133 @@
+// Period aggregation with stock-vs-flow semantics: income/expense are flows and are summed
+// over the months of a period; saving/investment/liability are balances, so a period shows
+// its closing balance plus the change since the balance it opened with.
+import { BUCKETS, BALANCE_BUCKETS, emptyTotals, addMonths, monthsBetween } from "./ledger.js";
+
+export function isBalanceBucket(bucket) {
+  return BALANCE_BUCKETS.includes(bucket);
+}
+
+// Closing balances of the last month with data before `key` (the period's opening balances)
+export function balancesBefore(totalsByMonth, key) {
+  const prevKey = Object.keys(totalsByMonth).sort().filter((k) => k < key).pop();
+  const opening = emptyTotals();
+  if (!prevKey) return opening;
+  for (const b of BALANCE_BUCKETS) opening[b] = { ...totalsByMonth[prevKey][b] };
+  return opening;
+}
+
+// keys: the month keys of the period (months without data are skipped)
+export function aggregatePeriod(totalsByMonth, keys) {
+  const present = keys.filter((k) => totalsByMonth[k]).sort();
+  const totals = emptyTotals();
+  for (const k of present) {
+    for (const b of BUCKETS) {
+      if (isBalanceBucket(b)) continue;
+      for (const [cat, val] of Object.entries(totalsByMonth[k][b])) {
+        totals[b][cat] = (totals[b][cat] || 0) + Number(val);
+      }
+    }
+  }
+  const closingKey = present[present.length - 1];
+  for (const b of BALANCE_BUCKETS) totals[b] = closingKey ? { ...totalsByMonth[closingKey][b] } : {};
+  const opening = present.length ? balancesBefore(totalsByMonth, present[0]) : emptyTotals();
+  const change = emptyTotals();
+  for (const b of BALANCE_BUCKETS) {
+    for (const cat of new Set([...Object.keys(opening[b]), ...Object.keys(totals[b])])) {
+      change[b][cat] = Number(totals[b][cat] || 0) - Number(opening[b][cat] || 0);
+    }
+  }
+  return { totals, opening, change, closingKey };
+}
+
+// Period picker. Every kind is anchored on the selected month; fiscal kinds follow the
+// fiscal-year start month (1-12).
+export const PERIOD_KINDS = [
+  { k: "month", label: "Month" },
+  { k: "quarter", label: "Fiscal quarter" },
+  { k: "fytd", label: "Fiscal YTD" },
+  { k: "fy", label: "Fiscal year" },
+  { k: "year", label: "Calendar year" },
+  { k: "r3", label: "Rolling 3 months" },
+  { k: "r12", label: "Rolling 12 months" },
+  { k: "custom", label: "Custom range" }
+];
+
+export const COMPARISONS = [
+  { k: "previous", label: "Previous period" },
+  { k: "lastYear", label: "Same period last year" }
+];
+
+function range(from, to) {
+  const keys = [];
+  for (let k = from; k <= to; k = addMonths(k, 1)) keys.push(k);
+  return keys;
+}
+
+function fiscalStart(key, fyStartMonth) {
+  const [y, m] = key.split("-").map(Number);
+  const start = Number(fyStartMonth || 1);
+  return `${m >= start ? y : y - 1}-${String(start).padStart(2, "0")}`;
+}
+
+const fill = (key, vars) => key.replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? String(vars[k]) : m));
+
+// Fiscal years are named after the calendar year they end in (FY2025 = Apr 2024 - Mar 2025)
+function fiscalYear(startKey) {
+  return addMonths(startKey, 11).slice(0, 4);
+}
+
+function spanLabel(keys, month) {
+  return keys.length === 1 ? month(keys[0]) : `${month(keys[0])} – ${month(keys[keys.length - 1])}`;
+}
+
+// { keys, label }: every month of the period in order, whether or not it has data yet.
+// t translates the label's words (see lib/i18n.js) and month formats a YYYY-MM key; both
+// default to plain English and the key itself.
+export function periodRange(kind, anchor, fyStartMonth, custom = {}, t = fill, month = (k) => k) {
+  const fyStart = fiscalStart(anchor, fyStartMonth);
+  const year = fiscalYear(fyStart);
+  switch (kind) {
+    case "quarter": {
+      const qStart = addMonths(fyStart, Math.floor(monthsBetween(fyStart, anchor) / 3) * 3);
+      return { keys: range(qStart, addMonths(qStart, 2)), label: t("FY{year} Q{quarter}", { year, quarter: monthsBetween(fyStart, qStart) / 3 + 1 }) };
+    }
+    case "fytd":
+      return { keys: range(fyStart, anchor), label: t("FY{year} to {month}", { year, month: month(anchor) }) };
+    case "fy":
+      return { keys: range(fyStart, addMonths(fyStart, 11)), label: t("FY{year}", { year }) };
+    case "year":
+      return { keys: range(`${anchor.slice(0, 4)}-01`, `${anchor.slice(0, 4)}-12`), label: anchor.slice(0, 4) };
+    case "r3":
+    case "r12": {
+      const n = kind === "r3" ? 3 : 12;
+      return { keys: range(addMonths(anchor, 1 - n), anchor), label: t("{count} months to {month}", { count: n, month: month(anchor) }) };
+    }
+    case "custom": {
+      const from = custom.from || anchor;
+      const to = custom.to && custom.to >= from ? custom.to : from;
+      const keys = range(from, to);
+      return { keys, label: spanLabel(keys, month) };
+    }
+    default:
+      return { keys: [anchor], label: month(anchor) };
+  }
+}
+
+// The period a selection is compared with: the same number of months immediately before it,
+// or the same months one year earlier. Named periods keep their names (FY2024 vs FY2025).
+export function comparisonRange(current, mode, kind, anchor, fyStartMonth, t = fill, month = (k) => k) {
+  const shift = mode === "lastYear" ? -12 : -current.keys.length;
+  if (kind !== "custom" && !(kind === "fytd" && mode === "previous")) return periodRange(kind, addMonths(anchor, shift), fyStartMonth, {}, t, month);
+  const keys = current.keys.map((k) => addMonths(k, shift));
+  return { keys, label: spanLabel(keys, month) };
+}
+
+// Like aggregatePeriod, but balances are those at the end of the range even when its last
+// months have no data (so a comparison period always has its closing balances)
+export function totalsAtEnd(totalsByMonth, keys) {
+  const { totals } = aggregatePeriod(totalsByMonth, keys);
+  const closing = balancesBefore(totalsByMonth, addMonths(keys[keys.length - 1], 1));
+  for (const b of BALANCE_BUCKETS) totals[b] = closing[b];
+  return totals;
+}
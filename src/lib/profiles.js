@@ -0,0 +1,76 @@
+// Consolidating profiles into one read-only view, and backups that hold every profile.
+// Profiles come as { id, name, payload } (see storage.js).
+import { BUCKETS, openMonth } from "./ledger.js";
+import { SCHEMA_VERSION, PARTS, migratePayload, validatePayload } from "./schema.js";
+
+// One payload from several profiles, shown with the first profile's settings. Entries, recurring
+// rules and one-off items without a currency get their profile's home currency; a profile with
+// no month of its own carries its balances into that month as if it had been opened. Budgets
+// stay per profile, and exchange rates only come from profiles with the same home currency.
+export function combineProfiles(profiles, defaults) {
+  const settings = profiles.find((p) => p.payload.settings)?.payload.settings || defaults.settings;
+  const home = settings.homeCurrency;
+  const ledgers = profiles.filter((p) => p.payload.data).map((p) => ({
+    data: p.payload.data,
+    home: p.payload.settings?.homeCurrency || home,
+    links: p.payload.settings?.liabilityLinks || {}
+  }));
+  const withCurrency = (list, cur) => (list || []).map((x) => (x.currency ? x : { ...x, currency: cur }));
+
+  const keys = Array.from(new Set(ledgers.flatMap((l) => Object.keys(l.data.months)))).sort();
+  const months = {};
+  for (const k of keys) {
+    const entries = [];
+    for (const l of ledgers) {
+      const month = l.data.months[k] || openMonth(l.data.months, k);
+      entries.push(...withCurrency(month.entries, l.home));
+    }
+    months[k] = { entries };
+  }
+
+  const rates = {};
+  for (const l of ledgers.filter((l) => l.home === home)) {
+    for (const [k, r] of Object.entries(l.data.rates || {})) rates[k] = { ...r, ...rates[k] };
+  }
+
+  const templates = Object.fromEntries(BUCKETS.map((b) => [b, []]));
+  for (const p of profiles) {
+    for (const b of BUCKETS) {
+      for (const c of p.payload.templates?.[b] || []) if (!templates[b].some((x) => x.name === c.name)) templates[b].push(c);
+    }
+  }
+
+  const all = (key) => ledgers.flatMap((l) => withCurrency(l.data[key], l.home));
+  return {
+    data: { months, rates, recurring: all("recurring"), oneOffs: all("oneOffs"), goals: all("goals"), holdings: all("holdings") },
+    templates: profiles.some((p) => p.payload.templates) ? templates : defaults.templates,
+    settings: { ...settings, liabilityLinks: Object.assign({}, ...ledgers.map((l) => l.links).reverse()) },
+    rules: [],
+    history: undefined
+  };
+}
+
+// Backup of every profile: { version, profiles: [{ name, data, templates, settings, rules, history }] }
+export function profilesBackup(profiles) {
+  return {
+    version: SCHEMA_VERSION,
+    profiles: profiles.map((p) => ({ name: p.name, ...Object.fromEntries(PARTS.map((part) => [part, p.payload[part]])) }))
+  };
+}
+
+export function isProfilesBackup(json) {
+  return !!json && typeof json === "object" && Array.isArray(json.profiles);
+}
+
+// Each profile of an all-profiles backup upgraded and validated: [{ name, payload, errors }]
+export function readProfilesBackup(json) {
+  return json.profiles.map((p, i) => {
+    const name = typeof p?.name === "string" && p.name.trim() ? p.name.trim() : `Profile ${i + 1}`;
+    try {
+      const { payload } = migratePayload({ ...p, version: json.version });
+      return { name, payload, errors: validatePayload(payload) };
+    } catch (e) {
+      return { name, payload: null, errors: [{ part: "file", path: name, message: e.message }] };
+    }
+  });
+}
@@ -0,0 +1,37 @@
+// Service worker registration (production builds only; the worker is built from src/sw.js).
+// A new deployment installs in the background and is reported through onUpdate(worker);
+// applyUpdate(worker) lets it take over and reloads the page once it has.
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("/sw.js").then((reg) => {
+    // the very first install has nothing to replace, so there is nothing to announce
+    const report = () => reg.waiting && navigator.serviceWorker.controller && onUpdate(reg.waiting);
+    report();
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => worker.state === "installed" && report());
+    });
+    setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+  }).catch(() => {});
+}
+
+export function applyUpdate(worker) {
+  navigator.serviceWorker.addEventListener("controllerchange", () => location.reload(), { once: true });
+  worker.postMessage({ type: "SKIP_WAITING" });
+}
+
+// The quick-add request a home-screen shortcut (?add=expense) or a share (?title=…&text=…)
+// opened the app with: { bucket, note, amount } or null. The query is removed afterwards.
+export function takeQuickAdd(buckets) {
+  const params = new URLSearchParams(location.search);
+  const shared = ["title", "text", "url"].map((k) => params.get(k)).filter(Boolean);
+  const bucket = params.get("add") || (shared.length ? "expense" : null);
+  if (!bucket) return null;
+  history.replaceState(null, "", location.pathname);
+  if (!buckets.includes(bucket)) return null;
+  const text = shared.join(" ").trim();
+  const amount = text.match(/\d+(?:[.,]\d{1,2})?/)?.[0]?.replace(",", ".") || "";
+  return { bucket, note: text.slice(0, 120), amount };
+}
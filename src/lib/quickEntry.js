@@ -0,0 +1,83 @@
+// Parsing for the command bar's quick entry: "42.50 takeaway", "salary 3200 2026-09",
+// "+150 bitcoin", "12 usd lunch with Sam yesterday". The first number is the amount, read in
+// the locale ("1.234,50" in de-DE); a
+// YYYY-MM-DD date, a YYYY-MM month, "today" or "yesterday" sets the date; a currency code sets
+// the currency; the words that best match a category name (over every bucket) pick the bucket
+// and category, and whatever is left becomes the note.
+import { BUCKETS, defaultDateFor, todayISO } from "./ledger.js";
+import { parseLocaleAmount } from "./locale.js";
+
+const MIN_SCORE = 0.5;
+const MAX_WINDOW = 3; // words a category name may span
+
+// 0..1: how well `query` names `name` (exact, prefix, substring, then letters in order)
+export function fuzzyScore(query, name) {
+  const a = query.toLowerCase().trim();
+  const b = name.toLowerCase();
+  if (!a) return 0;
+  if (a === b) return 1;
+  if (b.startsWith(a)) return 0.9;
+  if (b.split(/[\s/-]+/).some((w) => w.startsWith(a))) return 0.85;
+  if (b.includes(a)) return 0.8;
+  if (a.includes(b)) return 0.75;
+  let i = 0;
+  for (const ch of b) if (ch === a[i]) i++;
+  return i === a.length ? 0.4 + 0.3 * (a.length / b.length) : 0;
+}
+
+function shiftDate(iso, days) {
+  const d = new Date(`${iso}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// templates: { bucket: [names] } of active categories. Returns
+// { amount, date, currency, bucket, category, note, candidates: [{ bucket, category, score }] }
+// with bucket/category null when nothing matched well enough.
+export function parseQuickEntry(text, templates, { selectedMonth, currencies = [], locale = "" } = {}) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  let amount = null;
+  let date = null;
+  let currency = null;
+  const rest = [];
+  for (const w of words) {
+    const lower = w.toLowerCase();
+    if (amount == null && /^[+-]?\d[\d.,]*$/.test(w) && Number.isFinite(parseLocaleAmount(w, locale))) amount = parseLocaleAmount(w, locale);
+    else if (!date && /^\d{4}-\d{2}-\d{2}$/.test(w)) date = w;
+    else if (!date && /^\d{4}-\d{2}$/.test(w)) date = defaultDateFor(w);
+    else if (!date && lower === "today") date = todayISO();
+    else if (!date && lower === "yesterday") date = shiftDate(todayISO(), -1);
+    else if (!currency && currencies.includes(w.toUpperCase()) && w.length === 3) currency = w.toUpperCase();
+    else rest.push(w);
+  }
+
+  // best window of words per category
+  const candidates = [];
+  for (const bucket of BUCKETS) {
+    for (const category of templates[bucket] || []) {
+      let best = { score: 0 };
+      for (let len = Math.min(MAX_WINDOW, rest.length); len >= 1; len--) {
+        for (let i = 0; i + len <= rest.length; i++) {
+          const score = fuzzyScore(rest.slice(i, i + len).join(" "), category);
+          if (score > best.score) best = { score, from: i, len };
+        }
+      }
+      if (best.score >= MIN_SCORE) candidates.push({ bucket, category, ...best });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score || BUCKETS.indexOf(a.bucket) - BUCKETS.indexOf(b.bucket));
+  const top = candidates[0];
+  const note = top ? [...rest.slice(0, top.from), ...rest.slice(top.from + top.len)].join(" ") : rest.join(" ");
+
+  return {
+    amount,
+    date: date || (selectedMonth ? defaultDateFor(selectedMonth) : todayISO()),
+    currency,
+    bucket: top?.bucket || null,
+    category: top?.category || null,
+    note,
+    candidates: candidates.slice(0, 5).map(({ bucket, category, score, from, len }) => ({
+      bucket, category, score, note: [...rest.slice(0, from), ...rest.slice(from + len)].join(" ")
+    }))
+  };
+}
@@ -0,0 +1,102 @@
+// Recurring rules (data.recurring) that auto-post entries when a new month is opened.
+// A rule: { id, bucket, category, amount, note, frequency, interval, start, end, day,
+//           change: { from, amount } | null, exceptions: { [YYYY-MM]: { skip } | { amount } } }
+import { makeEntry, addMonths, monthsBetween, lastDayOfMonth, openMonth, withLiabilityPayments } from "./ledger.js";
+
+export const FREQUENCIES = [
+  { k: "monthly", label: "Monthly" },
+  { k: "quarterly", label: "Quarterly" },
+  { k: "annually", label: "Annually" },
+  { k: "every", label: "Every N months" }
+];
+
+function stepOf(rule) {
+  if (rule.frequency === "quarterly") return 3;
+  if (rule.frequency === "annually") return 12;
+  if (rule.frequency === "every") return Math.max(1, Number(rule.interval) || 1);
+  return 1;
+}
+
+export function isDue(rule, key) {
+  if (!rule.start || key < rule.start) return false;
+  if (rule.end && key > rule.end) return false;
+  return monthsBetween(rule.start, key) % stepOf(rule) === 0;
+}
+
+// Amount for one occurrence: a single-month override, else the scheduled change, else the base amount
+export function amountFor(rule, key) {
+  const ex = rule.exceptions?.[key];
+  if (ex && ex.amount != null) return Number(ex.amount);
+  if (rule.change && rule.change.from && key >= rule.change.from) return Number(rule.change.amount);
+  return Number(rule.amount);
+}
+
+export function isSkipped(rule, key) {
+  return !!rule.exceptions?.[key]?.skip;
+}
+
+function dateIn(rule, key) {
+  const last = lastDayOfMonth(key);
+  const day = String(Math.min(Number(rule.day) || 1, Number(last.slice(8)))).padStart(2, "0");
+  return `${key}-${day}`;
+}
+
+export function occurrenceEntry(rule, key) {
+  return makeEntry({
+    date: dateIn(rule, key),
+    bucket: rule.bucket,
+    category: rule.category,
+    amount: amountFor(rule, key),
+    note: rule.note || "Recurring",
+    source: "recurring",
+    ruleId: rule.id,
+    ...(rule.currency ? { currency: rule.currency } : {})
+  });
+}
+
+// Entries to auto-post into a newly opened month
+export function recurringEntriesFor(rules, key) {
+  return (rules || []).filter((r) => isDue(r, key) && !isSkipped(r, key)).map((r) => occurrenceEntry(r, key));
+}
+
+// Next `count` due months from `fromKey` (inclusive)
+export function upcoming(rule, fromKey, count) {
+  const out = [];
+  let key = rule.start && rule.start > fromKey ? rule.start : fromKey;
+  for (let i = 0; out.length < count && i < 240; i++, key = addMonths(key, 1)) {
+    if (rule.end && key > rule.end) break;
+    if (isDue(rule, key)) out.push(key);
+  }
+  return out;
+}
+
+export function withException(rule, key, exception) {
+  const exceptions = { ...(rule.exceptions || {}) };
+  if (exception) exceptions[key] = exception;
+  else delete exceptions[key];
+  return { ...rule, exceptions };
+}
+
+// Every month opened for entries comes through here: balances carried in (openMonth) and the
+// rules due that month, with their liability payments, to be posted into it
+export function openMonthWithRecurring(months, key, rules, links = {}) {
+  return { month: openMonth(months, key), posted: withLiabilityPayments(recurringEntriesFor(rules, key), links) };
+}
+
+// The month opener for withEntries when an entry or import opens a month: it starts with the
+// rules due in it already posted; links are settings.liabilityLinks
+export function monthOpener(rules, links = {}) {
+  return (months, key) => {
+    const { month, posted } = openMonthWithRecurring(months, key, rules, links);
+    return { ...month, entries: [...month.entries, ...posted] };
+  };
+}
+
+const fill = (key, vars) => key.replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? String(vars[k]) : m));
+
+// t translates (see lib/i18n.js) and month formats a YYYY-MM key; both default to plain English
+export function describeRule(rule, t = fill, month = (k) => k) {
+  const frequency = rule.frequency === "every" ? t("every {count} months", { count: stepOf(rule) }) : t(rule.frequency);
+  const vars = { frequency, start: month(rule.start), end: rule.end && month(rule.end) };
+  return rule.end ? t("{frequency} from {start} to {end}", vars) : t("{frequency} from {start}", vars);
+}
@@ -0,0 +1,64 @@
+// Report model for the printable / PDF report: per-bucket tables with shares and deltas
+// against the comparison period, headline figures and the biggest movers. Shared by the
+// print view and the PDF writer so both show the same numbers.
+
+export const REPORT_SECTIONS = [
+  { key: "income", title: "Income", buckets: ["income"] },
+  { key: "expense", title: "Expenses / Costs", buckets: ["expense"] },
+  { key: "saving-invest", title: "Saving / Investments", buckets: ["saving", "investment"] },
+  { key: "liability", title: "Liabilities", buckets: ["liability"] }
+];
+
+const MOVERS = 8;
+
+function sum(obj) {
+  return Object.values(obj || {}).reduce((a, b) => a + Number(b), 0);
+}
+
+function merged(totals, buckets) {
+  const out = {};
+  for (const b of buckets) for (const [cat, v] of Object.entries(totals[b] || {})) out[cat] = (out[cat] || 0) + Number(v);
+  return out;
+}
+
+export function pctChange(value, before) {
+  return before ? ((value - before) / Math.abs(before)) * 100 : null;
+}
+
+// totals / compared: { bucket: { category: amount } } for the period and its comparison
+export function buildReport(totals, compared) {
+  const sections = REPORT_SECTIONS.map(({ key, title, buckets }) => {
+    const now = merged(totals, buckets);
+    const before = merged(compared, buckets);
+    const total = sum(now);
+    const rows = Array.from(new Set([...Object.keys(now), ...Object.keys(before)]))
+      .map((name) => {
+        const value = now[name] || 0;
+        const prev = before[name] || 0;
+        return { name, value, share: total ? (value / total) * 100 : 0, before: prev, delta: value - prev, pct: pctChange(value, prev) };
+      })
+      .filter((r) => r.value || r.before)
+      .sort((a, b) => b.value - a.value);
+    return { key, title, total, before: sum(before), rows };
+  });
+
+  const figure = (t) => {
+    const assets = sum(t.saving) + sum(t.investment);
+    const liabilities = sum(t.liability);
+    return { income: sum(t.income), expense: sum(t.expense), cashFlow: sum(t.income) - sum(t.expense), assets, liabilities, netWorth: assets - liabilities };
+  };
+  const now = figure(totals);
+  const before = figure(compared);
+  const headline = [
+    ["Income", "income"], ["Expenses", "expense"], ["Cash flow", "cashFlow"],
+    ["Assets", "assets"], ["Liabilities", "liabilities"], ["Net worth", "netWorth"]
+  ].map(([label, k]) => ({ label, value: now[k], before: before[k], delta: now[k] - before[k], pct: pctChange(now[k], before[k]) }));
+
+  const movers = sections
+    .flatMap((s) => s.rows.map((r) => ({ ...r, section: s.title })))
+    .filter((r) => r.delta)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, MOVERS);
+
+  return { sections, headline, movers };
+}
@@ -0,0 +1,133 @@
+// PDF version of the report, drawn with jsPDF entirely in the browser (A4, mm units). The pies
+// arrive as PNGs rasterised from the print view's SVG charts.
+
+const PAGE_W = 210;
+const PAGE_H = 297;
+const MARGIN = 14;
+const ROW_H = 5;
+
+// The built-in PDF fonts only cover Latin-1: swap the narrow/no-break spaces and minus sign
+// that Intl puts into formatted amounts
+function clean(s) {
+  return String(s ?? "").replace(/[\u00a0\u202f]/g, " ").replace(/\u2212/g, "-");
+}
+
+// Recharts draws pies as SVG; rasterise one for the PDF
+export function svgToPng(svg, scale = 2) {
+  const { width, height } = svg.getBoundingClientRect();
+  const copy = svg.cloneNode(true);
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  copy.setAttribute("style", "font-family: Helvetica, Arial, sans-serif");
+  const src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(new XMLSerializer().serializeToString(copy));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve({ data: canvas.toDataURL("image/png"), width, height });
+    };
+    img.onerror = () => reject(new Error("A chart could not be rendered"));
+    img.src = src;
+  });
+}
+
+// report: see buildReport; charts: [{ title, data, width, height }]; fmt formats an amount and
+// t translates the report's labels and built-in category names (see lib/i18n.js)
+export async function reportPdf({ title, subtitle, report, charts, fmt, t }) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  let y = MARGIN;
+  const ensure = (h) => {
+    if (y + h > PAGE_H - MARGIN) { doc.addPage(); y = MARGIN; }
+  };
+  const money = (v) => clean(fmt(v));
+  const signed = (v) => `${v >= 0 ? "+" : "-"}${clean(fmt(Math.abs(v)))}`;
+  const pct = (p) => (p == null ? "" : `${p >= 0 ? "+" : ""}${p.toFixed(1)}%`);
+
+  doc.setFontSize(16);
+  doc.setFont(undefined, "bold");
+  doc.text(clean(title), MARGIN, y + 5);
+  y += 10;
+  doc.setFontSize(10);
+  doc.setFont(undefined, "normal");
+  doc.setTextColor(100);
+  doc.text(clean(subtitle), MARGIN, y);
+  doc.setTextColor(0);
+  y += 6;
+
+  // pies, two per row
+  const chartW = (PAGE_W - 2 * MARGIN - 6) / 2;
+  charts.forEach((c, i) => {
+    const h = (chartW * c.height) / c.width;
+    if (i % 2 === 0) ensure(h + 6);
+    const x = MARGIN + (i % 2) * (chartW + 6);
+    doc.setFontSize(10);
+    doc.setFont(undefined, "bold");
+    doc.text(clean(c.title), x + chartW / 2, y + 3, { align: "center" });
+    doc.addImage(c.data, "PNG", x, y + 5, chartW, h);
+    if (i % 2 === 1 || i === charts.length - 1) y += h + 8;
+  });
+
+  // columns: [{ label, width, right }]; rows: [{ cells, bold }]
+  function table(heading, columns, rows) {
+    ensure(ROW_H * 3 + 7);
+    doc.setFontSize(12);
+    doc.setFont(undefined, "bold");
+    doc.text(clean(heading), MARGIN, y + 4);
+    y += 7;
+    const line = (cells, bold) => {
+      doc.setFontSize(8);
+      doc.setFont(undefined, bold ? "bold" : "normal");
+      let x = MARGIN;
+      columns.forEach((c, i) => {
+        const text = doc.splitTextToSize(clean(cells[i]), c.width - 2)[0] || "";
+        if (c.right) doc.text(text, x + c.width - 1, y + 3.5, { align: "right" });
+        else doc.text(text, x + 1, y + 3.5);
+        x += c.width;
+      });
+      y += ROW_H;
+    };
+    const header = () => {
+      doc.setTextColor(100);
+      line(columns.map((c) => c.label), true);
+      doc.setTextColor(0);
+      doc.setDrawColor(200);
+      doc.line(MARGIN, y, PAGE_W - MARGIN, y);
+    };
+    header();
+    rows.forEach((r) => {
+      if (y + ROW_H > PAGE_H - MARGIN) { doc.addPage(); y = MARGIN; header(); }
+      line(r.cells, r.bold);
+    });
+    y += 5;
+  }
+
+  table(t("Summary"), [
+    { label: "", width: 52 }, { label: t("Amount"), width: 34, right: true }, { label: t("Compared with"), width: 34, right: true },
+    { label: t("Change"), width: 40, right: true }, { label: "%", width: 22, right: true }
+  ], report.headline.map((h) => ({ cells: [t(h.label), money(h.value), money(h.before), signed(h.delta), pct(h.pct)], bold: h.label === "Net worth" || h.label === "Cash flow" })));
+
+  for (const s of report.sections) {
+    table(t(s.title), [
+      { label: t("Category"), width: 56 }, { label: t("Amount"), width: 30, right: true }, { label: t("Share"), width: 16, right: true },
+      { label: t("Compared with"), width: 30, right: true }, { label: t("Change"), width: 32, right: true }, { label: "%", width: 18, right: true }
+    ], [
+      ...s.rows.map((r) => ({ cells: [t.category(r.name), money(r.value), `${r.share.toFixed(1)}%`, money(r.before), signed(r.delta), pct(r.pct)] })),
+      { cells: [t("Total"), money(s.total), "", money(s.before), signed(s.total - s.before), ""], bold: true }
+    ]);
+  }
+
+  if (report.movers.length) {
+    table(t("Top movers"), [
+      { label: t("Category"), width: 50 }, { label: t("Bucket"), width: 38 }, { label: t("Amount"), width: 30, right: true },
+      { label: t("Compared with"), width: 30, right: true }, { label: t("Change"), width: 34, right: true }
+    ], report.movers.map((r) => ({ cells: [t.category(r.name), t(r.section), money(r.value), money(r.before), signed(r.delta)] })));
+  }
+
+  return doc;
+}
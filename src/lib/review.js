@@ -0,0 +1,73 @@
+// Month-close review: every income and expense category of a month is compared with its own
+// history, the up to HISTORY_MONTHS earlier months that have any income or expense. Findings:
+//   { id, bucket, category, kind, value, mean, deviation }
+// kind "high"/"low": more than DEVIATIONS standard deviations and more than MIN_CHANGE of the
+// rolling mean away from it; "missing": nothing this month although the category had a value in
+// at least REGULAR_SHARE of those months (mean is then its usual amount when it is there).
+// Acknowledged findings are kept in data.reviews[month] as { [id]: kind }, so a finding comes
+// back if it changes kind; categories in settings.reviewMuted[bucket] are never flagged.
+
+export const REVIEW_BUCKETS = ["income", "expense"];
+export const HISTORY_MONTHS = 12;
+const MIN_HISTORY = 3;
+const DEVIATIONS = 2;
+const MIN_CHANGE = 0.25;
+const REGULAR_SHARE = 0.75;
+
+const nonZero = (v) => Math.abs(Number(v) || 0) > 0.005;
+const hasFlows = (totals) => REVIEW_BUCKETS.some((b) => Object.values(totals?.[b] || {}).some(nonZero));
+
+// totalsByMonth: per-category totals per month in the reporting currency
+export function monthFindings(totalsByMonth, key, muted = {}) {
+  const current = totalsByMonth[key];
+  // a month with nothing entered yet is not reviewed
+  if (!hasFlows(current)) return [];
+  const history = Object.keys(totalsByMonth).filter((k) => k < key && hasFlows(totalsByMonth[k])).sort().slice(-HISTORY_MONTHS);
+  if (history.length < MIN_HISTORY) return [];
+
+  const findings = [];
+  for (const bucket of REVIEW_BUCKETS) {
+    const skip = new Set(muted[bucket] || []);
+    const names = new Set([...Object.keys(current[bucket] || {}), ...history.flatMap((k) => Object.keys(totalsByMonth[k][bucket] || {}))]);
+    for (const category of names) {
+      if (skip.has(category)) continue;
+      const past = history.map((k) => Number(totalsByMonth[k][bucket]?.[category]) || 0);
+      const seen = past.filter(nonZero);
+      // nothing to compare a new category with
+      if (!seen.length) continue;
+      const value = Number(current[bucket]?.[category]) || 0;
+      const mean = past.reduce((a, v) => a + v, 0) / past.length;
+      const deviation = Math.sqrt(past.reduce((a, v) => a + (v - mean) ** 2, 0) / past.length);
+      const id = `${bucket}:${category}`;
+      if (!nonZero(value)) {
+        if (seen.length >= REGULAR_SHARE * past.length) {
+          findings.push({ id, bucket, category, kind: "missing", value, mean: seen.reduce((a, v) => a + v, 0) / seen.length, deviation });
+        }
+      } else if (Math.abs(value - mean) > DEVIATIONS * deviation && Math.abs(value - mean) > MIN_CHANGE * Math.abs(mean)) {
+        findings.push({ id, bucket, category, kind: value > mean ? "high" : "low", value, mean, deviation });
+      }
+    }
+  }
+  // biggest surprises first
+  const gap = (f) => Math.abs(f.value - f.mean);
+  return findings.sort((a, b) => gap(b) - gap(a));
+}
+
+// Findings not yet acknowledged for the month
+export function openFindings(findings, reviews, key) {
+  const done = reviews?.[key] || {};
+  return findings.filter((f) => done[f.id] !== f.kind);
+}
+
+export function withAcknowledged(reviews, key, finding) {
+  return { ...(reviews || {}), [key]: { ...(reviews?.[key] || {}), [finding.id]: finding.kind } };
+}
+
+// Mute (or with on = false unmute) a category in the review
+export function withMuted(muted, bucket, category, on = true) {
+  const list = (muted?.[bucket] || []).filter((c) => c !== category);
+  if (on) list.push(category);
+  const next = { ...(muted || {}), [bucket]: list };
+  if (!list.length) delete next[bucket];
+  return next;
+}
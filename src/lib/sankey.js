@@ -0,0 +1,37 @@
+// Cash-flow graph for the Sankey chart: income categories flow into a total-income node, which
+// flows out to expense categories, to saving/investment contributions and to the cash flow left
+// over. Money taken out of savings or investments flows in next to income, and a gap that
+// nothing covers shows as a "Shortfall" inflow. Nodes: { name, bucket, category }; links use
+// node indexes as recharts' Sankey expects.
+
+export const HUB = "Total income";
+
+// totals: the period's income/expense totals; contributions: { saving: {cat: amount}, investment: {...} }
+// (negative amounts are withdrawals)
+export function cashFlowGraph(totals, contributions) {
+  const nodes = [];
+  const links = [];
+  const node = (name, bucket, category) => nodes.push({ name, bucket, category }) - 1;
+  const positive = (obj) => Object.entries(obj || {}).map(([cat, v]) => [cat, Number(v)]).filter(([, v]) => v > 0.005);
+
+  const inflows = [
+    ...positive(totals.income).map(([cat, v]) => ({ name: cat, bucket: "income", category: cat, value: v })),
+    ...["saving", "investment"].flatMap((b) => Object.entries(contributions[b] || {})
+      .filter(([, v]) => v < -0.005)
+      .map(([cat, v]) => ({ name: `From ${cat}`, bucket: b, category: cat, value: -v })))
+  ];
+  const outflows = [
+    ...positive(totals.expense).map(([cat, v]) => ({ name: cat, bucket: "expense", category: cat, value: v })),
+    ...["saving", "investment"].flatMap((b) => positive(contributions[b]).map(([cat, v]) => ({ name: `To ${cat}`, bucket: b, category: cat, value: v })))
+  ];
+  const total = (list) => list.reduce((a, f) => a + f.value, 0);
+  const left = total(inflows) - total(outflows);
+  if (left > 0.005) outflows.push({ name: "Cash flow left", bucket: null, category: null, value: left });
+  else if (left < -0.005) inflows.push({ name: "Shortfall", bucket: null, category: null, value: -left });
+  if (!inflows.length) return { nodes, links };
+
+  const hub = node(HUB, "income", null);
+  for (const f of inflows) links.push({ source: node(f.name, f.bucket, f.category), target: hub, value: f.value });
+  for (const f of outflows) links.push({ source: hub, target: node(f.name, f.bucket, f.category), value: f.value });
+  return { nodes, links };
+}
@@ -0,0 +1,321 @@
+// Versioned storage/backup schema. A payload is { version, data, templates, settings, rules, history };
+// localStorage keeps each part under its own key plus "pl-version". Older payloads are upgraded
+// one step at a time through MIGRATIONS, then checked with validatePayload.
+import { BUCKETS, migrateData, duplicateKey } from "./ledger.js";
+import { seedTemplates } from "./categories.js";
+
+export const SCHEMA_VERSION = 5;
+
+export const STORAGE_KEYS = { data: "pl-dashboard", templates: "pl-templates", settings: "pl-settings", rules: "pl-rules", history: "pl-history" };
+export const PARTS = Object.keys(STORAGE_KEYS);
+
+// MIGRATIONS[n] upgrades a version-n payload to n + 1. Any part may be missing (older backups
+// have no rules), so every step leaves absent parts alone.
+const MIGRATIONS = {
+  // 0 -> 1: months stored one number per category become entry ledgers
+  0: (p) => ({ ...p, data: p.data && migrateData(p.data) }),
+  // 1 -> 2: liability bucket; give it a template slot and an empty expense -> liability link map
+  1: (p) => ({
+    ...p,
+    templates: p.templates && { ...p.templates, liability: p.templates.liability || [] },
+    settings: p.settings && { ...p.settings, liabilityLinks: p.settings.liabilityLinks || {} }
+  }),
+  // 2 -> 3: per-entry currencies; existing amounts were entered in the then display currency
+  2: (p) => ({ ...p, settings: p.settings && { ...p.settings, homeCurrency: p.settings.homeCurrency || p.settings.currency || "EUR" } }),
+  // 3 -> 4: undo history and change log added as their own part; older payloads simply have none
+  3: (p) => p,
+  // 4 -> 5: templates held only custom names appended to hard-coded base lists; they become the
+  // full ordered list of { name, archived?, color? } per bucket
+  4: (p) => ({ ...p, templates: p.templates && seedTemplates(p.templates) })
+};
+
+// Returns { payload, from }; unversioned payloads are treated as version 0 (every step is
+// safe to re-run on data that already has the newer shape)
+export function migratePayload(input) {
+  const from = Number.isInteger(input?.version) ? input.version : 0;
+  if (from > SCHEMA_VERSION) throw new Error(`This file was written by a newer version of the app (schema ${from}, this app reads up to ${SCHEMA_VERSION}).`);
+  let payload = input;
+  for (let v = from; v < SCHEMA_VERSION; v++) payload = MIGRATIONS[v](payload);
+  return { payload: { ...payload, version: SCHEMA_VERSION }, from };
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isMonthKey = (k) => /^\d{4}-(0[1-9]|1[0-2])$/.test(k);
+const isCurrency = (c) => typeof c === "string" && /^[A-Z]{3}$/.test(c);
+
+function validLocale(tag) {
+  try {
+    return typeof tag === "string" && Intl.getCanonicalLocales(tag).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+const show = (v) => (typeof v === "string" ? `"${v}"` : JSON.stringify(v) ?? String(v));
+
+// Every problem in a current-version payload as { part, path, message }, e.g.
+// { part: "data", path: "2024-03 › expense › Food Shop (entry 4)", message: "amount must be a number, got \"12,50\"" }
+export function validatePayload(payload) {
+  const errors = [];
+  const bad = (part, path, message) => errors.push({ part, path, message });
+  const { data, templates, settings, rules, history } = payload || {};
+
+  if (data !== undefined) {
+    if (!isObject(data) || !isObject(data.months)) bad("data", "data", "must be an object with a months map");
+    else {
+      const ids = new Set();
+      for (const [key, month] of Object.entries(data.months)) {
+        if (!isMonthKey(key)) bad("data", key, "is not a YYYY-MM month");
+        if (!isObject(month) || !Array.isArray(month.entries)) { bad("data", key, "must have an entries list"); continue; }
+        month.entries.forEach((e, i) => {
+          const where = `${key} › ${e?.bucket ?? "?"} › ${e?.category ?? "?"} (entry ${i + 1})`;
+          if (!isObject(e)) { bad("data", `${key} (entry ${i + 1})`, "is not an object"); return; }
+          if (typeof e.id !== "string" || !e.id) bad("data", where, "id is missing");
+          else if (ids.has(e.id)) bad("data", where, `id ${show(e.id)} is used twice`);
+          else ids.add(e.id);
+          if (!BUCKETS.includes(e.bucket)) bad("data", where, `bucket must be one of ${BUCKETS.join(", ")}, got ${show(e.bucket)}`);
+          if (typeof e.category !== "string" || !e.category.trim()) bad("data", where, "category is missing");
+          if (typeof e.amount !== "number" || !Number.isFinite(e.amount)) bad("data", where, `amount must be a number, got ${show(e.amount)}`);
+          if (typeof e.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(e.date)) bad("data", where, `date must be YYYY-MM-DD, got ${show(e.date)}`);
+          else if (e.date.slice(0, 7) !== key) bad("data", where, `date ${e.date} is outside ${key}`);
+          if (e.currency !== undefined && (typeof e.currency !== "string" || !e.currency)) bad("data", where, `currency must be a currency code, got ${show(e.currency)}`);
+        });
+      }
+      if (data.budgets !== undefined) {
+        if (!isObject(data.budgets)) bad("data", "budgets", "must be an object");
+        else for (const [bucket, byCat] of Object.entries(data.budgets)) {
+          if (!isObject(byCat)) { bad("data", `budgets › ${bucket}`, "must be an object"); continue; }
+          for (const [category, list] of Object.entries(byCat)) {
+            if (!Array.isArray(list)) { bad("data", `budgets › ${bucket} › ${category}`, "must be a list"); continue; }
+            list.forEach((b, i) => {
+              if (!isMonthKey(b?.month) || !Number.isFinite(b?.amount)) bad("data", `budgets › ${bucket} › ${category} (target ${i + 1})`, "needs a YYYY-MM month and a numeric amount");
+            });
+          }
+        }
+      }
+      if (data.recurring !== undefined) {
+        if (!Array.isArray(data.recurring)) bad("data", "recurring", "must be a list");
+        else data.recurring.forEach((r, i) => {
+          const where = `recurring › ${r?.category ?? "?"} (rule ${i + 1})`;
+          if (!BUCKETS.includes(r?.bucket)) bad("data", where, `bucket must be one of ${BUCKETS.join(", ")}, got ${show(r?.bucket)}`);
+          if (!Number.isFinite(r?.amount)) bad("data", where, `amount must be a number, got ${show(r?.amount)}`);
+          if (!isMonthKey(r?.start)) bad("data", where, `start must be YYYY-MM, got ${show(r?.start)}`);
+        });
+      }
+      if (data.oneOffs !== undefined) {
+        if (!Array.isArray(data.oneOffs)) bad("data", "oneOffs", "must be a list");
+        else data.oneOffs.forEach((o, i) => {
+          const where = `oneOffs › ${o?.category ?? "?"} (item ${i + 1})`;
+          if (!BUCKETS.includes(o?.bucket)) bad("data", where, `bucket must be one of ${BUCKETS.join(", ")}, got ${show(o?.bucket)}`);
+          if (!Number.isFinite(o?.amount)) bad("data", where, `amount must be a number, got ${show(o?.amount)}`);
+          if (!isMonthKey(o?.month)) bad("data", where, `month must be YYYY-MM, got ${show(o?.month)}`);
+        });
+      }
+      if (data.goals !== undefined) {
+        if (!Array.isArray(data.goals)) bad("data", "goals", "must be a list");
+        else data.goals.forEach((g, i) => {
+          const where = `goals › ${g?.name ?? "?"} (goal ${i + 1})`;
+          if (typeof g?.name !== "string" || !g.name.trim()) bad("data", where, "name is missing");
+          if (!(Number.isFinite(g?.target) && g.target > 0)) bad("data", where, `target must be a positive number, got ${show(g?.target)}`);
+          if (!isMonthKey(g?.targetDate)) bad("data", where, `target date must be YYYY-MM, got ${show(g?.targetDate)}`);
+          if (!Array.isArray(g?.funding) || g.funding.some((f) => !BUCKETS.includes(f?.bucket) || typeof f?.category !== "string")) bad("data", where, "funding must list { bucket, category } pairs");
+        });
+      }
+      if (data.holdings !== undefined) {
+        if (!Array.isArray(data.holdings)) bad("data", "holdings", "must be a list");
+        else data.holdings.forEach((h, i) => {
+          const where = `holdings › ${h?.category ?? "?"} (holding ${i + 1})`;
+          if (typeof h?.category !== "string" || !h.category.trim()) bad("data", where, "category is missing");
+          if (!Array.isArray(h?.transactions)) { bad("data", where, "transactions must be a list"); return; }
+          h.transactions.forEach((t, j) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(t?.date) || !["buy", "sell"].includes(t?.kind) || !Number.isFinite(t?.units) || !Number.isFinite(t?.price)) {
+              bad("data", `${where} › transaction ${j + 1}`, "needs a YYYY-MM-DD date, buy or sell, and numeric units and price");
+            }
+          });
+          for (const [key, price] of Object.entries(h.prices || {})) {
+            if (!isMonthKey(key) || !(Number(price) > 0)) bad("data", `${where} › price ${key}`, `must be a positive price for a YYYY-MM month, got ${show(price)}`);
+          }
+        });
+      }
+      if (data.reviews !== undefined) {
+        if (!isObject(data.reviews)) bad("data", "reviews", "must be an object");
+        else for (const [key, done] of Object.entries(data.reviews)) {
+          if (!isMonthKey(key) || !isObject(done)) bad("data", `reviews › ${key}`, "must be a YYYY-MM month of acknowledged findings");
+        }
+      }
+      if (data.rates !== undefined) {
+        if (!isObject(data.rates)) bad("data", "rates", "must be an object");
+        else for (const [key, byCur] of Object.entries(data.rates)) {
+          if (!isMonthKey(key) || !isObject(byCur)) { bad("data", `rates › ${key}`, "must be a YYYY-MM month of currency rates"); continue; }
+          for (const [cur, rate] of Object.entries(byCur)) {
+            if (!isCurrency(cur) || !(Number(rate) > 0)) bad("data", `rates › ${key} › ${cur}`, `must be a positive rate for a 3-letter code, got ${show(rate)}`);
+          }
+        }
+      }
+    }
+  }
+
+  if (templates !== undefined) {
+    if (!isObject(templates)) bad("templates", "templates", "must be an object");
+    else for (const [bucket, list] of Object.entries(templates)) {
+      if (!BUCKETS.includes(bucket)) bad("templates", `templates › ${bucket}`, "is not a known bucket");
+      else if (!Array.isArray(list)) bad("templates", `templates › ${bucket}`, "must be a list of categories");
+      else list.forEach((c, i) => {
+        if (!isObject(c) || typeof c.name !== "string" || !c.name.trim()) bad("templates", `templates › ${bucket} (category ${i + 1})`, "needs a name");
+        else if (c.color !== undefined && !/^#[0-9a-f]{6}$/i.test(c.color)) bad("templates", `templates › ${bucket} › ${c.name}`, `colour must be #rrggbb, got ${show(c.color)}`);
+      });
+    }
+  }
+
+  if (settings !== undefined) {
+    if (!isObject(settings)) bad("settings", "settings", "must be an object");
+    else {
+      if (typeof settings.currency !== "string" || !settings.currency) bad("settings", "settings › currency", `must be a currency code, got ${show(settings.currency)}`);
+      if (!Number.isInteger(Number(settings.fyStartMonth)) || settings.fyStartMonth < 1 || settings.fyStartMonth > 12) bad("settings", "settings › fyStartMonth", `must be 1–12, got ${show(settings.fyStartMonth)}`);
+      if (settings.liabilityLinks !== undefined && !isObject(settings.liabilityLinks)) bad("settings", "settings › liabilityLinks", "must be an object");
+      if (settings.kpiThresholds !== undefined && !isObject(settings.kpiThresholds)) bad("settings", "settings › kpiThresholds", "must be an object");
+      if (settings.reviewMuted !== undefined && !isObject(settings.reviewMuted)) bad("settings", "settings › reviewMuted", "must be an object");
+      if (settings.locale !== undefined && settings.locale !== "" && !validLocale(settings.locale)) bad("settings", "settings › locale", `must be a locale such as "de-DE", got ${show(settings.locale)}`);
+    }
+  }
+
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) bad("rules", "rules", "must be a list");
+    else rules.forEach((r, i) => {
+      if (typeof r?.pattern !== "string" || !r.pattern || !BUCKETS.includes(r?.bucket) || typeof r?.category !== "string") {
+        bad("rules", `rules › ${r?.pattern ?? "?"} (rule ${i + 1})`, "needs a pattern, bucket and category");
+      }
+    });
+  }
+
+  if (history !== undefined) {
+    if (!isObject(history) || !["undo", "redo", "log"].every((k) => Array.isArray(history[k]))) bad("history", "history", "must have undo, redo and log lists");
+    else history.log.forEach((l, i) => {
+      if (typeof l?.at !== "string" || typeof l?.label !== "string") bad("history", `history › log (line ${i + 1})`, "needs a time and a label");
+    });
+  }
+
+  return errors;
+}
+
+export function formatError(e) {
+  return `${e.path}: ${e.message}`;
+}
+
+// Read, upgrade and validate what is in localStorage. Parts that cannot be read or fail
+// validation come back undefined (so the caller uses its defaults) and their raw text is
+// kept under "<key>-invalid" so nothing is silently thrown away.
+export function readStorage(storage) {
+  const errors = [];
+  const input = { version: Number(storage.getItem("pl-version")) || 0 };
+  const raw = {};
+  for (const part of PARTS) {
+    raw[part] = storage.getItem(STORAGE_KEYS[part]);
+    if (raw[part] == null) continue;
+    try { input[part] = JSON.parse(raw[part]); } catch { errors.push({ part, path: STORAGE_KEYS[part], message: "is not valid JSON" }); }
+  }
+  let payload = {};
+  try {
+    payload = migratePayload(input).payload;
+    errors.push(...validatePayload(payload));
+  } catch (e) {
+    for (const part of PARTS) if (raw[part] != null) errors.push({ part, path: STORAGE_KEYS[part], message: e.message });
+  }
+  const broken = new Set(errors.map((e) => e.part));
+  for (const part of broken) {
+    try { storage.setItem(`${STORAGE_KEYS[part]}-invalid`, raw[part]); } catch {}
+    payload[part] = undefined;
+  }
+  return { payload, errors };
+}
+
+// Parse a backup file's text into an upgraded payload plus its problems
+export function readBackup(text) {
+  let json;
+  try { json = JSON.parse(text); } catch { return { payload: null, from: null, errors: [{ part: "file", path: "file", message: "is not valid JSON" }] }; }
+  if (isObject(json) && Array.isArray(json.profiles)) {
+    return { payload: null, from: null, errors: [{ part: "file", path: "file", message: "holds every profile; restore it from Profiles instead" }] };
+  }
+  if (!isObject(json) || !PARTS.some((p) => json[p] !== undefined)) {
+    return { payload: null, from: null, errors: [{ part: "file", path: "file", message: "is not a dashboard backup (no data, templates, settings, rules or history)" }] };
+  }
+  try {
+    const { payload, from } = migratePayload(json);
+    return { payload, from, errors: validatePayload(payload) };
+  } catch (e) {
+    return { payload: null, from: json.version, errors: [{ part: "file", path: "file", message: e.message }] };
+  }
+}
+
+// Incoming entries of a month the current ledger does not hold yet, by id or by duplicateKey
+// (both files carry balances and post recurring rules under their own ids); liability payments
+// linked to a dropped entry are dropped with it
+function freshEntries(curMonth, incMonth, curIds) {
+  const keys = new Set((curMonth?.entries || []).map(duplicateKey).filter(Boolean));
+  const dropped = new Set(incMonth.entries.filter((e) => curIds.has(e.id) || keys.has(duplicateKey(e))).map((e) => e.id));
+  return incMonth.entries.filter((e) => !dropped.has(e.id) && !(e.linkedTo && dropped.has(e.linkedTo)));
+}
+
+// Merge an imported payload into the current one. Months and lists are unioned; where both
+// sides have the same entry, rule, rate or target, the current value wins.
+export function mergePayloads(current, incoming) {
+  const cur = current.data;
+  const inc = incoming.data || { months: {} };
+  const months = { ...cur.months };
+  const curIds = new Set(Object.values(cur.months).flatMap((m) => m.entries.map((e) => e.id)));
+  for (const [key, m] of Object.entries(inc.months)) {
+    const fresh = freshEntries(cur.months[key], m, curIds);
+    if (!months[key]) months[key] = { ...m, entries: fresh };
+    else if (fresh.length) months[key] = { ...months[key], entries: [...months[key].entries, ...fresh] };
+  }
+
+  const budgets = { ...(inc.budgets || {}) };
+  for (const [bucket, byCat] of Object.entries(cur.budgets || {})) {
+    budgets[bucket] = { ...(budgets[bucket] || {}) };
+    for (const [category, list] of Object.entries(byCat)) {
+      const mine = new Set(list.map((b) => `${b.month}|${!!b.only}`));
+      budgets[bucket][category] = [...list, ...(budgets[bucket][category] || []).filter((b) => !mine.has(`${b.month}|${!!b.only}`))];
+    }
+  }
+
+  const rates = { ...(inc.rates || {}) };
+  for (const [key, byCur] of Object.entries(cur.rates || {})) rates[key] = { ...(rates[key] || {}), ...byCur };
+
+  const reviews = { ...(inc.reviews || {}) };
+  for (const [key, done] of Object.entries(cur.reviews || {})) reviews[key] = { ...(reviews[key] || {}), ...done };
+
+  const byId = (mine, theirs) => {
+    const ids = new Set((mine || []).map((r) => r.id));
+    return [...(mine || []), ...(theirs || []).filter((r) => !ids.has(r.id))];
+  };
+
+  const templates = Object.fromEntries(BUCKETS.map((b) => {
+    const mine = current.templates[b] || [];
+    const names = new Set(mine.map((c) => c.name));
+    return [b, [...mine, ...(incoming.templates?.[b] || []).filter((c) => !names.has(c.name))]];
+  }));
+
+  return {
+    version: SCHEMA_VERSION,
+    data: { ...inc, ...cur, months, budgets, rates, reviews, recurring: byId(cur.recurring, inc.recurring), oneOffs: byId(cur.oneOffs, inc.oneOffs), goals: byId(cur.goals, inc.goals), holdings: byId(cur.holdings, inc.holdings) },
+    templates,
+    settings: { ...current.settings, liabilityLinks: { ...(incoming.settings?.liabilityLinks || {}), ...(current.settings.liabilityLinks || {}) } },
+    rules: byId(current.rules, incoming.rules)
+  };
+}
+
+// Counts for the import preview: what the file holds and how much of it is new
+export function importSummary(current, incoming) {
+  const months = Object.entries(incoming.data?.months || {});
+  const curIds = new Set(Object.values(current.data.months).flatMap((m) => m.entries.map((e) => e.id)));
+  return {
+    months: months.length,
+    newMonths: months.filter(([k]) => !current.data.months[k]).length,
+    entries: months.reduce((n, [, m]) => n + m.entries.length, 0),
+    newEntries: months.reduce((n, [k, m]) => n + freshEntries(current.data.months[k], m, curIds).length, 0),
+    recurring: (incoming.data?.recurring || []).length,
+    rules: (incoming.rules || []).length,
+    templates: BUCKETS.reduce((n, b) => n + (incoming.templates?.[b] || []).filter((c) => !current.templates[b]?.some((x) => x.name === c.name)).length, 0),
+    hasSettings: !!incoming.settings
+  };
+}
@@ -0,0 +1,187 @@
+// Spreadsheet import: reads the long Month/Bucket/Category/Amount rows written by
+// exportData, or a "wide" sheet with months as columns and categories as rows. The goal rows,
+// "Goals" sheet and per-entry "Entries" sheet of an export are not ledger values and are left out.
+import { BUCKETS, emptyMonth, monthTotals, makeEntry } from "./ledger.js";
+import { openMonthWithRecurring } from "./recurring.js";
+import { parseAmount } from "./bankImport.js";
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "Income", "Expenses / Costs", "saving" ... -> bucket key
+export function normaliseBucket(label) {
+  const s = String(label || "").trim();
+  if (/^income/i.test(s)) return "income";
+  if (/^(expense|cost)/i.test(s)) return "expense";
+  if (/^saving/i.test(s)) return "saving";
+  if (/^invest/i.test(s)) return "investment";
+  if (/^(liabilit|debt|loan)/i.test(s)) return "liability";
+  return null;
+}
+
+// Date, Excel serial, "2024-03", "03/2024", "Mar 2024", "March-24" -> "YYYY-MM" (or null)
+export function parseMonthCell(v) {
+  if (v instanceof Date && !isNaN(v)) {
+    // xlsx dates can land a few hours before midnight; round to the nearest day first
+    const d = new Date(v.getTime() + 12 * 3600 * 1000);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  }
+  if (typeof v === "number" && v > 20000 && v < 80000) {
+    const d = new Date(Date.UTC(1899, 11, 30) + v * 86400000);
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+  }
+  const s = String(v ?? "").trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?$/);
+  if (m) return validMonth(Number(m[1]), Number(m[2]));
+  m = s.match(/^(\d{1,2})[-/.](\d{4})$/);
+  if (m) return validMonth(Number(m[2]), Number(m[1]));
+  m = s.match(/^([a-z]{3})[a-z]*[\s\-/.']*(\d{2}|\d{4})$/i);
+  if (m && MONTH_NAMES.includes(m[1].toLowerCase())) {
+    const y = Number(m[2]);
+    return validMonth(y < 100 ? 2000 + y : y, MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1);
+  }
+  return null;
+}
+
+function validMonth(y, m) {
+  return m >= 1 && m <= 12 ? `${y}-${String(m).padStart(2, "0")}` : null;
+}
+
+function toAmount(v) {
+  if (typeof v === "number") return v;
+  if (v == null || String(v).trim() === "") return NaN;
+  return parseAmount(v);
+}
+
+// Match a label against the known categories, exact first then case-insensitive
+function resolveCategory(label, templates, bucket) {
+  const buckets = bucket ? [bucket] : BUCKETS;
+  for (const b of buckets) {
+    const exact = (templates[b] || []).find((c) => c === label);
+    if (exact) return { bucket: b, category: exact };
+  }
+  for (const b of buckets) {
+    const loose = (templates[b] || []).find((c) => c.toLowerCase() === label.toLowerCase());
+    if (loose) return { bucket: b, category: loose };
+  }
+  return { bucket, category: label };
+}
+
+const isGoal = (v) => /^goals?$/i.test(String(v ?? "").trim());
+const isHeader = (re) => (c) => re.test(String(c ?? "").trim());
+
+// A month column heading; a bare number there is a value (a balance of 45000, say), not an
+// Excel serial date, so only real dates and month text count
+const monthHeading = (c) => (typeof c === "number" ? null : parseMonthCell(c));
+
+function longRecords(rows, header, templates) {
+  const col = (re) => header.findIndex((h) => re.test(String(h || "").trim()));
+  const iMonth = col(/^month$/i);
+  const iBucket = col(/^bucket$/i);
+  const iCat = col(/^category$/i);
+  const iAmt = col(/^amount$/i);
+  const out = [];
+  for (const r of rows) {
+    const month = parseMonthCell(r[iMonth]);
+    const label = String(r[iCat] ?? "").trim();
+    const amount = toAmount(r[iAmt]);
+    if (!month || !label || !Number.isFinite(amount)) continue;
+    if (iBucket >= 0 && isGoal(r[iBucket])) continue;
+    const bucket = iBucket >= 0 ? normaliseBucket(r[iBucket]) : null;
+    out.push({ month, ...resolveCategory(label, templates, bucket), amount });
+  }
+  return out;
+}
+
+function wideRecords(rows, headerIndex, templates) {
+  const header = rows[headerIndex];
+  const monthCols = header.map((h, i) => (i > 0 ? [i, monthHeading(h)] : null)).filter((c) => c && c[1]);
+  const bucketCol = header.findIndex((h) => /^bucket$/i.test(String(h || "").trim()));
+  let section = null;
+  const out = [];
+  for (const r of rows.slice(headerIndex + 1)) {
+    const label = String(r[0] ?? "").trim();
+    if (!label || /^total/i.test(label)) continue;
+    const values = monthCols.map(([i, month]) => [month, toAmount(r[i])]).filter(([, v]) => Number.isFinite(v));
+    // a heading row ("Income", "Expenses") with no values starts a new section
+    if (!values.length) {
+      section = normaliseBucket(label) || section;
+      continue;
+    }
+    const bucket = (bucketCol > 0 ? normaliseBucket(r[bucketCol]) : null) || section;
+    const resolved = resolveCategory(label, templates, bucket);
+    for (const [month, amount] of values) out.push({ month, ...resolved, amount });
+  }
+  return out;
+}
+
+// rows: array-of-arrays for one sheet, name: its sheet name
+// -> { layout, records: [{ month, bucket|null, category, amount }] }
+export function recordsFromSheet(rows, templates, name = "") {
+  if (rows.some((r) => isGoal(r[0]) && r.some(isHeader(/^target$/i)))) return { layout: "goals", records: [] };
+  if (/^entries$/i.test(name.trim()) || rows.some((r) => r.some(isHeader(/^date$/i)) && r.some(isHeader(/^original currency$/i)))) {
+    return { layout: "entries", records: [] };
+  }
+  const headerIndex = rows.findIndex((r) => r.some((c) => /^category$/i.test(String(c ?? "").trim())) && r.some((c) => /^month$/i.test(String(c ?? "").trim())));
+  if (headerIndex >= 0) return { layout: "long", records: longRecords(rows.slice(headerIndex + 1), rows[headerIndex], templates) };
+  const wideIndex = rows.findIndex((r) => r.slice(1).some((c) => monthHeading(c)));
+  if (wideIndex >= 0) return { layout: "wide", records: wideRecords(rows, wideIndex, templates) };
+  return { layout: "unknown", records: [] };
+}
+
+// Sum duplicate month/bucket/category rows into one value
+export function combineRecords(records) {
+  const map = new Map();
+  for (const r of records) {
+    const key = `${r.month}|${r.bucket}|${r.category}`;
+    map.set(key, { ...r, amount: (map.get(key)?.amount || 0) + r.amount });
+  }
+  return Array.from(map.values());
+}
+
+// Walk the imported months in order and build both the diff shown to the user and the
+// resulting months. modes[month] is "merge" (only listed categories change, via adjustment
+// entries) or "replace" (the month is rebuilt from the file alone). A merged month that is new
+// opens with its due recurring entries (links: settings.liabilityLinks), the file adjusting them.
+export function planSheetImport(data, records, modes, links = {}) {
+  const months = { ...data.months };
+  const touched = {};
+  const diff = [];
+  const opened = (key) => {
+    const { month, posted } = openMonthWithRecurring(months, key, data.recurring, links);
+    return { ...month, entries: [...month.entries, ...posted] };
+  };
+  for (const key of Array.from(new Set(records.map((r) => r.month))).sort()) {
+    const mode = modes[key] || "merge";
+    const exists = !!data.months[key];
+    const rows = records.filter((r) => r.month === key);
+    const base = mode === "replace" ? emptyMonth() : (months[key] || opened(key));
+    const current = monthTotals(months[key] || base);
+    const baseTotals = monthTotals(base);
+    const lines = [];
+    const entries = [...base.entries];
+    for (const r of rows) {
+      const before = Number(current[r.bucket]?.[r.category] || 0);
+      lines.push({ bucket: r.bucket, category: r.category, current: before, incoming: r.amount });
+      const change = r.amount - Number(baseTotals[r.bucket]?.[r.category] || 0);
+      if (Math.abs(change) < 0.005) continue;
+      entries.push(makeEntry({
+        date: `${key}-01`, bucket: r.bucket, category: r.category, amount: change,
+        note: mode === "replace" ? "Spreadsheet import" : "Spreadsheet import adjustment", source: "sheet"
+      }));
+    }
+    if (mode === "replace") {
+      // categories that disappear when the month is rebuilt
+      for (const bucket of BUCKETS) {
+        for (const [category, value] of Object.entries(current[bucket])) {
+          if (value && !rows.some((r) => r.bucket === bucket && r.category === category)) {
+            lines.push({ bucket, category, current: value, incoming: 0 });
+          }
+        }
+      }
+    }
+    months[key] = { ...base, entries };
+    touched[key] = months[key];
+    diff.push({ month: key, exists, mode, lines });
+  }
+  return { diff, touched };
+}
@@ -0,0 +1,138 @@
+// Profiles in IndexedDB. Each profile is one record in the "profiles" store:
+// { id, name, created, version, data, templates, settings, rules, history }; "meta" keeps the
+// active profile id under "active". The first time the database is empty the old localStorage
+// keys (see schema.js) become a "Personal" profile and are removed.
+import { PARTS, STORAGE_KEYS, SCHEMA_VERSION, readStorage, migratePayload, validatePayload } from "./schema.js";
+import { newId } from "./ledger.js";
+
+const DB_NAME = "pl-dashboard";
+const DB_VERSION = 1;
+
+let opening = null;
+
+function openDb() {
+  opening ||= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("This browser has no IndexedDB")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("profiles", { keyPath: "id" });
+      req.result.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return opening;
+}
+
+// Runs fn({ profiles, meta }) in one transaction and resolves with what it returned once the
+// transaction has committed (request callbacks may fill the returned object in meanwhile)
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(["profiles", "meta"], mode);
+    const result = fn({ profiles: t.objectStore("profiles"), meta: t.objectStore("meta") });
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("The browser database write was aborted"));
+  });
+}
+
+function readRecords() {
+  return run("readonly", ({ profiles, meta }) => {
+    const out = { records: [], activeId: null };
+    profiles.getAll().onsuccess = (e) => { out.records = e.target.result.sort((a, b) => a.created.localeCompare(b.created)); };
+    meta.get("active").onsuccess = (e) => { out.activeId = e.target.result ?? null; };
+    return out;
+  });
+}
+
+// Upgrade and validate a stored record. Parts that fail come back undefined (so the dashboard
+// uses its defaults) and the original is kept on the record as "<part>-invalid".
+function checkRecord(record) {
+  const { id, name, created, ...stored } = record;
+  const errors = [];
+  let payload = {};
+  try {
+    payload = migratePayload(stored).payload;
+    errors.push(...validatePayload(payload));
+  } catch (e) {
+    for (const part of PARTS) if (stored[part] !== undefined) errors.push({ part, path: `${name} › ${part}`, message: e.message });
+  }
+  const broken = new Set(errors.map((e) => e.part));
+  if (broken.size) saveProfile(id, Object.fromEntries([...broken].map((part) => [`${part}-invalid`, stored[part]]))).catch(() => {});
+  for (const part of broken) payload[part] = undefined;
+  return { id, name, payload, errors };
+}
+
+// One-time move of the localStorage keys into a "Personal" profile. readStorage upgrades and
+// validates them first (broken parts stay in localStorage under "<key>-invalid").
+async function importLocalStorage() {
+  const { payload, errors } = readStorage(localStorage);
+  const profile = { ...payload, id: newId(), name: "Personal", created: new Date().toISOString(), version: SCHEMA_VERSION };
+  await run("readwrite", ({ profiles, meta }) => {
+    profiles.put(profile);
+    meta.put(profile.id, "active");
+  });
+  for (const key of [...Object.values(STORAGE_KEYS), "pl-version"]) localStorage.removeItem(key);
+  return errors;
+}
+
+// { profiles: [{ id, name }], activeId, errors } where errors are problems found while moving
+// the old localStorage data over
+let migrating = null;
+
+export async function loadProfiles() {
+  let { records, activeId } = await readRecords();
+  let errors = [];
+  if (!records.length) {
+    // a second load before the first finished (React strict mode) waits for the same move
+    migrating ||= importLocalStorage();
+    errors = await migrating;
+    ({ records, activeId } = await readRecords());
+  }
+  if (activeId !== "all" && !records.some((r) => r.id === activeId)) activeId = records[0].id;
+  return { profiles: records.map(({ id, name }) => ({ id, name })), activeId, errors };
+}
+
+// { id, name, payload, errors } for one profile, upgraded and validated
+export async function readProfile(id) {
+  const out = await run("readonly", ({ profiles }) => {
+    const res = {};
+    profiles.get(id).onsuccess = (e) => { res.record = e.target.result; };
+    return res;
+  });
+  if (!out.record) throw new Error("That profile no longer exists");
+  return checkRecord(out.record);
+}
+
+export async function readAllProfiles() {
+  const { records } = await readRecords();
+  return records.map(checkRecord);
+}
+
+// Patch a profile's record (any payload part, or its name)
+export function saveProfile(id, patch) {
+  return run("readwrite", ({ profiles }) => {
+    const req = profiles.get(id);
+    req.onsuccess = () => {
+      if (req.result) profiles.put({ ...req.result, ...patch, version: SCHEMA_VERSION });
+    };
+  });
+}
+
+// New profile from an optional payload (e.g. a backup); returns { id, name }
+export async function createProfile(name, payload = {}) {
+  const parts = Object.fromEntries(PARTS.filter((part) => payload[part] !== undefined).map((part) => [part, payload[part]]));
+  const profile = { ...parts, id: newId(), name, created: new Date().toISOString(), version: SCHEMA_VERSION };
+  await run("readwrite", ({ profiles }) => { profiles.put(profile); });
+  return { id: profile.id, name };
+}
+
+export function deleteProfile(id) {
+  return run("readwrite", ({ profiles }) => { profiles.delete(id); });
+}
+
+// "all" selects the combined view
+export function setActiveProfile(id) {
+  return run("readwrite", ({ meta }) => { meta.put(id, "active"); });
+}
@@ -0,0 +1,153 @@
+// Client side of the sync API (server/sync.js). A profile's synced document is
+// { version, data, templates, settings, rules }; the undo history stays on the device.
+// The profile keeps its sync state next to its payload:
+//   sync = { url, ledger, token, device, rev, base, lastSync }
+// where `base` is the document as of revision `rev`, the last one this device saw. Syncing is a
+// three-way merge of base, this device's document and the server's, field by field: entries
+// and other lists of objects with an id are matched by id, objects key by key, anything else
+// (category lists, budgets of a category) as one value. A field both sides changed differently
+// is a conflict; merged documents keep this device's value until the conflict is resolved.
+import { SCHEMA_VERSION, migratePayload } from "./schema.js";
+import { duplicateKey } from "./ledger.js";
+
+const TIMEOUT_MS = 20000;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isIdList = (v) => Array.isArray(v) && v.every((x) => isObject(x) && x.id != null);
+
+export function same(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((x, i) => same(x, b[i]));
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+  const keys = Object.keys(a).filter((k) => a[k] !== undefined);
+  return keys.length === Object.keys(b).filter((k) => b[k] !== undefined).length && keys.every((k) => same(a[k], b[k]));
+}
+
+export function syncDoc({ data, templates, settings, rules }) {
+  return { version: SCHEMA_VERSION, data, templates, settings, rules };
+}
+
+function itemLabel(item) {
+  if (item.bucket && item.category) return `${item.bucket} › ${item.category}${item.note ? ` (${item.note})` : ""}`;
+  return item.name || item.category || item.pattern || String(item.id);
+}
+
+const HIDDEN_SEGMENTS = new Set(["data", "months", "entries"]);
+
+function mergeIdLists(base, mine, theirs, path, labels, conflicts) {
+  const byId = (list) => new Map((list || []).map((x) => [x.id, x]));
+  const b = byId(Array.isArray(base) ? base : []);
+  const m = byId(mine);
+  const t = byId(theirs);
+  // added here when the other side added the same thing under another id
+  const theirAdded = new Set(theirs.filter((x) => !b.has(x.id)).map(duplicateKey).filter(Boolean));
+  const dropped = new Set(mine.filter((x) => !b.has(x.id) && !t.has(x.id) && theirAdded.has(duplicateKey(x))).map((x) => x.id));
+  for (const x of mine) if (x.linkedTo && dropped.has(x.linkedTo) && !b.has(x.id)) dropped.add(x.id);
+
+  const out = [];
+  const push = (id) => {
+    const item = mergeValue(b.get(id), m.get(id), t.get(id), [...path, { id }], [...labels, itemLabel(m.get(id) || t.get(id))], conflicts);
+    if (item !== undefined) out.push(item);
+  };
+  for (const x of theirs) push(x.id);
+  for (const x of mine) if (!t.has(x.id) && !dropped.has(x.id)) push(x.id);
+  return out;
+}
+
+function mergeValue(base, mine, theirs, path, labels, conflicts) {
+  if (same(mine, theirs)) return mine;
+  if (same(base, mine)) return theirs;
+  if (same(base, theirs)) return mine;
+  if (isObject(mine) && isObject(theirs)) {
+    const out = {};
+    for (const k of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+      const v = mergeValue(isObject(base) ? base[k] : undefined, mine[k], theirs[k], [...path, k], HIDDEN_SEGMENTS.has(k) ? labels : [...labels, k], conflicts);
+      if (v !== undefined) out[k] = v;
+    }
+    return out;
+  }
+  if (isIdList(mine) && isIdList(theirs) && (base === undefined || isIdList(base))) return mergeIdLists(base, mine, theirs, path, labels, conflicts);
+  conflicts.push({ path, label: labels.join(" › "), mine, theirs });
+  return mine;
+}
+
+// { merged, conflicts: [{ path, label, mine, theirs }] }; base may be null before the first sync
+export function mergeDocs(base, mine, theirs) {
+  const conflicts = [];
+  const merged = mergeValue(base ?? undefined, mine, theirs, [], [], conflicts);
+  return { merged, conflicts };
+}
+
+// Set one value by conflict path; undefined removes it
+function setAt(value, path, next) {
+  if (!path.length) return next;
+  const [seg, ...rest] = path;
+  if (typeof seg === "object") {
+    const list = Array.isArray(value) ? value : [];
+    const i = list.findIndex((x) => x.id === seg.id);
+    const item = setAt(i >= 0 ? list[i] : undefined, rest, next);
+    if (i < 0) return item === undefined ? list : [...list, item];
+    return item === undefined ? list.filter((_, j) => j !== i) : list.map((x, j) => (j === i ? item : x));
+  }
+  const obj = { ...(isObject(value) ? value : {}) };
+  const item = setAt(obj[seg], rest, next);
+  if (item === undefined) delete obj[seg];
+  else obj[seg] = item;
+  return obj;
+}
+
+// choices[i] is "mine" or "theirs" for conflicts[i]
+export function resolveConflicts(merged, conflicts, choices) {
+  return conflicts.reduce((doc, c, i) => (choices[i] === "theirs" ? setAt(doc, c.path, c.theirs) : doc), merged);
+}
+
+export function describeValue(v) {
+  if (v === undefined) return "deleted";
+  if (isObject(v) && "amount" in v) return [v.amount, v.currency, v.date, v.note].filter((x) => x != null && x !== "").join(" · ");
+  const text = typeof v === "string" ? v : JSON.stringify(v);
+  return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+}
+
+async function call(sync, method, body) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) throw Object.assign(new Error("Offline"), { offline: true });
+  const url = `${(sync.url || "").replace(/\/+$/, "")}/api/sync/${encodeURIComponent(sync.ledger)}`;
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json", ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}) },
+      body: body && JSON.stringify(body),
+      signal: typeof AbortSignal !== "undefined" && AbortSignal.timeout ? AbortSignal.timeout(TIMEOUT_MS) : undefined
+    });
+  } catch {
+    throw Object.assign(new Error("The sync server could not be reached"), { offline: true });
+  }
+  const json = await res.json().catch(() => ({}));
+  if (res.status === 409) return { conflict: true, ...json };
+  if (!res.ok) throw new Error(json.error ? `${json.error}${json.problems ? `: ${json.problems.join("; ")}` : ""}` : `Sync failed (HTTP ${res.status})`);
+  return json;
+}
+
+// Pull the server's document, merge it with `local` and push the result. Resolves with
+// { rev, doc } once the server holds doc as revision rev, or { rev, remote, merged, conflicts }
+// when fields need a decision first; pass the resolved document back in with
+// { ...sync, rev, base: remote } to finish. Rejects with error.offline set when unreachable.
+export async function syncOnce(sync, local, tries = 3) {
+  const remote = await call(sync, "GET");
+  const theirs = remote.doc ? migratePayload(remote.doc).payload : null;
+  let doc = local;
+  if (theirs && remote.rev !== sync.rev) {
+    const { merged, conflicts } = mergeDocs(sync.base, local, theirs);
+    if (conflicts.length) return { rev: remote.rev, remote: theirs, merged, conflicts };
+    doc = merged;
+  }
+  if (theirs && same(doc, theirs)) return { rev: remote.rev, doc: theirs };
+  const put = await call(sync, "PUT", { baseRev: remote.rev, doc, device: sync.device || "" });
+  if (put.conflict) {
+    if (tries <= 1) throw new Error("The server kept changing while syncing; try again");
+    return syncOnce(sync, local, tries - 1);
+  }
+  return { rev: put.rev, doc };
+}
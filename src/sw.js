@@ -0,0 +1,35 @@
+// Service worker: precaches the built app so it opens fully offline. vite.config.js fills in
+// PRECACHE (every built file) and VERSION when building. A new VERSION installs next to the old
+// one and waits until the page asks it to take over (see lib/pwa.js).
+const VERSION = self.__VERSION__;
+const PRECACHE = self.__PRECACHE__;
+const CACHE = `pl-dashboard-${VERSION}`;
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map(scoped))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith('pl-dashboard-') && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  // the sync API and other sites always go to the network
+  if (req.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+  // one page: quick-add shortcuts and shared links only differ in their query string
+  const key = req.mode === 'navigate' ? scoped('index.html') : req;
+  event.respondWith(
+    caches.open(CACHE).then((cache) => cache.match(key, { ignoreSearch: req.mode === 'navigate' })).then((hit) => hit || fetch(req))
+  );
+});
@@ -1,6 +1,46 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import path from 'node:path'
+
+function listFiles(dir, prefix = '') {
+  let out = []
+  try {
+    for (const d of readdirSync(dir, { withFileTypes: true })) {
+      if (d.isDirectory()) out = out.concat(listFiles(path.join(dir, d.name), `${prefix}${d.name}/`))
+      else out.push(`${prefix}${d.name}`)
+    }
+  } catch {}
+  return out
+}
+
+// Emits sw.js from src/sw.js with every built and public file to precache and a version that
+// changes whenever any of them does
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const built = Object.keys(bundle).sort()
+      for (const f of built) hash.update(bundle[f].type === 'chunk' ? bundle[f].code : bundle[f].source)
+      const pub = listFiles(publicDir).sort()
+      for (const f of pub) hash.update(readFileSync(path.join(publicDir, f)))
+      const files = [...built, ...pub].filter((f) => !f.endsWith('.map'))
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(files))
+        .replace('self.__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), serviceWorker()],
+})